@@ -1,4 +1,9 @@
-import { generateDigest } from '../lib/digest-generator.js';
+import { estimateDigest, generateDigest } from '../lib/digest-generator.js';
+import { getStoredPreferences } from '../lib/personalization.js';
+import { DIGEST_ALARM_NAME, saveScheduledDigest } from '../lib/scheduler.js';
+
+const SCHEDULED_DIGEST_NOTIFICATION_ID = 'scheduledDigest';
+const SCHEDULED_DIGEST_PAGE = 'src/digest/digest.html?source=scheduled';
 
 // Listen for messages from other parts of the extension
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -10,7 +15,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         // Pass the period from the request to the generator
         const period = request.period || '7d'; // Default to 7d if not provided
 
-        generateDigest(period)
+        generateDigest(period, { enrichArticles: request.enrichArticles })
             .then(result => {
                 console.log('Digest generation result:', result);
                 sendResponse(result);
@@ -22,8 +27,63 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             
         return true; // Indicates that the response is sent asynchronously
     }
+
+    if (request.type === 'ESTIMATE_DIGEST') {
+        // The estimate starts a run, so it checks for new mail; generating afterwards reuses what it synced
+        estimateDigest(request.period || '7d', { enrichArticles: request.enrichArticles, refresh: true })
+            .then(sendResponse)
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
     
-    // The 'FETCH_URL_CONTENT' handler is removed to prevent deadlock.
+    // Article pages are fetched by the enrichment stage (article-enrichment.js), not through messages here.
 });
 
-// Optional: Add listeners for scheduled tasks or other background events here. 
\ No newline at end of file
+// Scheduled digests; the monthly budget can refuse them
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== DIGEST_ALARM_NAME) {
+        return;
+    }
+
+    const preferences = await getStoredPreferences();
+    const period = preferences.frequency === 'weekly' ? '7d' : '1d';
+    const result = await generateDigest(period, { scheduled: true, refresh: true });
+    if (!result.success) {
+        console.warn('Scheduled digest was not generated:', result.error);
+        notify('Scheduled digest skipped', result.error);
+        return;
+    }
+
+    await saveScheduledDigest(result, period);
+    await chrome.storage.sync.set({ lastGenerated: new Date().toISOString() });
+    notify('Your digest is ready', 'Click to open it.');
+});
+
+// Open the saved scheduled digest from its notification
+if (chrome.notifications) {
+    chrome.notifications.onClicked.addListener((notificationId) => {
+        if (notificationId !== SCHEDULED_DIGEST_NOTIFICATION_ID) {
+            return;
+        }
+        chrome.tabs.create({ url: chrome.runtime.getURL(SCHEDULED_DIGEST_PAGE) });
+        chrome.notifications.clear(notificationId);
+    });
+}
+
+/**
+ * Tell the user about a scheduled run. Needs the "notifications" permission in the manifest;
+ * without it the digest is still saved for the popup.
+ * @param {string} title Notification title
+ * @param {string} message Notification text
+ */
+function notify(title, message) {
+    if (!chrome.notifications) {
+        return;
+    }
+    chrome.notifications.create(SCHEDULED_DIGEST_NOTIFICATION_ID, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('src/assets/icons/icon128.png'),
+        title,
+        message
+    });
+}
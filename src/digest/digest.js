@@ -1,4 +1,5 @@
 import { marked } from 'https://cdn.jsdelivr.net/npm/marked/lib/marked.esm.js';
+import { getScheduledDigest, markScheduledDigestViewed } from '../lib/scheduler.js';
 
 // DOM Elements
 const digestContent = document.getElementById('digestContent');
@@ -22,6 +23,26 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     }
 });
 
+// Opened from the scheduled-digest notification or the popup: load the saved digest
+if (new URLSearchParams(window.location.search).get('source') === 'scheduled') {
+    loadScheduledDigest();
+}
+
+async function loadScheduledDigest() {
+    try {
+        const entry = await getScheduledDigest();
+        if (!entry) {
+            showError('No scheduled digest has been generated yet.');
+            return;
+        }
+        renderDigest(entry.digest);
+        await markScheduledDigestViewed();
+    } catch (error) {
+        console.error('Error loading scheduled digest:', error);
+        showError('Could not load the scheduled digest.');
+    }
+}
+
 function renderDigest(digestMarkdown) {
     console.log('[Digest] Rendering digest, markdown length:', digestMarkdown.length);
     
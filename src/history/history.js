@@ -0,0 +1,135 @@
+import { getMailboxActionHistory, messageKey, undoMailboxActions } from '../lib/mailbox-actions.js';
+
+// DOM Elements
+const actionHistoryEl = document.getElementById('actionHistory');
+
+const ACTION_NAMES = {
+    UNREAD: 'marked read',
+    INBOX: 'archived'
+};
+
+// Load history on page load
+document.addEventListener('DOMContentLoaded', async () => {
+    await loadHistory();
+});
+
+/**
+ * Load and display the mailbox action history
+ */
+async function loadHistory() {
+    try {
+        const history = await getMailboxActionHistory();
+        displayHistory(history);
+    } catch (error) {
+        console.error('Error loading history:', error);
+        actionHistoryEl.innerHTML = '<div class="empty-state">Failed to load history. Please try again.</div>';
+    }
+}
+
+/**
+ * Render every history entry
+ */
+function displayHistory(history) {
+    actionHistoryEl.innerHTML = '';
+
+    if (history.length === 0) {
+        actionHistoryEl.innerHTML = '<div class="empty-state">No mailbox actions yet. Enable them in Settings to label, mark read or archive processed newsletters.</div>';
+        return;
+    }
+
+    history.forEach(entry => actionHistoryEl.appendChild(renderEntry(entry)));
+}
+
+/**
+ * Describe the changes recorded for one message
+ */
+function describeChanges(result) {
+    const changes = [];
+    if (result.addLabelIds.length > 0) changes.push('labelled');
+    result.removeLabelIds.forEach(labelId => changes.push(ACTION_NAMES[labelId] || `removed ${labelId}`));
+    return changes.length > 0 ? changes.join(', ') : 'no change needed';
+}
+
+/**
+ * Build the element for one history entry
+ */
+function renderEntry(entry) {
+    const failed = entry.results.filter(result => result.status === 'failed');
+    const undoFailures = (entry.undoResults || []).filter(result => result.status === 'failed');
+    const undoFailedKeys = new Set(undoFailures.map(messageKey));
+
+    const element = document.createElement('div');
+    element.className = 'history-entry';
+
+    const header = document.createElement('div');
+    header.className = 'history-entry-header';
+
+    const summary = document.createElement('div');
+    const title = document.createElement('strong');
+    title.textContent = new Date(entry.createdAt).toLocaleString();
+    const meta = document.createElement('div');
+    meta.className = 'history-entry-meta';
+    meta.textContent = `${entry.results.length - failed.length} updated, ${failed.length} failed` +
+        (entry.undoneAt ? ` · undone ${new Date(entry.undoneAt).toLocaleString()}` : '') +
+        (undoFailures.length > 0 ? ` · ${undoFailures.length} could not be undone` : '');
+    summary.append(title, meta);
+
+    const undoButton = document.createElement('button');
+    undoButton.className = 'undo-button';
+    undoButton.textContent = entry.undoneAt ? 'Undone' : (undoFailures.length > 0 ? 'Retry Undo' : 'Undo');
+    undoButton.disabled = Boolean(entry.undoneAt);
+    undoButton.addEventListener('click', () => handleUndo(entry.id, undoButton));
+
+    header.append(summary, undoButton);
+
+    const details = document.createElement('details');
+    const detailsSummary = document.createElement('summary');
+    detailsSummary.textContent = 'Messages';
+    const list = document.createElement('ul');
+    list.className = 'message-list';
+
+    entry.results.forEach(result => {
+        const item = document.createElement('li');
+        const group = (result.group === 'included' ? 'Included' : 'Filtered out') +
+            (result.account ? ` in ${result.account}` : '');
+        if (result.status === 'failed') {
+            item.className = 'status-failed';
+            item.textContent = `${group}: ${result.subject} (${result.from}): failed, ${result.error}`;
+        } else if (undoFailedKeys.has(messageKey(result))) {
+            item.className = 'status-failed';
+            item.textContent = `${group}: ${result.subject} (${result.from}): ${describeChanges(result)}; undo failed`;
+        } else {
+            item.textContent = `${group}: ${result.subject} (${result.from}): ${describeChanges(result)}`;
+        }
+        list.appendChild(item);
+    });
+
+    details.append(detailsSummary, list);
+    element.append(header, details);
+    return element;
+}
+
+/**
+ * Undo a run and refresh the list
+ */
+async function handleUndo(entryId, button) {
+    if (!confirm('Undo the mailbox changes from this run?')) {
+        return;
+    }
+
+    button.disabled = true;
+    button.textContent = 'Undoing...';
+
+    try {
+        const updated = await undoMailboxActions(entryId);
+        const failed = updated.undoResults.filter(result => result.status === 'failed').length;
+        if (failed > 0) {
+            alert(`${failed} messages could not be restored. You can retry the undo.`);
+        }
+    } catch (error) {
+        console.error('Error undoing mailbox actions:', error);
+        alert(`Failed to undo: ${error.message}`);
+    }
+
+    await loadHistory();
+}
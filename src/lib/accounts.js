@@ -0,0 +1,192 @@
+/**
+ * Connected Gmail accounts.
+ * Accounts beyond the Chrome profile's own are connected through `launchWebAuthFlow`.
+ * Each keeps its own access token and query settings in chrome.storage.local.
+ */
+
+import { DEFAULT_QUERY_SETTINGS, getAuthToken, getProfile, GMAIL_API_SCOPES } from './gmail-api.js';
+import * as config from './config.js';
+
+const ACCOUNTS_KEY = 'gmailAccounts';
+const AUTH_ENDPOINT = 'https://accounts.google.com/o/oauth2/v2/auth';
+const REVOKE_ENDPOINT = 'https://oauth2.googleapis.com/revoke';
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000; // Refresh a minute early so requests never race the expiry
+
+// ID used for the Chrome profile account when no accounts are connected
+export const DEFAULT_ACCOUNT_ID = 'default';
+
+/**
+ * Run the OAuth implicit flow for one Google account
+ * @param {Object} options Flow options
+ * @param {boolean} options.interactive Whether the user may be shown a sign-in window
+ * @param {string} [options.loginHint] Address of the account to sign in as
+ * @returns {Promise<{token: string, expiresAt: number}>} Access token and its expiry time
+ */
+async function runAuthFlow({ interactive, loginHint }) {
+    if (!config.GOOGLE_CLIENT_ID) {
+        throw new Error('Google client ID is not configured. Please add it to src/lib/config.js.');
+    }
+
+    const params = new URLSearchParams({
+        client_id: config.GOOGLE_CLIENT_ID,
+        response_type: 'token',
+        redirect_uri: chrome.identity.getRedirectURL(),
+        scope: GMAIL_API_SCOPES.join(' '),
+        // Silent refreshes must not show UI; interactive connects let the user pick an account
+        prompt: interactive ? 'select_account consent' : 'none'
+    });
+    if (loginHint) {
+        params.set('login_hint', loginHint);
+    }
+
+    const redirectUrl = await chrome.identity.launchWebAuthFlow({
+        url: `${AUTH_ENDPOINT}?${params}`,
+        interactive
+    });
+
+    const result = new URLSearchParams(new URL(redirectUrl).hash.slice(1));
+    if (result.get('error')) {
+        throw new Error(`Google sign-in failed: ${result.get('error')}`);
+    }
+
+    const token = result.get('access_token');
+    if (!token) {
+        throw new Error('Google sign-in did not return an access token');
+    }
+
+    return {
+        token,
+        expiresAt: Date.now() + Number(result.get('expires_in') || 3600) * 1000
+    };
+}
+
+/**
+ * Load the stored accounts
+ * @returns {Promise<Array<Object>>} Connected accounts, including their tokens
+ */
+async function loadAccounts() {
+    const { [ACCOUNTS_KEY]: accounts } = await chrome.storage.local.get(ACCOUNTS_KEY);
+    return accounts || [];
+}
+
+/**
+ * Persist the accounts
+ * @param {Array<Object>} accounts Connected accounts
+ * @returns {Promise<void>}
+ */
+async function saveAccounts(accounts) {
+    await chrome.storage.local.set({ [ACCOUNTS_KEY]: accounts });
+}
+
+/**
+ * Strip the token fields before handing an account to UI code
+ * @param {Object} account Stored account
+ * @returns {Object} Account without credentials
+ */
+function toPublicAccount({ token, expiresAt, ...account }) {
+    return account;
+}
+
+/**
+ * List the connected accounts
+ * @returns {Promise<Array<{id: string, email: string, enabled: boolean, querySettings: Object}>>} Accounts without tokens
+ */
+export async function getConnectedAccounts() {
+    const accounts = await loadAccounts();
+    return accounts.map(toPublicAccount);
+}
+
+/**
+ * Connect a Google account. Prompts the user to pick an account and grant access.
+ * Connecting an account that is already connected just refreshes its token.
+ * @param {Object} [querySettings] Initial query settings for the account
+ * @returns {Promise<Object>} The connected account, without its token
+ */
+export async function connectAccount(querySettings = DEFAULT_QUERY_SETTINGS) {
+    const { token, expiresAt } = await runAuthFlow({ interactive: true });
+    const { emailAddress } = await getProfile(token);
+    const id = emailAddress.toLowerCase();
+
+    const accounts = await loadAccounts();
+    const existing = accounts.find(account => account.id === id);
+    const account = existing
+        ? { ...existing, token, expiresAt }
+        : { id, email: emailAddress, enabled: true, querySettings, addedAt: Date.now(), token, expiresAt };
+
+    await saveAccounts([...accounts.filter(other => other.id !== id), account]);
+    return toPublicAccount(account);
+}
+
+/**
+ * Disconnect an account and revoke its token
+ * @param {string} accountId Account ID
+ * @returns {Promise<void>}
+ */
+export async function disconnectAccount(accountId) {
+    const accounts = await loadAccounts();
+    const account = accounts.find(other => other.id === accountId);
+    if (!account) return;
+
+    await saveAccounts(accounts.filter(other => other.id !== accountId));
+
+    if (account.token) {
+        try {
+            await fetch(`${REVOKE_ENDPOINT}?token=${encodeURIComponent(account.token)}`, { method: 'POST' });
+        } catch (error) {
+            console.warn(`[Accounts] Failed to revoke token for ${account.email}:`, error);
+        }
+    }
+}
+
+/**
+ * Update an account's settings
+ * @param {string} accountId Account ID
+ * @param {Object} changes Fields to change, e.g. `{enabled}` or `{querySettings}`
+ * @returns {Promise<void>}
+ */
+export async function updateAccount(accountId, changes) {
+    const accounts = await loadAccounts();
+    const { token, expiresAt, id, ...allowed } = changes;
+    await saveAccounts(accounts.map(account =>
+        account.id === accountId ? { ...account, ...allowed } : account
+    ));
+}
+
+/**
+ * Get a valid access token for an account, refreshing it if it is about to expire.
+ * The Chrome profile account uses `chrome.identity.getAuthToken`, which refreshes on its own.
+ * @param {string} accountId Account ID, or DEFAULT_ACCOUNT_ID for the Chrome profile account
+ * @param {Object} [options] Options
+ * @param {boolean} [options.interactive] Fall back to a sign-in window if a silent refresh fails
+ * @returns {Promise<string>} Access token
+ */
+export async function getAccountToken(accountId, { interactive = false } = {}) {
+    if (!accountId || accountId === DEFAULT_ACCOUNT_ID) {
+        return getAuthToken();
+    }
+
+    const accounts = await loadAccounts();
+    const account = accounts.find(other => other.id === accountId);
+    if (!account) {
+        throw new Error(`Gmail account ${accountId} is not connected`);
+    }
+
+    if (account.token && account.expiresAt - TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+        return account.token;
+    }
+
+    let refreshed;
+    try {
+        refreshed = await runAuthFlow({ interactive: false, loginHint: account.email });
+    } catch (error) {
+        if (!interactive) {
+            throw new Error(`Sign-in for ${account.email} has expired. Reconnect the account in Settings.`);
+        }
+        refreshed = await runAuthFlow({ interactive: true, loginHint: account.email });
+    }
+
+    // Re-read before writing so a concurrent refresh of another account is not lost
+    const latest = await loadAccounts();
+    await saveAccounts(latest.map(other => other.id === accountId ? { ...other, ...refreshed } : other));
+    return refreshed.token;
+}
@@ -0,0 +1,239 @@
+/**
+ * Full-article enrichment.
+ * Fetches the articles behind the highest-ranked stories of a digest so the summary can go
+ * beyond the newsletter blurb. Pages are only fetched where robots.txt allows it, paywalled
+ * pages are skipped, and parsed articles are cached in IndexedDB.
+ */
+
+import { idbDeleteMany, idbGetAll, idbPutMany } from './idb-store.js';
+import { fetchAndParseArticle } from './knowledge-web.js';
+import { isOpaqueTrackingUrl } from './url-canonicalizer.js';
+import { mapWithConcurrency } from './utils.js';
+
+const STORE_NAME = 'articles';
+const ARTICLE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const FAILED_FETCH_TTL_MS = 6 * 60 * 60 * 1000;
+const FETCH_CONCURRENCY = 3;
+const FETCH_TIMEOUT_MS = 10000;
+const ROBOTS_TIMEOUT_MS = 3000;
+const ROBOTS_USER_AGENT = 'inboxdigest';
+const MAX_EXTRACT_TOKENS = 600; // Per article, so one long read can't use up the budget
+const MIN_EXTRACT_TOKENS = 80; // Smaller leftovers aren't worth an extract
+const CHARS_PER_TOKEN = 4; // Same rough estimate the summarizer uses
+
+// Sites that never serve a readable article to an anonymous fetch
+const SKIPPED_HOSTS = [
+    'twitter.com', 'x.com', 'youtube.com', 'youtu.be', 'linkedin.com', 'facebook.com', 'instagram.com',
+    'tiktok.com', 'wsj.com', 'ft.com', 'bloomberg.com', 'economist.com', 'theinformation.com', 'barrons.com'
+];
+const SKIPPED_EXTENSIONS = /\.(pdf|zip|mp3|mp4|mov|png|jpe?g|gif|webp)$/i;
+
+/**
+ * Check whether a link can lead to a readable article
+ * @param {string} url Canonical story link
+ * @returns {boolean} True if the link is worth fetching
+ */
+function isFetchableArticle(url) {
+    try {
+        const parsed = new URL(url);
+        const host = parsed.hostname.replace(/^www\./, '');
+        return /^https?:$/.test(parsed.protocol) &&
+            !SKIPPED_HOSTS.some(domain => host === domain || host.endsWith(`.${domain}`)) &&
+            !SKIPPED_EXTENSIONS.test(parsed.pathname) &&
+            !isOpaqueTrackingUrl(url);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Parse the rules of robots.txt that apply to us: our own group if there is one, otherwise `*`
+ * @param {string} text robots.txt content
+ * @returns {Array<{allow: boolean, path: string}>} Rules
+ */
+function parseRobots(text) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    text.split(/\r?\n/).forEach(line => {
+        const match = line.replace(/#.*$/, '').match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+        if (!match) return;
+        const field = match[1].toLowerCase();
+        const value = match[2];
+
+        if (field === 'user-agent') {
+            // Consecutive user-agent lines share one group
+            if (!lastWasAgent) {
+                current = { agents: [], rules: [] };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            return;
+        }
+        lastWasAgent = false;
+        if (current && (field === 'allow' || field === 'disallow') && value) {
+            current.rules.push({ allow: field === 'allow', path: value });
+        }
+    });
+
+    // A group is ours only if it names our product token, ignoring case and any version
+    const group = groups.find(g => g.agents.some(agent => agent.split('/')[0].trim() === ROBOTS_USER_AGENT)) ||
+        groups.find(g => g.agents.includes('*'));
+    return group ? group.rules : [];
+}
+
+/**
+ * Check a path against robots.txt rules; the longest matching rule wins, allow wins ties
+ * @param {Array<{allow: boolean, path: string}>} rules Rules from `parseRobots`
+ * @param {string} path Path and query of the page
+ * @returns {boolean} True if the page may be fetched
+ */
+function isAllowedByRobots(rules, path) {
+    let best = null;
+    rules.forEach(rule => {
+        const pattern = new RegExp(`^${rule.path
+            .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\\\$$/, '$')}`);
+        if (pattern.test(path) && (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow))) {
+            best = rule;
+        }
+    });
+    return !best || best.allow;
+}
+
+/**
+ * Fetch and parse a site's robots.txt. A missing or unreachable file allows everything.
+ * @param {string} origin Site origin
+ * @returns {Promise<Array<{allow: boolean, path: string}>>} Rules that apply to us
+ */
+async function fetchRobotsRules(origin) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), ROBOTS_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(`${origin}/robots.txt`, { credentials: 'omit', signal: controller.signal });
+        return response.ok ? parseRobots(await response.text()) : [];
+    } catch (error) {
+        return [];
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * Load cached articles, dropping expired entries
+ * @returns {Promise<Map<string, Object>>} Cache entries keyed by URL
+ */
+async function loadCache() {
+    const now = Date.now();
+    const entries = await idbGetAll(STORE_NAME);
+    const expired = entries.filter(entry => now - entry.fetchedAt > (entry.text ? ARTICLE_TTL_MS : FAILED_FETCH_TTL_MS));
+    if (expired.length > 0) {
+        await idbDeleteMany(STORE_NAME, expired.map(entry => entry.url));
+    }
+    const expiredUrls = new Set(expired.map(entry => entry.url));
+    return new Map(entries.filter(entry => !expiredUrls.has(entry.url)).map(entry => [entry.url, entry]));
+}
+
+/**
+ * Fetch an article if robots.txt allows it
+ * @param {string} url Article URL
+ * @param {Map<string, Promise>} robotsByOrigin robots.txt rules per origin, shared across one run
+ * @returns {Promise<Object>} Cache entry: `{url, title, text, paywalled, fetchedAt}`, or with `error` instead of text
+ */
+async function fetchArticle(url, robotsByOrigin) {
+    const { origin, pathname, search } = new URL(url);
+    if (!robotsByOrigin.has(origin)) {
+        robotsByOrigin.set(origin, fetchRobotsRules(origin));
+    }
+    if (!isAllowedByRobots(await robotsByOrigin.get(origin), `${pathname}${search}`)) {
+        return { url, text: null, error: 'Disallowed by robots.txt', fetchedAt: Date.now() };
+    }
+
+    const article = await fetchAndParseArticle(url, { timeoutMs: FETCH_TIMEOUT_MS });
+    if (!article.success) {
+        return { url, text: null, error: article.error, fetchedAt: Date.now() };
+    }
+    return { url, title: article.title, text: article.content, paywalled: Boolean(article.paywalled), fetchedAt: Date.now() };
+}
+
+/**
+ * Cut article text down to a token budget, ending on a sentence where possible
+ * @param {string} text Article text
+ * @param {number} tokens Token budget
+ * @returns {string} Extract
+ */
+function truncateToTokens(text, tokens) {
+    const maxChars = tokens * CHARS_PER_TOKEN;
+    if (text.length <= maxChars) return text;
+
+    const cut = text.slice(0, maxChars);
+    const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '));
+    return sentenceEnd > maxChars / 2 ? cut.slice(0, sentenceEnd + 1) : `${cut.trimEnd()}…`;
+}
+
+/**
+ * Fetch the articles behind the highest-ranked story clusters and cut them into extracts.
+ * Needs the offscreen document, where the pages are parsed.
+ * @param {Array<Object>} clusters Clusters from `clusterStories`, whose stories may carry a `relevanceScore`
+ * @param {Object} settings Enrichment settings
+ * @param {number} settings.maxArticles Most articles to fetch
+ * @param {number} settings.tokenBudget Tokens to spend on extracts across the whole digest
+ * @returns {Promise<Map<string, string>>} Article extract per cluster ID
+ */
+export async function enrichClusters(clusters, { maxArticles, tokenBudget }) {
+    const extracts = new Map();
+    if (!maxArticles || !tokenBudget) return extracts;
+
+    const ranked = clusters
+        .filter(cluster => !cluster.sponsored && cluster.link && isFetchableArticle(cluster.link) &&
+            // A whole email's first link says little about what it covers
+            cluster.stories.some(story => story.segmentedBy !== 'none'))
+        .map(cluster => ({
+            cluster,
+            score: Math.max(0, ...cluster.stories.map(story => story.relevanceScore || 0))
+        }))
+        .sort((a, b) => b.score - a.score || b.cluster.coverage - a.cluster.coverage)
+        .slice(0, maxArticles)
+        .map(({ cluster }) => cluster);
+    if (ranked.length === 0) return extracts;
+
+    let cache;
+    try {
+        cache = await loadCache();
+    } catch (error) {
+        console.error('[Article Enrichment] Failed to load cache:', error);
+        cache = new Map();
+    }
+
+    const robotsByOrigin = new Map();
+    const missing = [...new Set(ranked.map(cluster => cluster.link).filter(url => !cache.has(url)))];
+    const fetched = await mapWithConcurrency(missing, FETCH_CONCURRENCY, url => fetchArticle(url, robotsByOrigin));
+    fetched.forEach(entry => cache.set(entry.url, entry));
+
+    try {
+        await idbPutMany(STORE_NAME, fetched);
+    } catch (error) {
+        console.error('[Article Enrichment] Failed to save cache:', error);
+    }
+
+    let remaining = tokenBudget;
+    ranked.forEach(cluster => {
+        const entry = cache.get(cluster.link);
+        if (!entry || !entry.text || entry.paywalled) return;
+
+        const budget = Math.min(MAX_EXTRACT_TOKENS, remaining);
+        if (budget < MIN_EXTRACT_TOKENS) return;
+
+        const extract = truncateToTokens(entry.text, budget);
+        extracts.set(cluster.id, extract);
+        remaining -= Math.ceil(extract.length / CHARS_PER_TOKEN);
+    });
+
+    const skipped = fetched.filter(entry => entry.error || entry.paywalled).length;
+    console.log(`[Article Enrichment] Added ${extracts.size} article extracts (${tokenBudget - remaining} tokens); fetched ${fetched.length}, ${skipped} unusable, ${ranked.length - missing.length} from cache.`);
+    return extracts;
+}
@@ -0,0 +1,158 @@
+/**
+ * Spending budgets for digest runs.
+ * Before a run, its cost is estimated from the stories it would process. A run that would go over
+ * the per-digest budget is scaled down step by step: a cheaper model for the digest, a shorter
+ * detail level, then fewer emails. Scheduled runs are refused once the monthly budget is spent.
+ */
+
+import { estimateDigestTokens } from './openai-handler.js';
+import { getStageModel } from './llm-providers.js';
+import { computeCost, formatUsd, getSpendSince } from './usage-ledger.js';
+
+const EMAIL_REDUCTION_STEP = 0.8; // Share of emails kept each time the run is cut down
+
+/**
+ * @typedef {Object} CostEstimate
+ * @property {number} filter Estimated cost of relevance filtering in USD
+ * @property {number} summary Estimated cost of writing the digest in USD
+ * @property {number} total Sum of both
+ * @property {boolean} unpriced True if a model's price is unknown, so the estimate is too low
+ * @property {number} emails Emails in the run
+ * @property {number} stories Stories in the run
+ */
+
+/**
+ * @typedef {Object} RunPlan
+ * @property {boolean} allowed False if the run must not start
+ * @property {string|null} reason Why the run was refused
+ * @property {Object} preferences Preferences to run with, including any downgrades
+ * @property {Array<Object>} emails Emails to process, each carrying its `stories`
+ * @property {CostEstimate} estimate Estimated cost of the planned run
+ * @property {Array<string>} adjustments Downgrades made to stay within the budget
+ * @property {number} monthSpend Spend recorded since the start of the month in USD
+ * @property {number} monthlyLimit Monthly budget in USD, 0 for none
+ * @property {number} perDigestLimit Per-digest budget in USD, 0 for none
+ * @property {boolean} monthlyBudgetExhausted True if this month's spend reached the monthly budget
+ */
+
+/**
+ * Get the start of the current calendar month
+ * @returns {number} Local midnight on the 1st, in milliseconds
+ */
+function startOfMonth() {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+}
+
+/**
+ * Price estimated token counts with the models configured for each stage
+ * @param {Object} tokens Result of `estimateDigestTokens`
+ * @param {Object} preferences Preferences with the models per stage
+ * @returns {{filter: number, summary: number, total: number, unpriced: boolean}} Cost in USD
+ */
+function priceTokens(tokens, preferences) {
+    const costs = ['filter', 'synthesis'].map(stage => {
+        const { providerId, model } = getStageModel(stage, preferences);
+        return computeCost(providerId, model, stage === 'filter' ? tokens.filter : tokens.summary);
+    });
+    return {
+        filter: costs[0] || 0,
+        summary: costs[1] || 0,
+        total: (costs[0] || 0) + (costs[1] || 0),
+        unpriced: costs.some(cost => cost === null)
+    };
+}
+
+/**
+ * Plan a digest run within the spending budgets
+ * @param {Array<Object>} emails Emails of the run, newest first
+ * @param {Array<Array<Object>>} storiesByEmail Stories per email from `segmentEmailsIntoStories`
+ * @param {Object} preferences User preferences, including `budget`
+ * @param {Object} [options] Run options
+ * @param {boolean} [options.scheduled] True for runs started by the scheduler rather than the user
+ * @param {number} [options.enrichmentTokens] Tokens that article extracts may add
+ * @returns {Promise<RunPlan>} What to run, or why not
+ */
+export async function planDigestRun(emails, storiesByEmail, preferences, { scheduled = false, enrichmentTokens = 0 } = {}) {
+    const { monthlyLimit = 0, perDigestLimit = 0 } = preferences.budget || {};
+    const monthSpend = monthlyLimit > 0 ? await getSpendSince(startOfMonth()) : 0;
+    const monthlyBudgetExhausted = monthlyLimit > 0 && monthSpend >= monthlyLimit;
+
+    const estimateFor = (runPreferences, count) => {
+        const tokens = estimateDigestTokens(storiesByEmail.slice(0, count), runPreferences, { enrichmentTokens });
+        return { ...priceTokens(tokens, runPreferences), emails: count, stories: tokens.stories };
+    };
+
+    let runPreferences = preferences;
+    let count = emails.length;
+    let estimate = estimateFor(runPreferences, count);
+    const plan = {
+        allowed: true,
+        reason: null,
+        adjustments: [],
+        monthSpend,
+        monthlyLimit,
+        perDigestLimit,
+        monthlyBudgetExhausted
+    };
+    const finish = () => ({
+        ...plan,
+        preferences: runPreferences,
+        emails: emails.slice(0, count).map((email, index) => ({ ...email, stories: storiesByEmail[index] })),
+        estimate
+    });
+
+    if (scheduled && monthlyBudgetExhausted) {
+        plan.allowed = false;
+        plan.reason = `The monthly budget of ${formatUsd(monthlyLimit)} is used up (${formatUsd(monthSpend)} spent this month).`;
+        return finish();
+    }
+
+    // Scheduled runs also stop at what is left of the monthly budget
+    const caps = [perDigestLimit];
+    if (scheduled && monthlyLimit > 0) caps.push(monthlyLimit - monthSpend);
+    const cap = Math.min(...caps.filter(limit => limit > 0));
+    if (!isFinite(cap) || estimate.total <= cap) {
+        return finish();
+    }
+    const originalCost = estimate.total;
+
+    // 1. Write the digest with the filtering model if that is cheaper
+    const { model: synthesisModel } = getStageModel('synthesis', runPreferences);
+    const { model: filterModel } = getStageModel('filter', runPreferences);
+    if (synthesisModel !== filterModel) {
+        const cheaper = {
+            ...runPreferences,
+            llmStages: { ...runPreferences.llmStages, synthesis: runPreferences.llmStages.filter }
+        };
+        const cheaperEstimate = estimateFor(cheaper, count);
+        if (cheaperEstimate.total < estimate.total) {
+            runPreferences = cheaper;
+            estimate = cheaperEstimate;
+            plan.adjustments.push(`Writing the digest with ${filterModel} instead of ${synthesisModel}.`);
+        }
+    }
+
+    // 2. Ask for a quick overview
+    if (estimate.total > cap && runPreferences.digestDetailedness !== 'short') {
+        runPreferences = { ...runPreferences, digestDetailedness: 'short' };
+        estimate = estimateFor(runPreferences, count);
+        plan.adjustments.push('Shortened the digest to a quick overview.');
+    }
+
+    // 3. Drop the oldest emails
+    while (estimate.total > cap && count > 1) {
+        count = Math.min(count - 1, Math.floor(count * EMAIL_REDUCTION_STEP));
+        estimate = estimateFor(runPreferences, count);
+    }
+    if (count < emails.length) {
+        plan.adjustments.push(`Limited the digest to the ${count} newest of ${emails.length} emails.`);
+    }
+
+    if (estimate.total > cap) {
+        plan.allowed = false;
+        plan.reason = `The estimated cost of ${formatUsd(estimate.total)} is over the budget of ${formatUsd(cap)} even for a single email.`;
+    }
+    console.log(`[Budget] Estimated ${formatUsd(originalCost)} against a cap of ${formatUsd(cap)}; planned ${formatUsd(estimate.total)}.`, plan.adjustments);
+    return finish();
+}
@@ -0,0 +1,143 @@
+/**
+ * Content-hash cache for digest work.
+ * Cleaning results, relevance decisions and summary notes are stored in IndexedDB under a key made of
+ * the message ID, a hash of the content, the version of the prompt or processing code, and a
+ * fingerprint of the preferences that shape the result, so re-running an overlapping period only
+ * pays for what changed. The cache is kept under a size limit by evicting the least recently used
+ * entries.
+ */
+
+import { idbClear, idbDeleteMany, idbGetAll, idbGetMany, idbPutMany } from './idb-store.js';
+import { getStoredPreferences } from './personalization.js';
+import { hashString } from './utils.js';
+
+const VALUE_STORE = 'contentCache';
+// Key, kind, size and last use of every entry, so eviction doesn't have to load the values
+const INDEX_STORE = 'contentCacheIndex';
+const MAX_CACHE_BYTES = 50 * 1024 * 1024;
+const EVICT_TO_BYTES = 40 * 1024 * 1024; // Evict a little extra so every run doesn't evict again
+
+/**
+ * Hash content for a cache key
+ * @param {string} content Email body, story text or other input
+ * @returns {string} Hash, with the length to make collisions between different content rarer
+ */
+export function hashContent(content) {
+    const text = content || '';
+    return `${hashString(text)}${text.length.toString(16)}`;
+}
+
+/**
+ * Fingerprint the settings that shape a cached result
+ * @param {Object} values Preference values and model names that affect the result
+ * @returns {string} Fingerprint
+ */
+export function fingerprint(values) {
+    return hashString(JSON.stringify(values));
+}
+
+/**
+ * Build a cache key
+ * @param {string} kind 'cleaning', 'filter' or 'summary'
+ * @param {string} messageId Message ID
+ * @param {string} contentHash Result of `hashContent`
+ * @param {number} version Version of the prompt or processing code
+ * @param {string} settingsFingerprint Result of `fingerprint`
+ * @returns {string} Cache key
+ */
+export function buildCacheKey(kind, messageId, contentHash, version, settingsFingerprint) {
+    return `${kind}:${messageId}:${contentHash}:v${version}:${settingsFingerprint}`;
+}
+
+/**
+ * Check whether the cache is bypassed for debugging
+ * @returns {Promise<boolean>} True if cached results must not be read
+ */
+async function isBypassed() {
+    const { bypassCache } = await getStoredPreferences();
+    return Boolean(bypassCache);
+}
+
+/**
+ * Look up cached results. Nothing is returned while the cache is bypassed.
+ * @param {Array<string>} keys Keys from `buildCacheKey`
+ * @returns {Promise<Map<string, *>>} Cached values by key; missing keys are left out
+ */
+export async function getCached(keys) {
+    const found = new Map();
+    if (keys.length === 0 || await isBypassed()) return found;
+
+    try {
+        const uniqueKeys = [...new Set(keys)];
+        const records = await idbGetMany(VALUE_STORE, uniqueKeys);
+        records.forEach((record, index) => {
+            if (record) found.set(uniqueKeys[index], record.value);
+        });
+
+        if (found.size > 0) {
+            const usedAt = Date.now();
+            const indexRecords = await idbGetMany(INDEX_STORE, [...found.keys()]);
+            await idbPutMany(INDEX_STORE, indexRecords.filter(Boolean).map(record => ({ ...record, usedAt })));
+        }
+    } catch (error) {
+        console.error('[Content Cache] Failed to read cache:', error);
+    }
+    return found;
+}
+
+/**
+ * Store results, then evict the least recently used entries if the cache grew too large.
+ * Results are stored even while the cache is bypassed, so a bypassed run refreshes it.
+ * @param {string} kind 'cleaning', 'filter' or 'summary'
+ * @param {Array<{key: string, value: *}>} entries Keys from `buildCacheKey` and their values
+ * @returns {Promise<void>}
+ */
+export async function putCached(kind, entries) {
+    if (entries.length === 0) return;
+
+    const usedAt = Date.now();
+    try {
+        await idbPutMany(VALUE_STORE, entries.map(({ key, value }) => ({ key, value })));
+        await idbPutMany(INDEX_STORE, entries.map(({ key, value }) => ({
+            key,
+            kind,
+            // UTF-16, as the browser holds it; close enough for a size limit
+            size: JSON.stringify(value).length * 2,
+            usedAt
+        })));
+        await evictIfNeeded();
+    } catch (error) {
+        console.error('[Content Cache] Failed to write cache:', error);
+    }
+}
+
+/**
+ * Evict the least recently used entries while the cache is over its size limit
+ * @returns {Promise<void>}
+ */
+async function evictIfNeeded() {
+    const index = await idbGetAll(INDEX_STORE);
+    let total = index.reduce((sum, record) => sum + record.size, 0);
+    if (total <= MAX_CACHE_BYTES) return;
+
+    const evicted = [];
+    index.sort((a, b) => a.usedAt - b.usedAt);
+    for (const record of index) {
+        if (total <= EVICT_TO_BYTES) break;
+        evicted.push(record.key);
+        total -= record.size;
+    }
+
+    await idbDeleteMany(VALUE_STORE, evicted);
+    await idbDeleteMany(INDEX_STORE, evicted);
+    console.log(`[Content Cache] Evicted ${evicted.length} entries; ${Math.round(total / 1024 / 1024)} MB left.`);
+}
+
+/**
+ * Remove every cached result
+ * @returns {Promise<void>}
+ */
+export async function clearContentCache() {
+    await idbClear(VALUE_STORE);
+    await idbClear(INDEX_STORE);
+}
@@ -5,6 +5,9 @@
 
 import { filterRelevantEmails, offscreenManager, cleanEmailContent, getOpenAIApiKey } from './openai-handler.js';
 import { getStoredPreferences } from './personalization.js';
+import { parseMimePayload } from './mime-parser.js';
+import { buildNewsletterQuery } from './gmail-api.js';
+import { canonicalizeUrl, urlKey } from './url-canonicalizer.js';
 
 const GMAIL_API_ROOT = 'https://www.googleapis.com/gmail/v1/users/me';
 
@@ -25,7 +28,7 @@ async function getAuthToken() {
 }
 
 /**
- * Fetch emails from updates category with pagination
+ * Fetch emails matching the configured newsletter query with pagination
  * @param {number} maxResults Number of emails to fetch
  * @param {string} pageToken Page token for pagination
  * @returns {Promise<Object>} Response with messages and nextPageToken
@@ -33,7 +36,8 @@ async function getAuthToken() {
 async function fetchUpdatesEmails(maxResults = 20, pageToken = null) {
     try {
         const token = await getAuthToken();
-        const query = 'category:updates';
+        const { gmailQuery } = await getStoredPreferences();
+        const query = buildNewsletterQuery(gmailQuery);
         
         let url = `${GMAIL_API_ROOT}/messages?q=${encodeURIComponent(query)}&maxResults=${maxResults}`;
         if (pageToken) {
@@ -116,15 +120,8 @@ function processEmailData(emailData) {
         date = new Date(); // Use current date as fallback
     }
 
-    let body = '';
-    if (emailData.payload.parts) {
-        const htmlPart = emailData.payload.parts.find(part => part.mimeType === 'text/html');
-        if (htmlPart && htmlPart.body.data) {
-            body = atob(htmlPart.body.data.replace(/-/g, '+').replace(/_/g, '/'));
-        }
-    } else if (emailData.payload.body.data) {
-        body = atob(emailData.payload.body.data.replace(/-/g, '+').replace(/_/g, '/'));
-    }
+    const { html, text } = parseMimePayload(emailData.payload);
+    const body = html || text;
 
     return {
         id: emailData.id,
@@ -297,29 +294,11 @@ async function extractRelevantLinks(htmlString) {
 function filterRelevantLinks(links) {
     if (!links || links.length === 0) return [];
     
-    // Helper function to normalize URLs by removing tracking parameters
+    // Helper function to compare URLs by their canonical form
     function normalizeUrl(url) {
-        try {
-            const urlObj = new URL(url);
-            
-                    console.log(`[URL Normalize] Original: ${url.substring(0, 150)}...`);
-        
-        // Remove ALL query parameters for better deduplication
-        // Most newsletter links are the same article with different tracking
-        urlObj.search = '';
-        
-        // Also normalize the hash/fragment
-        urlObj.hash = '';
-        
-        const normalized = urlObj.toString();
-        console.log(`[URL Normalize] Normalized: ${normalized}`);
-            
-            return normalized;
-        } catch (error) {
-            console.log(`[URL Normalize] Failed to parse URL: ${error.message}`);
-            // If URL parsing fails, return original URL
-            return url;
-        }
+        const normalized = urlKey(url) || url;
+        console.log(`[URL Normalize] ${url.substring(0, 150)} → ${normalized}`);
+        return normalized;
     }
     
     // Patterns for irrelevant link text (promotional/boilerplate)
@@ -433,7 +412,7 @@ function filterRelevantLinks(links) {
         // This catches cases where same article has slightly different extracted text
         if (!seenUrls.has(normalizedUrl)) {
             seenUrls.add(normalizedUrl);
-            deduplicatedLinks.push(link);
+            deduplicatedLinks.push({ ...link, url: canonicalizeUrl(originalUrl) });
             console.log(`[Link Dedup] ✅ Added unique link`);
         } else {
             console.log(`[Link Dedup] ❌ Skipped duplicate URL`);
@@ -1064,16 +1043,7 @@ export async function runLinkFilteringTest() {
         
         // Helper function for global deduplication
         function globalNormalizeUrl(url) {
-            try {
-                const urlObj = new URL(url);
-                // Remove ALL query parameters for better deduplication
-                urlObj.search = '';
-                urlObj.hash = '';
-                return urlObj.toString();
-            } catch (error) {
-                console.log(`[Global Normalize] Failed to parse URL: ${error.message}`);
-                return url;
-            }
+            return canonicalizeUrl(url).replace(/#.*$/, '');
         }
         
         for (const emailResult of allTestResults) {
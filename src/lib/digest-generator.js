@@ -2,48 +2,149 @@
  * Digest generation and formatting
  */
 
-import { fetchNewsletterEmails } from './gmail-api.js';
+import { fetchFromSources } from './mail-sources.js';
+import { removeDuplicateFeedItems } from './feed-source.js';
 import {
     filterRelevantEmails,
     generateSummaryFromEmails,
-    offscreenManager
+    offscreenManager,
+    segmentEmailsIntoStories
 } from './openai-handler.js';
 import { getStoredPreferences } from './personalization.js';
+import { planDigestRun } from './budget.js';
+import { applyMailboxActions } from './mailbox-actions.js';
+import { recordDigestOutcome } from './subscriptions.js';
 import { addDigestToKnowledgeWeb, extractUrls, fetchAndParseArticle } from './knowledge-web.js';
 
+/**
+ * Fetch the emails of a run, split them into stories, drop feed items a newsletter already links to
+ * and plan the run within the spending budgets.
+ * Needs the offscreen document.
+ * @param {string} period How far back to look, e.g. '1d' or '7d'
+ * @param {Object} options Per-digest options, see `generateDigest`
+ * @returns {Promise<{fetchStats: Object, plan: Object|null, enrichArticles: boolean}>} Fetch statistics and
+ *   the run plan from `planDigestRun`, null when there are no emails
+ */
+async function prepareRun(period, options) {
+    const preferences = await getStoredPreferences();
+    const { emails: fetched, stats: fetchStats } = await fetchFromSources(preferences.mailSources, period, {
+        maxMessages: preferences.maxEmails,
+        refresh: Boolean(options.refresh)
+    });
+    console.log(`[Digest Generator] Loaded ${fetchStats.fetched} emails from sources:`, fetchStats.sources);
+    const enrichArticles = options.enrichArticles !== undefined ? options.enrichArticles : preferences.articleEnrichment.enabled;
+    if (fetched.length === 0) {
+        return { fetchStats, plan: null, enrichArticles };
+    }
+
+    // Newsletter links can only be matched against feed items once segmenting has resolved them
+    const { emails, storiesByEmail, removed } = removeDuplicateFeedItems(fetched, await segmentEmailsIntoStories(fetched));
+    fetchStats.duplicateFeedItems = removed;
+    const plan = await planDigestRun(emails, storiesByEmail, preferences, {
+        scheduled: Boolean(options.scheduled),
+        enrichmentTokens: enrichArticles ? preferences.articleEnrichment.tokenBudget : 0
+    });
+    return { fetchStats, plan, enrichArticles };
+}
+
+/**
+ * Estimates the cost of a digest without generating it, for the popup to show before a run.
+ * @param {string} [period] How far back to look, e.g. '1d' or '7d'
+ * @param {Object} [options] Per-digest options, see `generateDigest`
+ * @returns {Promise<Object>} `{success, plan}` with the run plan from `planDigestRun` minus the
+ *   emails and preferences, or null when there are no emails
+ */
+export async function estimateDigest(period = '7d', options = {}) {
+    try {
+        await offscreenManager.setup();
+        const { plan } = await prepareRun(period, options);
+        if (!plan) {
+            return { success: true, plan: null };
+        }
+        const { emails, preferences, ...summary } = plan;
+        return { success: true, plan: summary };
+    } catch (error) {
+        console.error('[Digest Generator] Failed to estimate digest cost:', error);
+        return { success: false, error: error.message };
+    } finally {
+        await offscreenManager.close();
+    }
+}
+
 /**
  * Generates a full digest of recent, relevant newsletters by orchestrating
  * the entire Fetch -> Pick -> Summarize pipeline.
+ * @param {string} [period] How far back to look, e.g. '1d' or '7d'
+ * @param {Object} [options] Per-digest options
+ * @param {boolean} [options.enrichArticles] Add full-article extracts; defaults to the `articleEnrichment` preference
+ * @param {boolean} [options.scheduled] True for runs started by the scheduler, which the monthly budget can refuse
+ * @param {boolean} [options.refresh] Check for new mail; without it, mail already synced for the period is reused
  * @returns {Promise<Object>} The final, generated digest object.
  */
-export async function generateDigest(period = '7d') {
+export async function generateDigest(period = '7d', options = {}) {
     console.log('[Digest Generator] Starting digest generation for period:', period);
     try {
         await offscreenManager.setup();
 
-        const [preferences, allEmails] = await Promise.all([
-            getStoredPreferences(),
-            fetchNewsletterEmails(period)
-        ]);
-        console.log(`[Digest Generator] Fetched ${allEmails.length} emails.`);
-        if (allEmails.length === 0) {
-            return { success: true, digest: "No new emails to digest in the last week." };
+        const { fetchStats, plan, enrichArticles } = await prepareRun(period, options);
+        if (!plan) {
+            return { success: true, digest: "No new emails to digest in the last week.", fetchStats };
         }
+        if (!plan.allowed) {
+            console.warn('[Digest Generator] Run refused by the budget:', plan.reason);
+            return { success: false, error: plan.reason, fetchStats };
+        }
+        // May carry a cheaper model or a shorter detail level, and fewer emails than were fetched
+        const { preferences, emails: allEmails, adjustments } = plan;
+        if (adjustments.length > 0) {
+            console.log('[Digest Generator] Adjusted to stay within the budget:', adjustments);
+        }
+
+        // In separate mode each Gmail account gets its own filter pass and its own section
+        const groups = preferences.accountDigestMode === 'separate'
+            ? groupEmailsByAccount(allEmails)
+            : [{ title: null, emails: allEmails }];
+
+        // Generated up front so model usage can be recorded against the digest
+        const digestId = generateDigestId();
 
         console.log('[Digest Generator] Filtering relevant emails...');
-        const relevantEmails = await filterRelevantEmails(allEmails, preferences);
+        for (const group of groups) {
+            group.relevantEmails = await filterRelevantEmails(group.emails, preferences, { digestId });
+        }
+        const relevantEmails = groups.flatMap(group => group.relevantEmails);
         console.log(`[Digest Generator] Relevant emails after filtering:`, relevantEmails);
 
+        try {
+            await recordDigestOutcome(allEmails, relevantEmails);
+        } catch (error) {
+            console.error('[Digest Generator] Failed to record subscription stats:', error);
+        }
+
         if (relevantEmails.length === 0) {
             console.log('[Digest Generator] No relevant emails found to generate a digest.');
-            return { success: true, digest: "No relevant topics found in your recent emails. Your inbox is on top of things!" };
+            const mailboxActions = await runMailboxActions(digestId, allEmails, relevantEmails, preferences);
+            return { success: true, digest: "No relevant topics found in your recent emails. Your inbox is on top of things!", digestId, fetchStats, mailboxActions, budgetAdjustments: adjustments };
         }
 
         console.log(`[Digest Generator] Sending ${relevantEmails.length} relevant emails to AI for summarization...`);
-        const summary = await generateSummaryFromEmails(relevantEmails, preferences);
+        const summaryGroups = groups.filter(group => group.relevantEmails.length > 0);
+        // The article budget is per digest, so account sections share it
+        const enrichment = enrichArticles ? {
+            maxArticles: Math.ceil(preferences.articleEnrichment.maxArticles / summaryGroups.length),
+            tokenBudget: Math.floor(preferences.articleEnrichment.tokenBudget / summaryGroups.length)
+        } : null;
+        // A section that fails throws, so a failed run returns an error and leaves the mailbox alone
+        const sections = [];
+        for (const group of summaryGroups) {
+            const summary = await generateSummaryFromEmails(group.relevantEmails, preferences, { enrichment, digestId });
+            sections.push(group.title ? `## ${group.title}\n\n${summary}` : summary);
+        }
+        const summary = sections.join('\n\n');
         
         console.log('[Digest Generator] Digest generation complete.');
-        return { success: true, digest: summary };
+        const mailboxActions = await runMailboxActions(digestId, allEmails, relevantEmails, preferences);
+        return { success: true, digest: summary, digestId, fetchStats, mailboxActions, budgetAdjustments: adjustments };
 
     } catch (error) {
         console.error('[Digest Generator] A critical error occurred:', error);
@@ -54,6 +155,64 @@ export async function generateDigest(period = '7d') {
     }
 }
 
+/**
+ * Split emails into one group per Gmail account, plus one for every other source
+ * @param {Array<Object>} emails Emails from every source
+ * @returns {Array<{title: string|null, emails: Array<Object>}>} Groups in first-seen order
+ */
+function groupEmailsByAccount(emails) {
+    const groups = new Map();
+    emails.forEach(email => {
+        const key = email.sourceId === 'gmail' ? `gmail:${email.accountId}` : 'other';
+        if (!groups.has(key)) {
+            const title = email.sourceId !== 'gmail' ? 'Other sources' : (email.account || 'Gmail');
+            groups.set(key, { title, emails: [] });
+        }
+        groups.get(key).emails.push(email);
+    });
+
+    const result = Array.from(groups.values());
+    // A single group needs no heading
+    return result.length > 1 ? result : [{ title: null, emails }];
+}
+
+/**
+ * Run the optional post-digest mailbox actions. A failure here is logged and reported
+ * but never fails the digest itself.
+ * @param {string} digestId ID of the digest
+ * @param {Array<Object>} allEmails Every email considered for the digest
+ * @param {Array<Object>} relevantEmails Emails that made it into the digest
+ * @param {Object} preferences User preferences
+ * @returns {Promise<Object|null>} Summary of the run, or null if mailbox actions are off
+ */
+async function runMailboxActions(digestId, allEmails, relevantEmails, preferences) {
+    const settings = preferences.mailboxActions;
+    if (!settings || !settings.enabled) {
+        return null;
+    }
+
+    try {
+        const relevantIds = new Set(relevantEmails.map(email => email.id));
+        const entry = await applyMailboxActions(digestId, {
+            included: relevantEmails,
+            filtered: allEmails.filter(email => !relevantIds.has(email.id))
+        }, settings);
+        if (!entry) {
+            return null;
+        }
+
+        const failed = entry.results.filter(result => result.status === 'failed');
+        return {
+            entryId: entry.id,
+            updated: entry.results.length - failed.length,
+            failed: failed.length
+        };
+    } catch (error) {
+        console.error('[Digest Generator] Mailbox actions failed:', error);
+        return { error: error.message };
+    }
+}
+
 /**
  * Generate a unique digest ID
  * @returns {string} Unique digest ID
@@ -149,6 +308,7 @@ function generateSections(categorizedContent) {
                 date: item.date,
                 summary: item.summary,
                 score: item.score,
+                language: item.language || null,
                 isFallback: item.isFallback || false
             }))
         }))
@@ -0,0 +1,254 @@
+/**
+ * Per-sender extraction rules.
+ * A rule tells the offscreen cleaner where a newsletter keeps its main content, which
+ * elements to strip, which boilerplate phrases mark sections to drop, and which phrases
+ * mark sponsored sections. Rules are matched by sender address or domain, or by markers
+ * in the HTML for platforms that send from the publisher's own domain.
+ */
+
+import { parseSender } from './subscriptions.js';
+
+const USER_RULES_KEY = 'extractionRules';
+
+/**
+ * @typedef {Object} ExtractionRule
+ * @property {string} id Unique rule ID
+ * @property {string} name Display name
+ * @property {Array<string>} senders Addresses ('news@example.com') or domains ('example.com', '@example.com')
+ * @property {Array<string>} [htmlMarkers] Strings whose presence in the HTML also selects the rule
+ * @property {Array<string>} mainSelectors Selectors for the main content, tried in order
+ * @property {Array<string>} stripSelectors Selectors removed before extraction
+ * @property {Array<string>} boilerplatePhrases Lower-case phrases that mark sections to drop
+ * @property {Array<string>} sponsorMarkers Lower-case phrases that mark sponsored sections, strongest at the top of a section
+ */
+
+// Applied to every email, before any sender-specific rule
+const GENERIC_RULE = {
+    id: 'generic',
+    name: 'Generic newsletter',
+    senders: [],
+    mainSelectors: [],
+    stripSelectors: [
+        'style', 'script', 'noscript', 'meta', 'link',
+        '.header', '.footer', '.nav', '.navigation',
+        '.social', '.share', '.unsubscribe', '.preferences',
+        '[style*="display:none"]', '[style*="visibility:hidden"]',
+        '.preheader', '.email-header', '.email-footer',
+        '.footer-content', '.email-footer-content', '.unsubscribe-section',
+        '.copyright', '.legal', '.disclaimer', '.address',
+        '[class*="footer"]', '[id*="footer"]', '[class*="unsubscribe"]',
+        'table[class*="footer"]', 'td[class*="footer"]', 'div[class*="footer"]',
+        '.social-links', '.share-buttons', '[class*="social"]'
+    ],
+    boilerplatePhrases: [
+        'share this email',
+        'view in browser',
+        'unsubscribe',
+        'sign up',
+        'advertise',
+        'view online',
+        'follow us',
+        'social media',
+        'contact us',
+        'privacy policy',
+        'terms of service',
+        'copyright ©',
+        'all rights reserved',
+        'you received this email because',
+        'to unsubscribe',
+        'manage your preferences',
+        'forward this email',
+        'add us to your address book',
+        'email preferences',
+        'subscription center',
+        'this email was sent to',
+        'if you no longer wish to receive',
+        'update your email preferences',
+        'legal disclaimer',
+        'confidential and proprietary'
+    ],
+    sponsorMarkers: [
+        'brought to you by',
+        'sponsored by',
+        'presented by',
+        'in partnership with',
+        'paid partnership',
+        'a word from our sponsor',
+        'thanks to our sponsor',
+        'newsletter ads'
+    ]
+};
+
+export const BUILT_IN_RULES = [
+    {
+        id: 'substack',
+        name: 'Substack',
+        senders: ['substack.com'],
+        htmlMarkers: ['substackcdn.com', 'substack.com/redirect'],
+        mainSelectors: ['.post', '.body.markup', '.post-content'],
+        stripSelectors: [
+            '.post-meta', '.subscription-widget-wrap', '.button-wrapper',
+            '.email-ufi-2-bottom', '.like-button-container', '.comment-button-container'
+        ],
+        boilerplatePhrases: [
+            'forwarded this email? subscribe here',
+            'upgrade to paid',
+            'you\'re currently a free subscriber',
+            '548 market street'
+        ],
+        sponsorMarkers: ['a message from our sponsor', 'this post is sponsored by']
+    },
+    {
+        id: 'beehiiv',
+        name: 'Beehiiv',
+        senders: ['beehiiv.com'],
+        htmlMarkers: ['media.beehiiv.com', 'link.mail.beehiiv.com'],
+        mainSelectors: ['#content-blocks', '.content-blocks'],
+        stripSelectors: ['.beehiiv__footer', '#footer'],
+        boilerplatePhrases: [
+            'powered by beehiiv',
+            'did someone forward this email',
+            'update your email preferences or unsubscribe'
+        ],
+        sponsorMarkers: ['together with', 'presented by', 'in partnership with']
+    },
+    {
+        id: 'mailchimp',
+        name: 'Mailchimp',
+        senders: ['mailchimpapp.com', 'mcsv.net'],
+        htmlMarkers: ['list-manage.com', 'mcusercontent.com'],
+        mainSelectors: ['#templateBody', '.mcnTextContent', '#bodyTable'],
+        stripSelectors: ['#templatePreheader', '#templateFooter', '.mcnFollowBlock', '.mcnShareBlock', '#awesomewrap'],
+        boilerplatePhrases: [
+            'why did i get this',
+            'update your preferences',
+            'unsubscribe from this list',
+            'our mailing address is'
+        ],
+        sponsorMarkers: []
+    },
+    {
+        id: 'convertkit',
+        name: 'ConvertKit',
+        senders: ['convertkit.com', 'ck.page', 'kit.com'],
+        htmlMarkers: ['convertkit-mail', 'ck.page'],
+        mainSelectors: ['.ck-section'],
+        stripSelectors: ['.ck-footer'],
+        boilerplatePhrases: ['update your profile', 'powered by kit'],
+        sponsorMarkers: []
+    },
+    {
+        id: 'mckinsey',
+        name: 'McKinsey',
+        senders: ['mckinsey.com'],
+        mainSelectors: [
+            '[role="main"]',
+            '.main-content',
+            '.email-content',
+            '.newsletter-content',
+            'table[width="600"]',
+            'td[style*="padding"]',
+            '.content-wrapper'
+        ],
+        stripSelectors: [],
+        boilerplatePhrases: [
+            'mckinsey & company',
+            'world trade center',
+            'greenwich street',
+            'new york, ny'
+        ],
+        sponsorMarkers: []
+    }
+];
+
+/**
+ * Check whether a rule's sender list matches an address
+ * @param {Array<string>} senders Rule senders
+ * @param {string} address Lower-cased sender address
+ * @returns {boolean} True if any entry matches
+ */
+function matchesSender(senders, address) {
+    const domain = address.split('@')[1] || '';
+    return senders.some(entry => {
+        const value = entry.trim().toLowerCase();
+        if (!value) return false;
+        if (value.includes('@') && !value.startsWith('@')) {
+            return value === address;
+        }
+        const ruleDomain = value.replace(/^@/, '');
+        return domain === ruleDomain || domain.endsWith(`.${ruleDomain}`);
+    });
+}
+
+/**
+ * Check whether a rule applies to an email
+ * @param {ExtractionRule} rule Rule to test
+ * @param {string} address Lower-cased sender address
+ * @param {string} html Email HTML
+ * @returns {boolean} True if the rule applies
+ */
+function ruleMatches(rule, address, html) {
+    if (address && matchesSender(rule.senders || [], address)) {
+        return true;
+    }
+    return (rule.htmlMarkers || []).some(marker => marker && html.includes(marker));
+}
+
+/**
+ * Combine the generic rule with every rule that matches an email.
+ * User rules come first, so their main-content selectors are tried before the built-in ones.
+ * @param {Object} email Email with `from` and `body`
+ * @param {Array<ExtractionRule>} [userRules] Rules added on the options page
+ * @returns {{names: Array<string>, mainSelectors: Array<string>, stripSelectors: Array<string>, boilerplatePhrases: Array<string>, sponsorMarkers: Array<string>}} Merged rule for the offscreen cleaner
+ */
+export function resolveExtractionRule(email, userRules = []) {
+    const { address } = parseSender(email.from);
+    const html = email.body || '';
+    const matched = [...userRules, ...BUILT_IN_RULES].filter(rule => ruleMatches(rule, address, html));
+    const merge = field => [...new Set([GENERIC_RULE, ...matched].flatMap(rule => rule[field] || []))];
+
+    return {
+        names: matched.map(rule => rule.name),
+        mainSelectors: [...new Set(matched.flatMap(rule => rule.mainSelectors || []))],
+        stripSelectors: merge('stripSelectors'),
+        boilerplatePhrases: merge('boilerplatePhrases').map(phrase => phrase.toLowerCase()),
+        sponsorMarkers: merge('sponsorMarkers').map(marker => marker.toLowerCase())
+    };
+}
+
+/**
+ * Load the rules added on the options page
+ * @returns {Promise<Array<ExtractionRule>>} User rules
+ */
+export async function getUserExtractionRules() {
+    const { [USER_RULES_KEY]: rules } = await chrome.storage.local.get(USER_RULES_KEY);
+    return rules || [];
+}
+
+/**
+ * Insert or replace a user rule
+ * @param {ExtractionRule} rule Rule to save; a missing `id` creates a new rule
+ * @returns {Promise<ExtractionRule>} The saved rule
+ */
+export async function saveUserExtractionRule(rule) {
+    const rules = await getUserExtractionRules();
+    const saved = { ...rule, id: rule.id || `rule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}` };
+    const index = rules.findIndex(existing => existing.id === saved.id);
+    if (index === -1) {
+        rules.push(saved);
+    } else {
+        rules[index] = saved;
+    }
+    await chrome.storage.local.set({ [USER_RULES_KEY]: rules });
+    return saved;
+}
+
+/**
+ * Delete a user rule
+ * @param {string} ruleId Rule ID
+ * @returns {Promise<void>}
+ */
+export async function deleteUserExtractionRule(ruleId) {
+    const rules = await getUserExtractionRules();
+    await chrome.storage.local.set({ [USER_RULES_KEY]: rules.filter(rule => rule.id !== ruleId) });
+}
@@ -2,12 +2,30 @@
  * Gmail API integration for fetching and processing newsletter emails
  */
 
-const GMAIL_API_SCOPES = [
+import { getHeader, parseMimePayload } from './mime-parser.js';
+import { GmailApiError, gmailBatchGet, gmailRequest, MAX_BATCH_SIZE } from './gmail-client.js';
+import { mapWithConcurrency } from './utils.js';
+
+export const GMAIL_API_SCOPES = [
     'https://www.googleapis.com/auth/gmail.readonly',
     'https://www.googleapis.com/auth/gmail.modify'
 ];
 
-const NEWSLETTER_QUERY = 'category:promotions OR category:updates';
+// Default newsletter search: the Updates category, limited to mail that offers an unsubscribe link
+export const DEFAULT_QUERY_SETTINGS = {
+    categories: ['updates'],
+    labels: [],
+    requireUnsubscribe: true,
+    includeSenders: [],
+    excludeSenders: [],
+    extraTerms: ''
+};
+
+export const GMAIL_CATEGORIES = ['primary', 'social', 'promotions', 'updates', 'forums'];
+
+const DEFAULT_MAX_MESSAGES = 500;
+const LIST_PAGE_SIZE = 100; // Gmail allows up to 500, smaller pages keep each request quick
+const DEFAULT_FETCH_CONCURRENCY = 2; // Batch requests in flight; the quota tracker paces them further
 
 /**
  * Initialize Gmail API authentication
@@ -27,40 +45,46 @@ export async function initializeGmailAPI() {
 }
 
 /**
- * Fetch newsletter emails from Gmail
- * @param {Object} options Query options
- * @returns {Promise<Array>} Array of processed email objects
+ * Fetch newsletter emails from Gmail.
+ * Follows `nextPageToken` until the period is covered or `maxMessages` is reached,
+ * then downloads message details in batch requests.
+ * @param {string} period Gmail `newer_than` period, e.g. '7d'
+ * @param {Object} options Fetch options
+ * @param {number} options.maxMessages Upper bound on the number of messages to fetch
+ * @param {number} options.concurrency Number of batch requests in flight at once
+ * @param {Object} options.querySettings Query builder settings, see `buildNewsletterQuery`
+ * @returns {Promise<{emails: Array, stats: {found: number, fetched: number, skipped: number, truncated: boolean}}>}
  */
-export async function fetchNewsletterEmails(period = '7d') {
+export async function fetchNewsletterEmails(period = '7d', options = {}) {
+    const {
+        maxMessages = DEFAULT_MAX_MESSAGES,
+        concurrency = DEFAULT_FETCH_CONCURRENCY,
+        querySettings
+    } = options;
+
     try {
         const token = await getAuthToken();
-        const query = `category:updates AND "unsubscribe" newer_than:${period}`;
+        const query = buildNewsletterQuery(querySettings, period);
 
-        const response = await fetch(`https://www.googleapis.com/gmail/v1/users/me/messages?q=${encodeURIComponent(query)}&maxResults=50`, {
-            headers: {
-                'Authorization': `Bearer ${token}`,
-            }
-        });
-
-        if (!response.ok) {
-            throw new Error(`Gmail API error: ${response.statusText}`);
-        }
+        const { ids, truncated } = await listMessageIds(query, token, maxMessages);
 
-        const data = await response.json();
-        
         // Gracefully handle cases where no emails match the query
-        if (!data.messages || data.messages.length === 0) {
+        if (ids.length === 0) {
             console.log("No newsletter emails found.");
-            return [];
+            return { emails: [], stats: { found: 0, fetched: 0, skipped: 0, truncated: false } };
         }
 
-        const emails = await Promise.all(
-            data.messages.slice(0, 50).map(message => 
-                fetchEmailDetails(message.id, token)
-            )
-        );
+        const { emails, failedIds } = await fetchMessages(ids, token, concurrency);
+
+        const stats = {
+            found: ids.length,
+            fetched: emails.length,
+            skipped: failedIds.length,
+            truncated
+        };
+        console.log(`[Gmail API] Found ${stats.found} messages, fetched ${stats.fetched}, skipped ${stats.skipped}${truncated ? ` (capped at ${maxMessages})` : ''}.`);
 
-        return emails;
+        return { emails, stats };
     } catch (error) {
         console.error('Error fetching emails:', error);
         throw new Error('Failed to fetch emails');
@@ -68,32 +92,249 @@ export async function fetchNewsletterEmails(period = '7d') {
 }
 
 /**
- * Fetch detailed information for a specific email
- * @param {string} messageId Gmail message ID
+ * Turn a sender or domain entry into a `from:` search value
+ * @param {string} entry Address or domain, e.g. 'news@example.com', '@example.com' or 'example.com'
+ * @returns {string} Search value
+ */
+function formatSenderTerm(entry) {
+    const value = entry.trim().replace(/^@/, '');
+    return /[\s()]/.test(value) ? `"${value}"` : value;
+}
+
+/**
+ * Turn a label name into a `label:` search value.
+ * Gmail matches labels with spaces and nested "/" separators written as hyphens.
+ * @param {string} name Label name as shown in Gmail
+ * @returns {string} Search value
+ */
+function formatLabelTerm(name) {
+    return name.trim().toLowerCase().replace(/[\s/]+/g, '-');
+}
+
+/**
+ * Build the Gmail search query used to find newsletters.
+ * Categories and labels are alternatives; always-included senders match regardless of the
+ * other rules, and excluded senders are removed from everything.
+ * @param {Object} [settings] Query settings, defaults to `DEFAULT_QUERY_SETTINGS`
+ * @param {Array<string>} settings.categories Gmail categories to search, e.g. ['updates', 'promotions']
+ * @param {Array<string>} settings.labels Label names to search
+ * @param {boolean} settings.requireUnsubscribe Only match mail that mentions "unsubscribe"
+ * @param {Array<string>} settings.includeSenders Addresses or domains to always include
+ * @param {Array<string>} settings.excludeSenders Addresses or domains to always exclude
+ * @param {string} settings.extraTerms Free-form Gmail search terms added to the rules
+ * @param {string} [period] Optional `newer_than` period, e.g. '7d'. Omit it for the window-independent query.
+ * @returns {string} Gmail search query
+ */
+export function buildNewsletterQuery(settings, period) {
+    const {
+        categories = [],
+        labels = [],
+        requireUnsubscribe = false,
+        includeSenders = [],
+        excludeSenders = [],
+        extraTerms = ''
+    } = { ...DEFAULT_QUERY_SETTINGS, ...settings };
+
+    const scope = [
+        ...categories.map(category => `category:${category}`),
+        ...labels.filter(label => label.trim()).map(label => `label:${formatLabelTerm(label)}`)
+    ];
+
+    const ruleTerms = [];
+    if (scope.length > 0) {
+        ruleTerms.push(scope.length === 1 ? scope[0] : `{${scope.join(' ')}}`);
+    }
+    if (requireUnsubscribe) {
+        ruleTerms.push('"unsubscribe"');
+    }
+    if (extraTerms.trim()) {
+        ruleTerms.push(`(${extraTerms.trim()})`);
+    }
+
+    const included = includeSenders.filter(sender => sender.trim()).map(formatSenderTerm);
+    const excluded = excludeSenders.filter(sender => sender.trim()).map(formatSenderTerm);
+
+    const alternatives = [];
+    if (ruleTerms.length > 0) {
+        alternatives.push(ruleTerms.length === 1 ? ruleTerms[0] : `(${ruleTerms.join(' ')})`);
+    }
+    if (included.length > 0) {
+        alternatives.push(`from:(${included.join(' OR ')})`);
+    }
+
+    const parts = [];
+    if (alternatives.length > 0) {
+        parts.push(alternatives.length === 1 ? alternatives[0] : `(${alternatives.join(' OR ')})`);
+    }
+    if (excluded.length > 0) {
+        parts.push(`-from:(${excluded.join(' OR ')})`);
+    }
+    if (period) {
+        parts.push(`newer_than:${period}`);
+    }
+
+    return parts.join(' ') || 'in:inbox';
+}
+
+/**
+ * Get Gmail's estimate of how many messages match a query, without listing them
+ * @param {string} query Gmail search query
  * @param {string} token Auth token
- * @returns {Promise<Object>} Email details
+ * @returns {Promise<number>} Estimated number of matching messages
  */
-async function fetchEmailDetails(messageId, token) {
-    try {
-        const response = await fetch(
-            `https://www.googleapis.com/gmail/v1/users/me/messages/${messageId}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            }
-        );
+export async function estimateMatchingMessages(query, token) {
+    const data = await gmailRequest(`me/messages?q=${encodeURIComponent(query)}&maxResults=1`, token, {
+        operation: 'messages.list'
+    });
+    return data.resultSizeEstimate || 0;
+}
 
-        if (!response.ok) {
-            throw new Error(`Failed to fetch email details: ${response.statusText}`);
+/**
+ * List message IDs matching a query, following pagination up to a limit
+ * @param {string} query Gmail search query
+ * @param {string} token Auth token
+ * @param {number} maxMessages Maximum number of IDs to return
+ * @returns {Promise<{ids: Array<string>, truncated: boolean}>} Message IDs and whether more pages were left
+ */
+export async function listMessageIds(query, token, maxMessages = DEFAULT_MAX_MESSAGES) {
+    const ids = [];
+    let pageToken = null;
+
+    do {
+        const pageSize = Math.min(LIST_PAGE_SIZE, maxMessages - ids.length);
+        let path = `me/messages?q=${encodeURIComponent(query)}&maxResults=${pageSize}`;
+        if (pageToken) {
+            path += `&pageToken=${encodeURIComponent(pageToken)}`;
         }
 
-        const data = await response.json();
-        return processEmailData(data);
-    } catch (error) {
-        console.error('Error fetching email details:', error);
-        throw error;
+        const data = await gmailRequest(path, token, { operation: 'messages.list' });
+        (data.messages || []).forEach(message => ids.push(message.id));
+        pageToken = data.nextPageToken || null;
+    } while (pageToken && ids.length < maxMessages);
+
+    return { ids: ids.slice(0, maxMessages), truncated: Boolean(pageToken) };
+}
+
+/**
+ * Fetch and process a list of messages through the batch endpoint.
+ * Individual failures are collected rather than failing the whole fetch.
+ * @param {Array<string>} ids Gmail message IDs
+ * @param {string} token Auth token
+ * @param {number} concurrency Number of batch requests in flight at once
+ * @returns {Promise<{emails: Array<Object>, failedIds: Array<string>}>} Processed emails and the IDs that failed
+ */
+export async function fetchMessages(ids, token, concurrency = DEFAULT_FETCH_CONCURRENCY) {
+    const chunks = [];
+    for (let i = 0; i < ids.length; i += MAX_BATCH_SIZE) {
+        chunks.push(ids.slice(i, i + MAX_BATCH_SIZE));
     }
+
+    const emails = [];
+    const failedIds = [];
+
+    await mapWithConcurrency(chunks, concurrency, async (chunk) => {
+        const results = await gmailBatchGet(chunk.map(id => `me/messages/${id}`), token, {
+            operation: 'messages.get'
+        });
+
+        results.forEach((result, index) => {
+            if (!result.ok) {
+                console.error(`Error fetching email details for ${chunk[index]}:`, result.error);
+                failedIds.push(chunk[index]);
+                return;
+            }
+            try {
+                emails.push(processEmailData(result.data));
+            } catch (error) {
+                console.error(`Error processing email ${chunk[index]}:`, error);
+                failedIds.push(chunk[index]);
+            }
+        });
+    });
+
+    // Keep the listing order, which is newest first
+    const order = new Map(ids.map((id, index) => [id, index]));
+    emails.sort((a, b) => order.get(a.id) - order.get(b.id));
+
+    return { emails, failedIds };
+}
+
+/**
+ * Raised when Gmail no longer has history for a stored `historyId`
+ */
+export class HistoryExpiredError extends Error {
+    constructor(historyId) {
+        super(`Gmail history ${historyId} has expired`);
+        this.name = 'HistoryExpiredError';
+    }
+}
+
+/**
+ * Get the mailbox profile: address, message counts and current history ID
+ * @param {string} token Auth token
+ * @returns {Promise<{emailAddress: string, historyId: string}>} The profile
+ */
+export async function getProfile(token) {
+    return gmailRequest('me/profile', token, { operation: 'getProfile' });
+}
+
+/**
+ * Get the mailbox's current history ID
+ * @param {string} token Auth token
+ * @returns {Promise<string>} The current history ID
+ */
+export async function getCurrentHistoryId(token) {
+    const profile = await getProfile(token);
+    return profile.historyId;
+}
+
+/**
+ * List messages added to or deleted from the mailbox since a history ID
+ * @param {string} startHistoryId History ID from the previous sync
+ * @param {string} token Auth token
+ * @returns {Promise<{addedIds: Array<string>, deletedIds: Array<string>, historyId: string}>} Changed message IDs and the new history ID
+ * @throws {HistoryExpiredError} When Gmail reports the start history ID is too old
+ */
+export async function listHistory(startHistoryId, token) {
+    const addedIds = new Set();
+    const deletedIds = new Set();
+    let historyId = startHistoryId;
+    let pageToken = null;
+
+    do {
+        let path = `me/history?startHistoryId=${encodeURIComponent(startHistoryId)}` +
+            '&historyTypes=messageAdded&historyTypes=messageDeleted&maxResults=500';
+        if (pageToken) {
+            path += `&pageToken=${encodeURIComponent(pageToken)}`;
+        }
+
+        let data;
+        try {
+            data = await gmailRequest(path, token, { operation: 'history.list' });
+        } catch (error) {
+            // Gmail answers 404 when the start history ID is outside its retention window
+            if (error instanceof GmailApiError && error.status === 404) {
+                throw new HistoryExpiredError(startHistoryId);
+            }
+            throw error;
+        }
+
+        (data.history || []).forEach(record => {
+            (record.messagesAdded || []).forEach(({ message }) => {
+                addedIds.add(message.id);
+                deletedIds.delete(message.id);
+            });
+            (record.messagesDeleted || []).forEach(({ message }) => {
+                deletedIds.add(message.id);
+                addedIds.delete(message.id);
+            });
+        });
+
+        historyId = data.historyId || historyId;
+        pageToken = data.nextPageToken || null;
+    } while (pageToken);
+
+    return { addedIds: [...addedIds], deletedIds: [...deletedIds], historyId };
 }
 
 /**
@@ -103,20 +344,13 @@ async function fetchEmailDetails(messageId, token) {
  */
 function processEmailData(emailData) {
     const headers = emailData.payload.headers;
-    const subject = headers.find(h => h.name === 'Subject')?.value || '';
-    const from = headers.find(h => h.name === 'From')?.value || '';
-    const date = headers.find(h => h.name === 'Date')?.value || '';
-    const listUnsubscribe = headers.find(h => h.name === 'List-Unsubscribe')?.value || null;
-
-    let body = '';
-    if (emailData.payload.parts) {
-        const htmlPart = emailData.payload.parts.find(part => part.mimeType === 'text/html');
-        if (htmlPart && htmlPart.body.data) {
-            body = atob(htmlPart.body.data.replace(/-/g, '+').replace(/_/g, '/'));
-        }
-    } else if (emailData.payload.body.data) {
-        body = atob(emailData.payload.body.data.replace(/-/g, '+').replace(/_/g, '/'));
-    }
+    const subject = getHeader(headers, 'Subject') || '';
+    const from = getHeader(headers, 'From') || '';
+    const date = getHeader(headers, 'Date') || '';
+    const listUnsubscribe = getHeader(headers, 'List-Unsubscribe');
+    const listUnsubscribePost = getHeader(headers, 'List-Unsubscribe-Post');
+
+    const { html, text, attachments } = parseMimePayload(emailData.payload);
 
     return {
         id: emailData.id,
@@ -124,7 +358,12 @@ function processEmailData(emailData) {
         from,
         date: new Date(date),
         listUnsubscribe,
-        body,
+        listUnsubscribePost,
+        // Downstream cleaning expects HTML, but plain-text-only newsletters still carry content
+        body: html || text,
+        htmlBody: html,
+        textBody: text,
+        attachments,
         snippet: emailData.snippet
     };
 }
@@ -141,40 +380,107 @@ export async function markAsRead(messageId) {
             throw new Error('Not authenticated');
         }
 
-        const response = await fetch(
-            `https://www.googleapis.com/gmail/v1/users/me/messages/${messageId}/modify`,
-            {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    removeLabelIds: ['UNREAD']
-                })
-            }
-        );
-
-        if (!response.ok) {
-            throw new Error(`Failed to mark email as read: ${response.statusText}`);
-        }
+        await modifyMessageLabels(messageId, token, { removeLabelIds: ['UNREAD'] });
     } catch (error) {
         console.error('Error marking email as read:', error);
         throw error;
     }
 }
 
+/**
+ * Get the current label IDs of a message
+ * @param {string} messageId Gmail message ID
+ * @param {string} token Auth token
+ * @returns {Promise<Array<string>>} Label IDs, including system labels such as UNREAD and INBOX
+ */
+export async function getMessageLabelIds(messageId, token) {
+    const data = await gmailRequest(`me/messages/${messageId}?format=minimal`, token, { operation: 'messages.get' });
+    return data.labelIds || [];
+}
+
+/**
+ * Add and remove labels on a message
+ * @param {string} messageId Gmail message ID
+ * @param {string} token Auth token
+ * @param {Object} changes Label changes
+ * @param {Array<string>} [changes.addLabelIds] Label IDs to add
+ * @param {Array<string>} [changes.removeLabelIds] Label IDs to remove
+ * @returns {Promise<Array<string>>} The message's label IDs after the change
+ */
+export async function modifyMessageLabels(messageId, token, { addLabelIds = [], removeLabelIds = [] }) {
+    const data = await gmailRequest(`me/messages/${messageId}/modify`, token, {
+        operation: 'messages.modify',
+        method: 'POST',
+        body: { addLabelIds, removeLabelIds }
+    });
+    return data.labelIds || [];
+}
+
+/**
+ * Find a user label by name, creating it (and its parent labels) if needed
+ * @param {string} name Full label name, e.g. 'Inbox Digest/Digested'
+ * @param {string} token Auth token
+ * @returns {Promise<string>} The label ID
+ */
+export async function ensureLabel(name, token) {
+    const { labels = [] } = await gmailRequest('me/labels', token, { operation: 'labels.list' });
+
+    // Gmail shows "A/B" nested under "A" only if "A" exists, so create each level in turn
+    const segments = name.split('/');
+    let labelId = null;
+    for (let depth = 1; depth <= segments.length; depth++) {
+        const levelName = segments.slice(0, depth).join('/');
+        const existing = labels.find(label => label.name.toLowerCase() === levelName.toLowerCase());
+        if (existing) {
+            labelId = existing.id;
+            continue;
+        }
+
+        const created = await gmailRequest('me/labels', token, {
+            operation: 'labels.create',
+            method: 'POST',
+            body: {
+                name: levelName,
+                labelListVisibility: 'labelShow',
+                messageListVisibility: 'show'
+            }
+        });
+        labels.push(created);
+        labelId = created.id;
+    }
+
+    return labelId;
+}
+
 /**
  * Gmail API helper functions
  */
 
-const GMAIL_API_ROOT = 'https://www.googleapis.com/gmail/v1/users/';
+/**
+ * Send an RFC 822 message from the user's account
+ * @param {string} rawMessage Full message including headers
+ * @param {string} token Auth token
+ * @returns {Promise<string>} ID of the sent message
+ */
+export async function sendRawMessage(rawMessage, token) {
+    const bytes = new TextEncoder().encode(rawMessage);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    const raw = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+    const data = await gmailRequest('me/messages/send', token, {
+        operation: 'messages.send',
+        method: 'POST',
+        body: { raw }
+    });
+    return data.id;
+}
 
 /**
  * Gets a Google Auth token for the user.
  * @returns {Promise<string>} The auth token.
  */
-function getAuthToken() {
+export function getAuthToken() {
     return new Promise((resolve, reject) => {
         chrome.identity.getAuthToken({ interactive: true }, (token) => {
             if (chrome.runtime.lastError) {
@@ -192,28 +498,16 @@ function getAuthToken() {
  */
 export async function fetchLatestEmail() {
     const token = await getAuthToken();
-    const headers = {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-    };
 
     // 1. Get the ID of the most recent message
-    const listResponse = await fetch(`${GMAIL_API_ROOT}me/messages?maxResults=1`, { headers });
-    if (!listResponse.ok) {
-        throw new Error(`Gmail API error (list): ${listResponse.status}`);
-    }
-    const listData = await listResponse.json();
+    const listData = await gmailRequest('me/messages?maxResults=1', token, { operation: 'messages.list' });
     if (!listData.messages || listData.messages.length === 0) {
         throw new Error("No emails found in the inbox.");
     }
     const latestMessageId = listData.messages[0].id;
 
     // 2. Fetch the full message content using the ID
-    const messageResponse = await fetch(`${GMAIL_API_ROOT}me/messages/${latestMessageId}?format=full`, { headers });
-    if (!messageResponse.ok) {
-        throw new Error(`Gmail API error (get): ${messageResponse.status}`);
-    }
-    const message = await messageResponse.json();
+    const message = await gmailRequest(`me/messages/${latestMessageId}?format=full`, token, { operation: 'messages.get' });
 
     // 3. Process the raw email data using the standard helper to ensure consistency
     return processEmailData(message);
@@ -225,27 +519,13 @@ export async function fetchLatestEmail() {
  * @returns {string} The decoded email body content.
  */
 function parseEmailContent(payload) {
-    let content = '';
-
-    if (payload.body && payload.body.data) {
-        content = atob(payload.body.data.replace(/-/g, '+').replace(/_/g, '/'));
-    }
-
-    if (!content && payload.parts) {
-        const textPart = payload.parts.find(p => p.mimeType === 'text/plain');
-        if (textPart && textPart.body.data) {
-            content = atob(textPart.body.data.replace(/-/g, '+').replace(/_/g, '/'));
-        } else {
-            // Fallback to HTML if plain text is not available
-            const htmlPart = payload.parts.find(p => p.mimeType === 'text/html');
-            if (htmlPart && htmlPart.body.data) {
-                const htmlContent = atob(htmlPart.body.data.replace(/-/g, '+').replace(/_/g, '/'));
-                // Basic HTML to text conversion
-                const doc = new DOMParser().parseFromString(htmlContent, 'text/html');
-                content = doc.body.textContent || "";
-            }
-        }
+    const { html, text } = parseMimePayload(payload);
+
+    if (text || !html) {
+        return text;
     }
-    
-    return content;
-} 
\ No newline at end of file
+
+    // Fallback to HTML if plain text is not available
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return doc.body.textContent || "";
+}
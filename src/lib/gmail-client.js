@@ -0,0 +1,356 @@
+/**
+ * Low-level Gmail REST client.
+ * Every request goes through a shared quota tracker and is retried on rate limiting and
+ * server errors with jittered exponential backoff. Message reads can be grouped into
+ * `/batch/gmail/v1` multipart requests, where each item succeeds or fails on its own.
+ */
+
+const API_ROOT = 'https://www.googleapis.com/gmail/v1/users/';
+const BATCH_ENDPOINT = 'https://www.googleapis.com/batch/gmail/v1';
+const BATCH_PATH_ROOT = '/gmail/v1/users/';
+
+// Gmail allows 100 calls per batch but recommends at most 50 to avoid rate limiting
+export const MAX_BATCH_SIZE = 50;
+
+// Quota units charged per method, from the Gmail API usage limits
+const QUOTA_COSTS = {
+    'messages.list': 5,
+    'messages.get': 5,
+    'messages.modify': 5,
+    'messages.send': 100,
+    'history.list': 2,
+    'labels.list': 1,
+    'labels.create': 5,
+    'getProfile': 1
+};
+
+const QUOTA_UNITS_PER_SECOND = 250; // Per-user limit, enforced by Gmail as a moving average
+const MAX_RETRIES = 5;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 32 * 1000;
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+/**
+ * Raised when a Gmail request fails after any retries
+ */
+export class GmailApiError extends Error {
+    constructor(operation, status, statusText, reason = null) {
+        super(`Gmail API error (${operation}): ${status} ${statusText || reason || ''}`.trim());
+        this.name = 'GmailApiError';
+        this.operation = operation;
+        this.status = status;
+        this.reason = reason;
+    }
+}
+
+/**
+ * Token bucket that keeps request volume under Gmail's per-user quota.
+ * One bucket is shared by every account, which is conservative but keeps the
+ * service worker from bursting when several mailboxes sync at once.
+ */
+const quota = {
+    available: QUOTA_UNITS_PER_SECOND,
+    updatedAt: Date.now(),
+    queue: Promise.resolve(),
+    unitsUsed: 0,
+    retries: 0
+};
+
+/**
+ * Wait until the quota bucket has room for a request, then charge it.
+ * Callers are served in order so a large batch cannot be starved by small requests.
+ * @param {number} units Quota units the request costs
+ * @returns {Promise<void>}
+ */
+function acquireQuota(units) {
+    const cost = Math.min(units, QUOTA_UNITS_PER_SECOND);
+    const turn = quota.queue.then(async () => {
+        const now = Date.now();
+        quota.available = Math.min(
+            QUOTA_UNITS_PER_SECOND,
+            quota.available + ((now - quota.updatedAt) / 1000) * QUOTA_UNITS_PER_SECOND
+        );
+        quota.updatedAt = now;
+
+        if (quota.available < cost) {
+            await sleep(((cost - quota.available) / QUOTA_UNITS_PER_SECOND) * 1000);
+            quota.available = cost;
+            quota.updatedAt = Date.now();
+        }
+
+        quota.available -= cost;
+        quota.unitsUsed += units;
+    });
+    quota.queue = turn;
+    return turn;
+}
+
+/**
+ * Get the running quota counters, e.g. to report how much a sync cost
+ * @returns {{unitsUsed: number, retries: number}} Units charged and retries made since the worker started
+ */
+export function getQuotaUsage() {
+    return { unitsUsed: quota.unitsUsed, retries: quota.retries };
+}
+
+/**
+ * Look up the quota cost of an operation
+ * @param {string} operation Gmail method name, e.g. 'messages.get'
+ * @returns {number} Quota units
+ */
+function quotaCost(operation) {
+    return QUOTA_COSTS[operation] || 5;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Compute the delay before a retry: full-jitter exponential backoff, but never sooner
+ * than the server asked for with Retry-After
+ * @param {number} attempt Zero-based retry number
+ * @param {string|null} retryAfter Retry-After header value, in seconds or as an HTTP date
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt, retryAfter) {
+    const ceiling = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+    const jittered = Math.random() * ceiling;
+
+    let requested = 0;
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        requested = Number.isFinite(seconds) ? seconds * 1000 : new Date(retryAfter).getTime() - Date.now();
+    }
+
+    return Math.max(jittered, Math.min(requested || 0, MAX_BACKOFF_MS));
+}
+
+/**
+ * Read the `reason` Google puts in error bodies, e.g. 'userRateLimitExceeded'
+ * @param {string} body Response body
+ * @returns {string|null} Error reason
+ */
+function errorReason(body) {
+    try {
+        const { error } = JSON.parse(body);
+        return (error.errors && error.errors[0] && error.errors[0].reason) || error.status || null;
+    } catch (parseError) {
+        return null;
+    }
+}
+
+/**
+ * Check whether a failed response is worth retrying
+ * @param {number} status HTTP status
+ * @param {string|null} reason Google error reason
+ * @returns {boolean} True for rate limiting and transient server errors
+ */
+function isRetryable(status, reason) {
+    return RETRYABLE_STATUSES.includes(status) || (status === 403 && RATE_LIMIT_REASONS.includes(reason));
+}
+
+/**
+ * Make a single Gmail API request with quota tracking and retries
+ * @param {string} path Path below `users/`, e.g. 'me/messages?q=...'
+ * @param {string} token Auth token
+ * @param {Object} options Request options
+ * @param {string} options.operation Gmail method name, used for quota costs and errors
+ * @param {string} [options.method] HTTP method, defaults to GET
+ * @param {Object} [options.body] JSON request body
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {GmailApiError} When the request fails or runs out of retries
+ */
+export async function gmailRequest(path, token, { operation, method = 'GET', body } = {}) {
+    const headers = { 'Authorization': `Bearer ${token}` };
+    if (body) {
+        headers['Content-Type'] = 'application/json';
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        await acquireQuota(quotaCost(operation));
+        const response = await fetch(`${API_ROOT}${path}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        if (response.ok) {
+            const text = await response.text();
+            return text ? JSON.parse(text) : {};
+        }
+
+        const reason = errorReason(await response.text());
+        if (!isRetryable(response.status, reason) || attempt >= MAX_RETRIES) {
+            throw new GmailApiError(operation, response.status, response.statusText, reason);
+        }
+
+        const delay = backoffDelay(attempt, response.headers.get('Retry-After'));
+        quota.retries++;
+        console.warn(`[Gmail Client] ${operation} returned ${response.status}, retrying in ${Math.round(delay)}ms.`);
+        await sleep(delay);
+    }
+}
+
+/**
+ * Build a multipart/mixed body with one GET per path
+ * @param {Array<string>} paths Paths below `users/`
+ * @param {string} boundary Multipart boundary
+ * @returns {string} Request body
+ */
+function buildBatchBody(paths, boundary) {
+    const parts = paths.map((path, index) => [
+        `--${boundary}`,
+        'Content-Type: application/http',
+        `Content-ID: <item${index}>`,
+        '',
+        `GET ${BATCH_PATH_ROOT}${path}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return `${parts.join('')}--${boundary}--\r\n`;
+}
+
+/**
+ * Split a batch response into per-item results
+ * @param {string} text Response body
+ * @param {string} boundary Multipart boundary from the response Content-Type
+ * @returns {Map<number, {status: number, statusText: string, body: string, retryAfter: string|null}>} Results by item index
+ */
+function parseBatchResponse(text, boundary) {
+    const results = new Map();
+
+    text.replace(/\r\n/g, '\n').split(`--${boundary}`).forEach(part => {
+        const idMatch = /Content-ID:\s*<response-item(\d+)>/i.exec(part);
+        const statusMatch = /^HTTP\/[\d.]+\s+(\d{3})\s*(.*)$/m.exec(part);
+        if (!idMatch || !statusMatch) return;
+
+        // The embedded response: status line, headers, blank line, body
+        const response = part.slice(statusMatch.index);
+        const bodyStart = response.indexOf('\n\n');
+        const headers = bodyStart === -1 ? response : response.slice(0, bodyStart);
+        const retryAfter = /^Retry-After:\s*(.+)$/im.exec(headers);
+
+        results.set(Number(idMatch[1]), {
+            status: Number(statusMatch[1]),
+            statusText: statusMatch[2].trim(),
+            body: bodyStart === -1 ? '' : response.slice(bodyStart + 2).trim(),
+            retryAfter: retryAfter ? retryAfter[1].trim() : null
+        });
+    });
+
+    return results;
+}
+
+/**
+ * Send one batch request, retrying the whole batch if Gmail rejects it outright
+ * @param {Array<string>} paths Paths below `users/`
+ * @param {string} token Auth token
+ * @param {string} operation Gmail method name of the batched calls
+ * @returns {Promise<Map<number, Object>>} Per-item results by index
+ */
+async function sendBatch(paths, token, operation) {
+    const boundary = `batch_${Math.random().toString(36).substr(2, 12)}`;
+
+    for (let attempt = 0; ; attempt++) {
+        // Gmail charges each call in a batch separately
+        await acquireQuota(quotaCost(operation) * paths.length);
+        const response = await fetch(BATCH_ENDPOINT, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': `multipart/mixed; boundary=${boundary}`
+            },
+            body: buildBatchBody(paths, boundary)
+        });
+
+        if (response.ok) {
+            const contentType = response.headers.get('Content-Type') || '';
+            const responseBoundary = /boundary=("?)([^";]+)\1/i.exec(contentType);
+            if (!responseBoundary) {
+                throw new GmailApiError(`${operation} batch`, response.status, 'Missing multipart boundary');
+            }
+            return parseBatchResponse(await response.text(), responseBoundary[2]);
+        }
+
+        const reason = errorReason(await response.text());
+        if (!isRetryable(response.status, reason) || attempt >= MAX_RETRIES) {
+            throw new GmailApiError(`${operation} batch`, response.status, response.statusText, reason);
+        }
+
+        const delay = backoffDelay(attempt, response.headers.get('Retry-After'));
+        quota.retries++;
+        console.warn(`[Gmail Client] ${operation} batch returned ${response.status}, retrying in ${Math.round(delay)}ms.`);
+        await sleep(delay);
+    }
+}
+
+/**
+ * Run several GET requests through the batch endpoint.
+ * Items that are rate limited or hit a server error are retried in later rounds with
+ * backoff; other failures are reported per item and never reject the whole call.
+ * @param {Array<string>} paths Paths below `users/`, at most MAX_BATCH_SIZE
+ * @param {string} token Auth token
+ * @param {Object} options Batch options
+ * @param {string} options.operation Gmail method name of the batched calls, e.g. 'messages.get'
+ * @returns {Promise<Array<{ok: boolean, data?: Object, error?: GmailApiError}>>} Results in input order
+ */
+export async function gmailBatchGet(paths, token, { operation }) {
+    if (paths.length > MAX_BATCH_SIZE) {
+        throw new Error(`A Gmail batch holds at most ${MAX_BATCH_SIZE} requests`);
+    }
+
+    const results = new Array(paths.length);
+    let pending = paths.map((path, index) => index);
+
+    for (let attempt = 0; pending.length > 0; attempt++) {
+        let responses;
+        try {
+            responses = await sendBatch(pending.map(index => paths[index]), token, operation);
+        } catch (error) {
+            pending.forEach(index => { results[index] = { ok: false, error }; });
+            break;
+        }
+
+        const retry = [];
+        let retryAfter = null;
+        pending.forEach((index, position) => {
+            const response = responses.get(position);
+            if (!response) {
+                // Recorded as failed so the item isn't lost if the retries run out
+                results[index] = { ok: false, error: new GmailApiError(operation, 0, 'Missing batch response') };
+                retry.push(index);
+                return;
+            }
+            if (response.status >= 200 && response.status < 300) {
+                try {
+                    results[index] = { ok: true, data: JSON.parse(response.body) };
+                } catch (error) {
+                    results[index] = { ok: false, error: new GmailApiError(operation, response.status, 'Invalid JSON') };
+                }
+                return;
+            }
+
+            const reason = errorReason(response.body);
+            results[index] = { ok: false, error: new GmailApiError(operation, response.status, response.statusText, reason) };
+            if (isRetryable(response.status, reason)) {
+                retry.push(index);
+                retryAfter = retryAfter || response.retryAfter;
+            }
+        });
+
+        if (retry.length === 0 || attempt >= MAX_RETRIES) {
+            break;
+        }
+
+        const delay = backoffDelay(attempt, retryAfter);
+        quota.retries++;
+        console.warn(`[Gmail Client] Retrying ${retry.length} of ${pending.length} ${operation} calls in ${Math.round(delay)}ms.`);
+        await sleep(delay);
+        pending = retry;
+    }
+
+    return results;
+}
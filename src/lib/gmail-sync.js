@@ -0,0 +1,282 @@
+/**
+ * Incremental Gmail sync.
+ * Keeps processed newsletter messages in IndexedDB keyed by account and Gmail ID and uses
+ * the History API to pull only what changed since the last run. Each account has its own
+ * sync state.
+ */
+
+import {
+    buildNewsletterQuery,
+    fetchMessages,
+    getAuthToken,
+    getCurrentHistoryId,
+    HistoryExpiredError,
+    listHistory,
+    listMessageIds
+} from './gmail-api.js';
+import { getQuotaUsage } from './gmail-client.js';
+import { idbDeleteMany, idbGetMany, idbPutMany } from './idb-store.js';
+import { periodToMs } from './utils.js';
+
+const SYNC_STATE_KEY = 'gmailSyncState';
+const MESSAGE_STORE = 'messages';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SYNC_OVERLAP_SECONDS = 5 * 60; // Re-list a little before the last sync to absorb clock skew
+const CACHE_RETENTION_MS = 35 * DAY_MS;
+const DEFAULT_MAX_MESSAGES = 500;
+
+/**
+ * Get the storage key of an account's sync state
+ * @param {string|null} accountId Account ID, or null for the Chrome profile account
+ * @returns {string} chrome.storage key
+ */
+function syncStateKey(accountId) {
+    return accountId ? `${SYNC_STATE_KEY}:${accountId}` : SYNC_STATE_KEY;
+}
+
+/**
+ * Get the IndexedDB key of a cached message. Messages of the Chrome profile account keep
+ * their bare Gmail ID, so caches from before multi-account support stay valid.
+ * @param {string|null} accountId Account ID, or null for the Chrome profile account
+ * @param {string} gmailId Gmail message ID
+ * @returns {string} Cache key, also used as the email's `id` downstream
+ */
+function cacheKey(accountId, gmailId) {
+    return accountId ? `${accountId}:${gmailId}` : gmailId;
+}
+
+/**
+ * Load the stored sync state
+ * @param {string|null} accountId Account ID
+ * @returns {Promise<Object|null>} Sync state or null if never synced
+ */
+async function loadSyncState(accountId) {
+    const key = syncStateKey(accountId);
+    const { [key]: state } = await chrome.storage.local.get(key);
+    return state || null;
+}
+
+/**
+ * Persist the sync state
+ * @param {string|null} accountId Account ID
+ * @param {Object} state Sync state
+ * @returns {Promise<void>}
+ */
+async function saveSyncState(accountId, state) {
+    await chrome.storage.local.set({ [syncStateKey(accountId)]: state });
+}
+
+/**
+ * Delete cached messages by Gmail ID
+ * @param {string|null} accountId Account ID
+ * @param {Array<string>} gmailIds Gmail message IDs
+ * @returns {Promise<void>}
+ */
+async function deleteCachedMessages(accountId, gmailIds) {
+    await idbDeleteMany(MESSAGE_STORE, gmailIds.map(id => cacheKey(accountId, id)));
+}
+
+/**
+ * Download the messages that are not in the local cache yet
+ * @param {Array<string>} ids Gmail message IDs that should be available locally
+ * @param {string} token Auth token
+ * @param {Object} options Sync options
+ * @returns {Promise<{downloaded: number, failedIds: Array<string>}>} Download counts
+ */
+async function cacheMissingMessages(ids, token, { accountId, concurrency }) {
+    const cached = await idbGetMany(MESSAGE_STORE, ids.map(id => cacheKey(accountId, id)));
+    const missingIds = ids.filter((id, index) => !cached[index]);
+
+    if (missingIds.length === 0) {
+        return { downloaded: 0, failedIds: [] };
+    }
+
+    const { emails, failedIds } = await fetchMessages(missingIds, token, concurrency);
+    await idbPutMany(MESSAGE_STORE, emails.map(email => ({
+        ...email,
+        id: cacheKey(accountId, email.id),
+        gmailId: email.id
+    })));
+    return { downloaded: emails.length, failedIds };
+}
+
+/**
+ * Rebuild the cache for the whole window from a fresh message listing
+ * @param {string} period Gmail `newer_than` period
+ * @param {number} windowStart Start of the requested window (ms since epoch)
+ * @param {Object} options Sync options
+ * @param {Object|null} previousState Sync state being replaced, if any
+ * @returns {Promise<{state: Object, stats: Object}>} New sync state and run statistics
+ */
+async function fullSync(period, windowStart, options, previousState) {
+    const { maxMessages, querySettings, accountId } = options;
+    const token = await options.getToken();
+
+    // Take the history ID before listing so nothing that arrives mid-sync is missed
+    const historyId = await getCurrentHistoryId(token);
+    const { ids, truncated } = await listMessageIds(buildNewsletterQuery(querySettings, period), token, maxMessages);
+    const { downloaded, failedIds } = await cacheMissingMessages(ids, token, options);
+
+    if (previousState) {
+        await deleteCachedMessages(accountId, previousState.messageIds.filter(id => !ids.includes(id)));
+    }
+
+    const state = {
+        historyId,
+        query: buildNewsletterQuery(querySettings),
+        windowStart,
+        messageIds: ids.filter(id => !failedIds.includes(id)),
+        syncedAt: Date.now()
+    };
+
+    return {
+        state,
+        stats: { mode: 'full', found: ids.length, downloaded, skipped: failedIds.length, truncated }
+    };
+}
+
+/**
+ * Apply mailbox changes since the last sync to the cache
+ * @param {Object} state Previous sync state
+ * @param {Object} options Sync options
+ * @returns {Promise<{state: Object, stats: Object}>} Updated sync state and run statistics
+ * @throws {HistoryExpiredError} When the stored history ID is too old
+ */
+async function incrementalSync(state, options) {
+    const { maxMessages, accountId } = options;
+    const token = await options.getToken();
+    const { addedIds, deletedIds, historyId } = await listHistory(state.historyId, token);
+
+    let messageIds = state.messageIds.filter(id => !deletedIds.includes(id));
+    await deleteCachedMessages(accountId, deletedIds);
+
+    let stats = { mode: 'incremental', found: 0, downloaded: 0, skipped: 0, truncated: false };
+
+    // History reports every new message in the mailbox, so only re-run the newsletter
+    // query over the stretch since the last sync to find the ones that match it.
+    if (addedIds.length > 0) {
+        const since = Math.floor(state.syncedAt / 1000) - SYNC_OVERLAP_SECONDS;
+        const query = `${state.query} after:${since}`;
+        const { ids, truncated } = await listMessageIds(query, token, maxMessages);
+        const newIds = ids.filter(id => !messageIds.includes(id));
+        const { downloaded, failedIds } = await cacheMissingMessages(newIds, token, options);
+
+        messageIds = messageIds.concat(newIds.filter(id => !failedIds.includes(id)));
+        stats = { ...stats, found: newIds.length, downloaded, skipped: failedIds.length, truncated };
+    }
+
+    return {
+        state: { ...state, historyId, messageIds, syncedAt: Date.now() },
+        stats
+    };
+}
+
+/**
+ * Drop cached messages older than the retention window
+ * @param {string|null} accountId Account ID
+ * @param {Object} state Sync state
+ * @param {Array<Object>} emails Cached emails for the state's message IDs
+ * @returns {Promise<Object>} Pruned sync state
+ */
+async function pruneExpiredMessages(accountId, state, emails) {
+    const cutoff = Date.now() - CACHE_RETENTION_MS;
+    const expiredIds = emails
+        .filter(email => new Date(email.date).getTime() < cutoff)
+        .map(email => email.gmailId || email.id);
+
+    if (expiredIds.length === 0) {
+        return state;
+    }
+
+    await deleteCachedMessages(accountId, expiredIds);
+    return {
+        ...state,
+        windowStart: Math.max(state.windowStart, cutoff),
+        messageIds: state.messageIds.filter(id => !expiredIds.includes(id))
+    };
+}
+
+/**
+ * Sync newsletter emails for a period and return them from the local cache.
+ * When the last sync already covers the requested window, the cached messages are served
+ * without any network call, so regenerating a digest for the same window is free. New mail
+ * is pulled through the stored `historyId` only when `refresh` asks for it or the whole window
+ * lies after the last sync; Gmail expiring the history falls back to a full resync.
+ * @param {string} period Gmail `newer_than` period, e.g. '7d'
+ * @param {Object} options Sync options
+ * @param {number} options.maxMessages Upper bound on the number of messages to list and return
+ * @param {number} options.concurrency Number of batch requests in flight at once
+ * @param {Object} options.querySettings Query builder settings; changing them starts a fresh sync
+ * @param {boolean} [options.refresh] Check for new mail even if the window is already covered
+ * @param {string} [options.accountId] Connected account to sync; omit for the Chrome profile account
+ * @param {Function} [options.getToken] Returns an auth token for the account
+ * @returns {Promise<{emails: Array<Object>, stats: Object}>} Up to `maxMessages` emails in the window (newest first) and sync statistics
+ */
+export async function syncNewsletterEmails(period = '7d', options = {}) {
+    const syncOptions = {
+        maxMessages: options.maxMessages || DEFAULT_MAX_MESSAGES,
+        concurrency: options.concurrency,
+        querySettings: options.querySettings,
+        accountId: options.accountId || null,
+        getToken: options.getToken || getAuthToken
+    };
+    const windowStart = Date.now() - periodToMs(period);
+    const quotaBefore = getQuotaUsage();
+
+    try {
+        const previousState = await loadSyncState(syncOptions.accountId);
+        const canReuse = previousState &&
+            previousState.query === buildNewsletterQuery(syncOptions.querySettings) &&
+            previousState.windowStart <= windowStart;
+
+        let result;
+        if (!canReuse) {
+            result = await fullSync(period, windowStart, syncOptions, previousState);
+        } else if (!options.refresh && previousState.syncedAt >= windowStart) {
+            result = {
+                state: previousState,
+                stats: { mode: 'cached', found: 0, downloaded: 0, skipped: 0, truncated: false }
+            };
+        } else {
+            try {
+                result = await incrementalSync(previousState, syncOptions);
+            } catch (error) {
+                if (!(error instanceof HistoryExpiredError)) {
+                    throw error;
+                }
+                console.warn('[Gmail Sync] History expired, falling back to a full resync.');
+                result = await fullSync(period, windowStart, syncOptions, previousState);
+            }
+        }
+
+        const cached = (await idbGetMany(
+            MESSAGE_STORE,
+            result.state.messageIds.map(id => cacheKey(syncOptions.accountId, id))
+        )).filter(Boolean);
+        const state = await pruneExpiredMessages(syncOptions.accountId, result.state, cached);
+        await saveSyncState(syncOptions.accountId, state);
+
+        const inWindow = cached
+            .filter(email => new Date(email.date).getTime() >= windowStart)
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+        // Incremental syncs add to the cached IDs, so the window can hold more than one listing's worth
+        const emails = inWindow.slice(0, syncOptions.maxMessages);
+
+        const stats = {
+            ...result.stats,
+            truncated: result.stats.truncated || emails.length < inWindow.length,
+            fetched: emails.length,
+            fromCache: Math.max(0, emails.length - result.stats.downloaded),
+            // Approximate when several accounts sync at once, since the counters are shared
+            quotaUnits: getQuotaUsage().unitsUsed - quotaBefore.unitsUsed,
+            retries: getQuotaUsage().retries - quotaBefore.retries
+        };
+        console.log(`[Gmail Sync] ${syncOptions.accountId || 'Chrome profile account'}: ${stats.mode} sync: ${stats.downloaded} downloaded, ${stats.fromCache} from cache, ${stats.skipped} skipped, ${stats.quotaUnits} quota units, ${stats.retries} retries.`);
+
+        return { emails, stats };
+    } catch (error) {
+        console.error('[Gmail Sync] Sync failed:', error);
+        throw new Error(`Failed to sync emails${syncOptions.accountId ? ` for ${syncOptions.accountId}` : ''}`);
+    }
+}
@@ -0,0 +1,1143 @@
+/**
+ * HTML processing for newsletter emails and feeds: content cleaning, link extraction,
+ * story segmentation and Markdown conversion.
+ * Nothing here touches extension APIs or globals. The DOM comes in as a parameter, so the
+ * same code runs in the offscreen document with the browser's DOMParser and in Node with
+ * jsdom (or any parser whose documents support querySelectorAll, closest and ranges).
+ */
+
+/**
+ * @typedef {Object} DomImplementation
+ * @property {Function} DOMParser DOMParser constructor
+ * @property {Function} [Readability] Mozilla Readability constructor
+ */
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+// Invisible characters newsletters pad their preheaders with; the zero-width joiner is kept for emoji
+const ZERO_WIDTH_PATTERN = /[\u00AD\u034F\u200B\u200C\u200E\u200F\u2060]/g;
+
+/**
+ * Normalize the spacing of email text: `&nbsp;` entities left by tag stripping, non-breaking
+ * and other Unicode spaces become plain spaces, invisible padding is removed and runs collapse
+ * @param {string} text Text to normalize
+ * @returns {string} Text on one line, untrimmed
+ */
+export function normalizeWhitespace(text) {
+    return text
+        .replace(/&nbsp;|&#160;|&#xa0;/gi, ' ')
+        .replace(ZERO_WIDTH_PATTERN, '')
+        .replace(/\s+/g, ' ');
+}
+
+/**
+ * Parse an RSS 2.0, RSS 1.0 (RDF) or Atom document into plain feed data
+ * @param {DomImplementation} dom DOM implementation
+ * @param {string} xmlString The raw feed XML
+ * @returns {{title: string, link: string, items: Array<Object>}|{error: string}} Parsed feed or an error
+ */
+export function parseFeedXml(dom, xmlString) {
+    try {
+        const doc = new dom.DOMParser().parseFromString(xmlString, 'application/xml');
+        if (doc.querySelector('parsererror')) {
+            return { error: 'Feed is not well-formed XML' };
+        }
+
+        const root = doc.documentElement;
+        const rootName = root.localName.toLowerCase();
+        // Read the text of the first direct child with one of the given local names
+        const childText = (element, ...names) => {
+            const child = Array.from(element.children).find(el => names.includes(el.localName));
+            return child ? child.textContent.trim() : '';
+        };
+
+        if (rootName === 'feed') {
+            const feedLink = Array.from(root.children).find(el => el.localName === 'link' && (el.getAttribute('rel') || 'alternate') === 'alternate');
+            const items = Array.from(root.children)
+                .filter(el => el.localName === 'entry')
+                .map(entry => {
+                    const link = Array.from(entry.children).find(el => el.localName === 'link' && (el.getAttribute('rel') || 'alternate') === 'alternate');
+                    const author = Array.from(entry.children).find(el => el.localName === 'author');
+                    return {
+                        id: childText(entry, 'id'),
+                        title: childText(entry, 'title'),
+                        link: link ? link.getAttribute('href') : '',
+                        published: childText(entry, 'published', 'updated'),
+                        author: author ? childText(author, 'name') : '',
+                        contentHtml: childText(entry, 'content'),
+                        summary: childText(entry, 'summary')
+                    };
+                });
+            return { title: childText(root, 'title'), link: feedLink ? feedLink.getAttribute('href') : '', items };
+        }
+
+        if (rootName === 'rss' || rootName === 'rdf') {
+            const channel = Array.from(root.children).find(el => el.localName === 'channel') || root;
+            // RSS 2.0 nests items in the channel, RSS 1.0 puts them next to it
+            const items = Array.from(channel.children).concat(Array.from(root.children))
+                .filter((el, index, all) => el.localName === 'item' && all.indexOf(el) === index)
+                .map(item => ({
+                    id: childText(item, 'guid') || childText(item, 'link'),
+                    title: childText(item, 'title'),
+                    link: childText(item, 'link'),
+                    published: childText(item, 'pubDate', 'date'),
+                    author: childText(item, 'creator', 'author'),
+                    contentHtml: childText(item, 'encoded'),
+                    summary: childText(item, 'description')
+                }));
+            return { title: childText(channel, 'title'), link: childText(channel, 'link'), items };
+        }
+
+        return { error: `Unsupported feed format: <${root.localName}>` };
+    } catch (error) {
+        console.error('[HTML Processing] Error parsing feed:', error);
+        return { error: error.message };
+    }
+}
+
+/**
+ * Find the first text node below an element, in document order, whose trimmed text passes a test
+ * @param {Node} root Element to search
+ * @param {Function} accept Called with the trimmed text of each text node
+ * @returns {Node|null} Matching text node
+ */
+function findTextNode(root, accept) {
+    for (const child of root.childNodes) {
+        if (child.nodeType === TEXT_NODE && accept(child.textContent.trim())) {
+            return child;
+        }
+        const found = child.nodeType === ELEMENT_NODE ? findTextNode(child, accept) : null;
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Extract links from HTML with their anchor text, handling complex newsletter structures
+ * @param {DomImplementation} dom DOM implementation
+ * @param {string} htmlString The raw HTML of the email
+ * @param {Object} [rule] Merged extraction rule, used to find sponsored blocks
+ * @returns {Array<Object>} Array of {text, href, url, sponsored} objects
+ */
+export function extractLinks(dom, htmlString, rule = FALLBACK_RULE) {
+    if (!htmlString) return [];
+    
+    try {
+        const parser = new dom.DOMParser();
+        const doc = parser.parseFromString(htmlString, 'text/html');
+        const sponsoredBlocks = findSponsoredBlocks(doc, rule).map(block => block.element);
+        
+        const links = [];
+        const anchorElements = doc.querySelectorAll('a[href]');
+        
+        anchorElements.forEach(anchor => {
+            const href = anchor.getAttribute('href');
+            
+            // Skip invalid links
+            if (!href || 
+                href.startsWith('javascript:') || 
+                href.startsWith('mailto:') ||
+                href.startsWith('#')) {
+                return;
+            }
+            
+            // Strategy 1: Get text directly from anchor
+            let text = anchor.textContent.trim();
+            
+            // Strategy 2: For complex newsletter structures, look for meaningful text in nearby elements
+            if (!text || text.length < 5 || href.includes(text) || text.match(/^https?:\/\//)) {
+                // Look for text in parent container or siblings
+                const parent = anchor.parentElement;
+                if (parent) {
+                    // Check siblings for meaningful text (common in newsletter layouts)
+                    const siblings = Array.from(parent.children);
+                    for (const sibling of siblings) {
+                        if (sibling !== anchor) {
+                            const siblingText = sibling.textContent.trim();
+                            if (siblingText && siblingText.length > 10 && !siblingText.match(/^https?:\/\//)) {
+                                text = siblingText;
+                                break;
+                            }
+                        }
+                    }
+                    
+                    // If still no good text, try parent's text content excluding the anchor
+                    if (!text || text.length < 5) {
+                        const parentText = parent.textContent.trim();
+                        const anchorText = anchor.textContent.trim();
+                        const cleanParentText = parentText.replace(anchorText, '').trim();
+                        if (cleanParentText && cleanParentText.length > 10) {
+                            text = cleanParentText;
+                        }
+                    }
+                }
+            }
+            
+            // Strategy 3: Look for strong/em/h1-h6 elements within or near the anchor
+            if (!text || text.length < 5) {
+                const emphasisElements = anchor.querySelectorAll('strong, em, b, i, h1, h2, h3, h4, h5, h6');
+                for (const elem of emphasisElements) {
+                    const emphasisText = elem.textContent.trim();
+                    if (emphasisText && emphasisText.length > 10) {
+                        text = emphasisText;
+                        break;
+                    }
+                }
+            }
+            
+            // Strategy 4: For tracking URLs, look in the surrounding table cell or container
+            if (!text || text.length < 5 || href.includes('tracking')) {
+                let container = anchor.closest('td, div, section, article');
+                if (container) {
+                    // Look for the first substantial text in the container
+                    const textNode = findTextNode(container, nodeText => nodeText.length > 15 && !nodeText.match(/^https?:\/\//));
+                    if (textNode) {
+                        text = textNode.textContent.trim();
+                    }
+                }
+            }
+            
+            // Final validation
+            if (!text || text.length < 3) {
+                return;
+            }
+            
+            // Clean up text
+            text = text.replace(/\s+/g, ' ').trim();
+            
+            // Skip if text is just the URL
+            if (text === href || href.includes(text)) {
+                return;
+            }
+            
+            // Convert relative URLs to absolute if possible
+            let url = href;
+            if (href.startsWith('/') || href.startsWith('./')) {
+                // Try to extract domain from other absolute URLs in the email
+                const absoluteLinks = Array.from(doc.querySelectorAll('a[href^="http"]'));
+                if (absoluteLinks.length > 0) {
+                    try {
+                        const sampleUrl = new URL(absoluteLinks[0].getAttribute('href'));
+                        url = new URL(href, sampleUrl.origin).toString();
+                    } catch (e) {
+                        // If URL construction fails, keep original
+                    }
+                }
+            }
+            
+            const sponsored = isSponsorLink(href) || sponsoredBlocks.some(block => block.contains(anchor));
+            links.push({ text, href, url, sponsored });
+        });
+        
+        // Remove duplicates based on URL and text combination
+        const uniqueLinks = [];
+        const seenCombos = new Set();
+        
+        links.forEach(link => {
+            const combo = `${link.url}|||${link.text.toLowerCase()}`;
+            if (!seenCombos.has(combo)) {
+                seenCombos.add(combo);
+                uniqueLinks.push(link);
+            }
+        });
+        
+        console.log(`[HTML Processing] Extracted ${uniqueLinks.length} unique links from HTML (from ${anchorElements.length} anchor elements)`);
+        return uniqueLinks;
+        
+    } catch (error) {
+        console.error('[HTML Processing] Error extracting links:', error);
+        return [];
+    }
+}
+
+// Used when the caller sends no rule, e.g. an older service worker during an update or a test
+const FALLBACK_RULE = {
+    names: [],
+    mainSelectors: [],
+    stripSelectors: ['style', 'script', 'noscript', 'meta', 'link', '[class*="footer"]', '[id*="footer"]', '[class*="unsubscribe"]'],
+    boilerplatePhrases: ['view in browser', 'unsubscribe', 'privacy policy', 'all rights reserved'],
+    sponsorMarkers: ['sponsored by', 'presented by', 'brought to you by']
+};
+
+const SPONSOR_SCORE_THRESHOLD = 2;
+const SPONSOR_HEADER_CHARS = 150; // Sponsor labels and markers count as headers within this many characters
+const MAX_SPONSOR_BLOCK_WORDS = 250; // Larger blocks hold more than one placement
+const MIN_SPONSOR_BLOCK_WORDS = 10;
+const MAX_SPONSOR_BLOCK_SHARE = 0.6; // Share of the email's words a single placement can take up
+// Short elements that label the block they head, e.g. "SPONSORED" or "Together with Acme"
+const SPONSOR_LABEL_PATTERN = /^(sponsored|sponsor|advertisement|ad|paid post|promoted|partner|(sponsored by|presented by|together with|in partnership with|brought to you by|a message from)\b.*)$/i;
+const SPONSOR_CLASS_PATTERN = /(^|[\s_-])(sponsor|sponsored|sponsorship|advert|advertisement|ad|ads|promo|promoted)([\s_-]|$)/i;
+const SPONSOR_LINK_HOSTS = [
+    'doubleclick.net', 'googleadservices.com', 'liveintent.com', 'powerinbox.com',
+    'swapstack.co', 'paved.com', 'passionfroot.me', 'sponsy.co'
+];
+const SPONSOR_LINK_PARAM_PATTERN = /[?&]utm_(medium|campaign|content)=[^&#]*(sponsor|paid|advert)/i;
+const CALL_TO_ACTION_PATTERN = /^(try|get|start|claim|book|download|register|sign up|learn more|shop)\b/i;
+
+/**
+ * Check whether a link points at an ad network or is tagged as a paid placement
+ * @param {string} href Link as found in the email
+ * @returns {boolean} True for sponsor links
+ */
+function isSponsorLink(href) {
+    if (SPONSOR_LINK_PARAM_PATTERN.test(href)) return true;
+    try {
+        const host = new URL(href).hostname.toLowerCase();
+        return SPONSOR_LINK_HOSTS.some(domain => host === domain || host.endsWith(`.${domain}`));
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Score how likely a block is a paid placement. Signals: a sponsor label or marker phrase
+ * at the top of the block (strong) or further down (weak), links to ad networks or tagged
+ * as sponsored, and layout cues such as sponsor class names, ad images and a lone
+ * call-to-action button.
+ * @param {Element|DocumentFragment} block Block to score
+ * @param {string} text Block text with whitespace collapsed
+ * @param {Object} rule Merged extraction rule
+ * @returns {{sponsored: boolean, signals: Array<string>}} Verdict and the signals that fired
+ */
+function detectSponsorship(block, text, rule) {
+    let score = 0;
+    const signals = [];
+    const addSignal = (points, signal) => {
+        score += points;
+        signals.push(signal);
+    };
+
+    const lowerText = text.toLowerCase();
+    const label = Array.from(block.querySelectorAll('h1, h2, h3, h4, h5, h6, p, span, strong, b, em, small, td, div'))
+        .slice(0, 30)
+        .map(element => element.textContent.replace(/\s+/g, ' ').trim())
+        .find(elementText => elementText.length <= 60 && SPONSOR_LABEL_PATTERN.test(elementText) &&
+            lowerText.indexOf(elementText.toLowerCase()) < SPONSOR_HEADER_CHARS);
+    const headerMarker = findPhrase(lowerText.slice(0, SPONSOR_HEADER_CHARS), rule.sponsorMarkers);
+    const marker = findPhrase(lowerText, rule.sponsorMarkers);
+    if (label) {
+        addSignal(2, `sponsor label "${label}"`);
+    } else if (headerMarker) {
+        addSignal(2, `sponsor marker "${headerMarker}" at the top`);
+    } else if (marker) {
+        addSignal(1, `sponsor marker "${marker}"`);
+    }
+
+    const hrefs = Array.from(block.querySelectorAll('a[href]')).map(anchor => anchor.getAttribute('href'));
+    const sponsorLinks = hrefs.filter(isSponsorLink);
+    if (sponsorLinks.length > 0) {
+        addSignal(sponsorLinks.length === hrefs.length ? 2 : 1, `sponsor link ${previewText(sponsorLinks[0])}`);
+    }
+
+    const classElements = block.nodeType === ELEMENT_NODE ? [block, ...block.querySelectorAll('[class], [id]')] : block.querySelectorAll('[class], [id]');
+    const classed = Array.from(classElements)
+        .find(element => SPONSOR_CLASS_PATTERN.test(`${element.getAttribute('class') || ''} ${element.id || ''}`));
+    if (classed) {
+        addSignal(1, `sponsor class "${classed.getAttribute('class') || classed.id}"`);
+    }
+    if (block.querySelector('img[alt*="sponsor" i], img[alt*="advert" i], img[src*="sponsor" i], img[src*="/ads/" i]')) {
+        addSignal(1, 'sponsor image');
+    }
+    const buttons = Array.from(block.querySelectorAll('a[style*="background"]'))
+        .filter(anchor => CALL_TO_ACTION_PATTERN.test(anchor.textContent.trim()));
+    if (buttons.length === 1 && text.split(' ').length < MAX_SPONSOR_BLOCK_WORDS) {
+        addSignal(1, `call-to-action button "${previewText(buttons[0].textContent)}"`);
+    }
+
+    return { sponsored: score >= SPONSOR_SCORE_THRESHOLD, signals };
+}
+
+/**
+ * Find the sponsored blocks of an email. Blocks are checked outermost first, so a
+ * placement is reported once and not again for each of its inner cells.
+ * @param {Document} doc Parsed email
+ * @param {Object} rule Merged extraction rule
+ * @returns {Array<{element: Element, text: string, signals: Array<string>}>} Sponsored blocks in document order
+ */
+function findSponsoredBlocks(doc, rule) {
+    const blocks = [];
+    const totalWords = (doc.body ? doc.body.textContent : '').split(/\s+/).filter(Boolean).length;
+    doc.querySelectorAll('table, td, div, section, article, aside').forEach(element => {
+        if (blocks.some(block => block.element.contains(element))) return;
+
+        const text = element.textContent.replace(/\s+/g, ' ').trim();
+        const wordCount = text.split(' ').length;
+        if (wordCount < MIN_SPONSOR_BLOCK_WORDS || wordCount > MAX_SPONSOR_BLOCK_WORDS) return;
+        // A "Presented by" header on a short email labels the whole issue, not a placement in it
+        if (wordCount > totalWords * MAX_SPONSOR_BLOCK_SHARE) return;
+
+        const { sponsored, signals } = detectSponsorship(element, text, rule);
+        if (sponsored) {
+            blocks.push({ element, text, signals });
+        }
+    });
+    return blocks;
+}
+
+/**
+ * Find the first phrase of a list that occurs in some lower-cased text
+ * @param {string} lowerText Lower-cased text
+ * @param {Array<string>} phrases Lower-cased phrases
+ * @returns {string|undefined} The matching phrase
+ */
+function findPhrase(lowerText, phrases) {
+    return phrases.find(phrase => lowerText.includes(phrase));
+}
+
+/**
+ * Query a selector without letting an invalid user-supplied selector break extraction
+ * @param {Document|Element} root Element to search
+ * @param {string} selector CSS selector
+ * @returns {Array<Element>} Matching elements
+ */
+function safeQueryAll(root, selector) {
+    try {
+        return Array.from(root.querySelectorAll(selector));
+    } catch (error) {
+        console.warn(`[HTML Processing] Ignoring invalid selector "${selector}":`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Remove the elements a rule strips
+ * @param {Document} doc Parsed email
+ * @param {Object} rule Merged extraction rule
+ * @param {Function} [onRemove] Called with (reason, text) for each removed element
+ */
+function stripElements(doc, rule, onRemove = () => {}) {
+    rule.stripSelectors.forEach(selector => {
+        safeQueryAll(doc, selector).forEach(el => {
+            // Elements inside an already removed element are gone from the document
+            if (!el.isConnected) return;
+            onRemove(`strip selector ${selector}`, el.textContent);
+            el.remove();
+        });
+    });
+}
+
+/**
+ * Shorten text for the rule tester's report
+ * @param {string} text Text to shorten
+ * @returns {string} At most 160 characters on one line
+ */
+function previewText(text) {
+    const line = text.replace(/\s+/g, ' ').trim();
+    return line.length > 160 ? `${line.slice(0, 157)}...` : line;
+}
+
+const MARKDOWN_SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'HEAD', 'META', 'LINK', 'TITLE', 'svg']);
+const MARKDOWN_BLOCK_TAGS = new Set([
+    'P', 'DIV', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'MAIN', 'ASIDE', 'NAV', 'CENTER',
+    'TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'TD', 'TH', 'FIGURE', 'FIGCAPTION', 'DL', 'DT', 'DD', 'FORM'
+]);
+// Alt text that names the image type or file rather than describing it
+const MEANINGLESS_ALT_PATTERN = /^(image|img|photo|picture|logo|icon|spacer|banner|graphic|pixel|divider|button|\W*)$|\.(png|jpe?g|gif|webp|svg)$/i;
+const BOLD_STYLE_PATTERN = /font-weight\s*:\s*(bold|[6-9]00)/i;
+
+/**
+ * Wrap inline Markdown in an emphasis marker, keeping surrounding spaces outside the marker
+ * @param {string} inner Rendered content
+ * @param {string} marker '**' or '*'
+ * @returns {string} Wrapped content
+ */
+function wrapInline(inner, marker) {
+    const trimmed = inner.trim();
+    if (!trimmed) return inner;
+    const leading = /^\s/.test(inner) ? ' ' : '';
+    const trailing = /\s$/.test(inner) ? ' ' : '';
+    return `${leading}${marker}${trimmed}${marker}${trailing}`;
+}
+
+/**
+ * Render the children of a node as Markdown
+ * @param {Node} node Parent node
+ * @param {Object} context Rendering state: `listDepth` and `inLink`
+ * @returns {string} Markdown
+ */
+function renderChildren(node, context) {
+    return Array.from(node.childNodes).map(child => renderMarkdownNode(child, context)).join('');
+}
+
+/**
+ * Render one node as Markdown. Block elements are separated by blank lines; layout
+ * tables become plain flow, one block per cell.
+ * @param {Node} node Node to render
+ * @param {Object} context Rendering state: `listDepth` and `inLink`
+ * @returns {string} Markdown
+ */
+function renderMarkdownNode(node, context) {
+    if (node.nodeType === TEXT_NODE) {
+        return normalizeWhitespace(node.textContent);
+    }
+    if (node.nodeType !== ELEMENT_NODE || MARKDOWN_SKIP_TAGS.has(node.tagName)) {
+        return '';
+    }
+
+    const tag = node.tagName;
+    const headingLevel = /^H([1-6])$/.exec(tag);
+    if (headingLevel) {
+        const text = renderChildren(node, context).replace(/\*+/g, '').replace(/\s+/g, ' ').trim();
+        return text ? `\n\n${'#'.repeat(Number(headingLevel[1]))} ${text}\n\n` : '';
+    }
+
+    switch (tag) {
+        case 'BR':
+            return '\n';
+        case 'HR':
+            return '\n\n---\n\n';
+        case 'IMG': {
+            const alt = (node.getAttribute('alt') || '').replace(/\s+/g, ' ').trim();
+            return alt && !MEANINGLESS_ALT_PATTERN.test(alt) ? ` ${alt} ` : '';
+        }
+        case 'STRONG':
+        case 'B':
+            return wrapInline(renderChildren(node, context), '**');
+        case 'EM':
+        case 'I':
+            return wrapInline(renderChildren(node, context), '*');
+        case 'CODE':
+            return node.closest('pre') ? node.textContent : `\`${node.textContent.trim()}\``;
+        case 'PRE':
+            return `\n\n\`\`\`\n${node.textContent.trim()}\n\`\`\`\n\n`;
+        case 'A': {
+            const href = node.getAttribute('href') || '';
+            // Newsletters often wrap a whole heading or card in one link
+            const text = renderChildren(node, { ...context, inLink: true })
+                .replace(/\s+/g, ' ')
+                .replace(/(^|\s)#{1,6} /g, '$1')
+                .trim();
+            if (!text) return '';
+            if (context.inLink || !/^https?:/i.test(href)) return ` ${text} `;
+            return ` [${text.replace(/[[\]]/g, '')}](${href.replace(/\)/g, '%29').replace(/\s/g, '%20')}) `;
+        }
+        case 'UL':
+        case 'OL': {
+            const items = Array.from(node.children).filter(child => child.tagName === 'LI');
+            const indent = '  '.repeat(context.listDepth);
+            const lines = items.map((item, index) => {
+                const content = renderChildren(item, { ...context, listDepth: context.listDepth + 1 })
+                    .replace(/\n{2,}/g, '\n')
+                    .trim();
+                const bullet = tag === 'OL' ? `${index + 1}.` : '-';
+                return content ? `${indent}${bullet} ${content}` : '';
+            }).filter(Boolean);
+            return lines.length > 0 ? `\n\n${lines.join('\n')}\n\n` : '';
+        }
+        case 'BLOCKQUOTE': {
+            const quoted = renderChildren(node, context).trim();
+            return quoted ? `\n\n${quoted.split('\n').map(line => `> ${line}`).join('\n')}\n\n` : '';
+        }
+        default:
+            break;
+    }
+
+    const inner = renderChildren(node, context);
+    if (MARKDOWN_BLOCK_TAGS.has(tag)) {
+        return `\n\n${inner}\n\n`;
+    }
+    if (tag === 'SPAN' && BOLD_STYLE_PATTERN.test(node.getAttribute('style') || '')) {
+        return wrapInline(inner, '**');
+    }
+    return inner;
+}
+
+/**
+ * Convert cleaned email HTML into compact Markdown: headings, lists, emphasis and links
+ * are kept inline, layout tables become plain flow, and images are dropped unless their
+ * alt text says something.
+ * @param {Node} root Element, document or fragment to convert
+ * @returns {string} Markdown
+ */
+export function htmlToMarkdown(root) {
+    return renderChildren(root, { listDepth: 0, inLink: false })
+        .split('\n')
+        .map(line => {
+            const collapsed = line.replace(/(\S)[ \t]+/g, '$1 ').trimEnd();
+            // Only list items keep their indentation
+            return /^\s*(-|\d+\.) /.test(collapsed) ? collapsed : collapsed.trimStart();
+        })
+        .join('\n')
+        .replace(/\*\*\s*\*\*/g, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Extracts the core readable content from an email's HTML string using multiple strategies.
+ * This handles complex newsletter layouts that often confuse simple parsers.
+ * @param {DomImplementation} dom DOM implementation; without `Readability` the section and plain-text strategies are used.
+ * @param {string} htmlString The raw HTML of the email.
+ * @param {Object} [rule] Merged extraction rule, see `resolveExtractionRule` in extraction-rules.js.
+ * @param {boolean} [explain] Also report what was dropped and why, for the rule tester.
+ * @param {string} [sponsoredContent] 'exclude' to remove sponsored blocks, 'label' to keep them prefixed with "[Sponsored]".
+ * @returns {{text: string, markdown: string, links: Array<string>, strategy: string, dropped?: Array<Object>}} The cleaned text, the same content as Markdown, links, and the strategy that produced the text.
+ */
+export function cleanEmailContent(dom, htmlString, rule = FALLBACK_RULE, explain = false, sponsoredContent = 'exclude') {
+    if (!htmlString) return { text: '', markdown: '', links: [], strategy: 'empty', dropped: [] };
+
+    console.log('[HTML Processing] Processing email HTML, length:', htmlString.length, 'rules:', rule.names.join(', ') || 'generic');
+
+    const dropped = [];
+    const recordDrop = (reason, text) => {
+        if (explain && text.trim()) {
+            dropped.push({ reason, text: previewText(text) });
+        }
+    };
+    const dropReason = lowerText => {
+        const boilerplate = findPhrase(lowerText, rule.boilerplatePhrases);
+        return boilerplate ? `boilerplate phrase "${boilerplate}"` : null;
+    };
+
+    try {
+        const { Readability } = dom;
+        const parser = new dom.DOMParser();
+        const doc = parser.parseFromString(htmlString, 'text/html');
+
+        // Remove unwanted elements completely
+        stripElements(doc, rule, recordDrop);
+
+        findSponsoredBlocks(doc, rule).forEach(({ element, text, signals }) => {
+            if (sponsoredContent === 'label') {
+                element.prepend(doc.createTextNode('[Sponsored] '));
+            } else {
+                recordDrop(`sponsored (${signals.join(', ')})`, text);
+                element.remove();
+            }
+        });
+
+        // Strategy 1: Try Readability.js first (but with cleaned doc)
+        let cleanedText = '';
+        let markdown = '';
+        let strategy = '';
+        const articleMarkdown = article => htmlToMarkdown(parser.parseFromString(article.content || '', 'text/html').body);
+
+        try {
+            // Sender rules may point at the element that holds the main content
+            for (const selector of Readability ? rule.mainSelectors : []) {
+                const mainElement = safeQueryAll(doc, selector)[0];
+                if (mainElement) {
+                    const testReader = new Readability(mainElement.cloneNode(true));
+                    const testArticle = testReader.parse();
+                    if (testArticle && testArticle.textContent && testArticle.textContent.trim().length > 200) {
+                        cleanedText = testArticle.textContent;
+                        markdown = articleMarkdown(testArticle);
+                        strategy = `main selector ${selector}`;
+                        console.log(`[HTML Processing] Extracted main content with selector ${selector},`, cleanedText.length, 'characters');
+                        break;
+                    }
+                }
+            }
+
+            // Fallback to regular Readability
+            if (!strategy && Readability) {
+                const reader = new Readability(doc.cloneNode(true));
+                const article = reader.parse();
+
+                if (article && article.textContent && article.textContent.trim().length > 100) {
+                    cleanedText = article.textContent;
+                    markdown = articleMarkdown(article);
+                    strategy = 'readability';
+                    console.log('[HTML Processing] Regular Readability.js succeeded, extracted', cleanedText.length, 'characters');
+                }
+            }
+        } catch (readabilityError) {
+            console.log('[HTML Processing] Readability.js failed:', readabilityError.message);
+        }
+
+        // Strategy 2: Newsletter-specific extraction for table-based layouts
+        if (!strategy) {
+            console.log('[HTML Processing] Falling back to newsletter-specific extraction');
+            strategy = 'newsletter sections';
+
+            // Look for content in table structures (common in newsletters)
+            const contentCandidates = [];
+
+            // Find all table cells and divs with substantial text content
+            const allElements = doc.querySelectorAll('td, div, p, article, section');
+
+            allElements.forEach((element, index) => {
+                const text = element.textContent.trim();
+
+                // Skip if too short or likely navigation/promotional
+                if (text.length < 50) return;
+
+                // Skip if it looks like navigation/header/footer content
+                const lowerText = text.toLowerCase();
+                const reason = dropReason(lowerText);
+                if (reason) {
+                    // Report only the innermost match, its ancestors contain the same phrase
+                    const hasSmallerMatch = Array.from(element.querySelectorAll('td, div, p, article, section'))
+                        .some(child => child.textContent.trim().length >= 50 && dropReason(child.textContent.toLowerCase()));
+                    if (!hasSmallerMatch) recordDrop(reason, text);
+                    return;
+                }
+
+                // Skip if it's mostly links or short phrases
+                const linkText = Array.from(element.querySelectorAll('a')).map(a => a.textContent).join(' ');
+                if (linkText.length > text.length * 0.7) return; // More than 70% links
+
+                // Calculate content quality score with newsletter-aware scoring
+                const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 10);
+                const words = text.split(/\s+/).filter(w => w.length > 2);
+                const avgWordLength = words.reduce((sum, w) => sum + w.length, 0) / words.length;
+
+                // Base quality score
+                let qualityScore = sentences.length * 2 + words.length + avgWordLength;
+
+                // Boost score for main content indicators
+                const mainContentIndicators = [
+                    'welcome to', 'in this edition', 'key insights', 'highlights',
+                    'our research', 'new analysis', 'latest findings', 'report',
+                    'study shows', 'according to', 'data reveals', 'survey',
+                    'article', 'analysis', 'perspective', 'insights'
+                ];
+
+                const hasMainContentIndicators = mainContentIndicators.some(indicator =>
+                    lowerText.includes(indicator)
+                );
+
+                if (hasMainContentIndicators) {
+                    qualityScore *= 2; // Double the score for likely main content
+                }
+
+                // Position bonus - heavily favor earlier content, but not at the expense of quality
+                const positionBonus = Math.max(0, 500 - index); // Reduced position bonus
+
+                const finalScore = Math.max(0, qualityScore + positionBonus);
+
+                contentCandidates.push({
+                    element,
+                    text,
+                    score: finalScore,
+                    qualityScore,
+                    positionBonus,
+                    wordCount: words.length,
+                    sentenceCount: sentences.length,
+                    documentOrder: index
+                });
+            });
+
+            // Sort by final score (quality + position), but maintain some document order
+            contentCandidates.sort((a, b) => {
+                // If scores are close, prefer document order
+                if (Math.abs(b.score - a.score) < 100) {
+                    return a.documentOrder - b.documentOrder;
+                }
+                return b.score - a.score;
+            });
+
+            console.log('[HTML Processing] Found', contentCandidates.length, 'content candidates');
+            if (contentCandidates.length > 0) {
+                console.log('[HTML Processing] Top 3 candidates:');
+                contentCandidates.slice(0, 3).forEach((c, i) => {
+                    console.log(`  ${i+1}. Score: ${c.score} (quality: ${c.qualityScore}, position: ${c.positionBonus}), Order: ${c.documentOrder}, Text: "${c.text.substring(0, 100)}..."`);
+                });
+            }
+
+            // Take the top candidates, but ensure we get content from the beginning
+            const selectedContent = [];
+            let totalWords = 0;
+
+            // First pass: prioritize very early, high-quality content
+            for (const candidate of contentCandidates) {
+                if (candidate.documentOrder < 50 && candidate.qualityScore > 100) {
+                    const isDuplicate = selectedContent.some(selected =>
+                        selected.text.includes(candidate.text) ||
+                        candidate.text.includes(selected.text)
+                    );
+
+                    if (!isDuplicate && totalWords < 800) {
+                        selectedContent.push(candidate);
+                        totalWords += candidate.wordCount;
+                    }
+                }
+
+                if (selectedContent.length >= 3 || totalWords >= 600) break;
+            }
+
+            // Second pass: fill in with other good content if needed
+            if (selectedContent.length < 3 && totalWords < 400) {
+                for (const candidate of contentCandidates) {
+                    const isDuplicate = selectedContent.some(selected =>
+                        selected.text.includes(candidate.text) ||
+                        candidate.text.includes(selected.text)
+                    );
+
+                    if (!isDuplicate && totalWords < 1000) {
+                        selectedContent.push(candidate);
+                        totalWords += candidate.wordCount;
+                    }
+
+                    if (selectedContent.length >= 5 || totalWords >= 800) break;
+                }
+            }
+
+            // Sort selected content by document order to maintain flow
+            selectedContent.sort((a, b) => a.documentOrder - b.documentOrder);
+
+            cleanedText = selectedContent.map(c => c.text).join('\n\n');
+            markdown = selectedContent.map(c => htmlToMarkdown(c.element)).join('\n\n');
+            console.log('[HTML Processing] Newsletter extraction got', cleanedText.length, 'characters from', selectedContent.length, 'sections');
+            console.log('[HTML Processing] Selected sections in order:', selectedContent.map(c => `[${c.documentOrder}]`).join(', '));
+        }
+
+        // Strategy 3: Final fallback - aggressive text extraction
+        if (!cleanedText || cleanedText.length < 50) {
+            console.log('[HTML Processing] Using final fallback - aggressive text extraction');
+            strategy = 'plain text';
+
+            // Get all text content but filter aggressively
+            const allText = doc.body ? doc.body.textContent : doc.textContent;
+            const paragraphs = allText.split(/\n\n+/).filter(p => {
+                const trimmed = p.trim();
+                if (trimmed.length < 30) return false;
+
+                const reason = dropReason(trimmed.toLowerCase());
+                if (reason) recordDrop(reason, trimmed);
+                return !reason;
+            });
+
+            cleanedText = paragraphs.slice(0, 10).join('\n\n'); // Take first 10 good paragraphs
+            markdown = cleanedText;
+        }
+
+        // Extract links from the original document
+        const links = [...doc.querySelectorAll('a')]
+            .map(a => a.getAttribute('href'))
+            .filter(href => href && href.startsWith('http'))
+            .slice(0, 10);
+
+        // Final cleanup
+        cleanedText = normalizeWhitespace(cleanedText).trim();
+
+        console.log('[HTML Processing] Final result:', cleanedText.length, 'characters,', links.length, 'links');
+        console.log('[HTML Processing] First 300 chars:', cleanedText.substring(0, 300) + '...');
+
+        const result = {
+            text: cleanedText,
+            markdown: markdown.trim() || cleanedText,
+            links: [...new Set(links)],
+            strategy
+        };
+        if (explain) {
+            result.dropped = dropped;
+        }
+        return result;
+
+    } catch (error) {
+        console.error('[HTML Processing] Content extraction failed completely:', error);
+        // Ultimate fallback
+        const textOnly = normalizeWhitespace(htmlString.replace(/<[^>]*>/g, ' ')).trim();
+        return { text: textOnly, markdown: textOnly, links: [], strategy: 'error', dropped };
+    }
+}
+
+const MIN_STORY_WORDS = 20;
+const MAX_BOILERPLATE_STORY_WORDS = 80; // Longer segments are kept even if a footer phrase slipped in
+const MAX_STORIES_PER_EMAIL = 30;
+const MIN_ROW_TEXT_LENGTH = 80;
+const NAVIGATION_LINK_PATTERN = /unsubscribe|view (it )?in (your )?browser|view online|preferences|share|forward|twitter|facebook|linkedin|instagram|youtube/i;
+
+/**
+ * Split an email into story units, for roundup newsletters that cover several unrelated items.
+ * Tries, in order: repeated headings, horizontal rules, then the rows of the table that holds
+ * the most substantial rows. Emails with no such structure return no stories, and callers
+ * treat their cleaned text as one story.
+ * @param {DomImplementation} dom DOM implementation
+ * @param {string} htmlString The raw HTML of the email
+ * @param {Object} [rule] Merged extraction rule, see `resolveExtractionRule` in extraction-rules.js
+ * @returns {Array<{headline: string, body: string, markdown: string, link: string|null, links: Array<string>, sponsored: boolean, sponsorSignals: Array<string>, segmentedBy: string}>} Stories in document order
+ */
+export function segmentStories(dom, htmlString, rule = FALLBACK_RULE) {
+    if (!htmlString) return [];
+
+    try {
+        const doc = new dom.DOMParser().parseFromString(htmlString, 'text/html');
+        stripElements(doc, rule);
+
+        const root = rule.mainSelectors
+            .map(selector => safeQueryAll(doc, selector)[0])
+            .find(Boolean) || doc.body;
+        if (!root) return [];
+
+        const strategies = [
+            ['headings', splitOnHeadings],
+            ['rules', splitOnHorizontalRules],
+            ['table rows', splitOnTableRows]
+        ];
+
+        for (const [segmentedBy, split] of strategies) {
+            const stories = split(root)
+                .map(fragment => toStory(fragment, rule, segmentedBy))
+                .filter(Boolean);
+            // A single surviving segment is no better than treating the email as one story
+            if (stories.length >= 2) {
+                console.log(`[HTML Processing] Segmented email into ${stories.length} stories by ${segmentedBy}.`);
+                return stories.slice(0, MAX_STORIES_PER_EMAIL);
+            }
+        }
+
+        return [];
+    } catch (error) {
+        console.error('[HTML Processing] Error segmenting stories:', error);
+        return [];
+    }
+}
+
+/**
+ * Split content at a list of boundary elements
+ * @param {Element} root Element being split
+ * @param {Array<Element>} boundaries Boundary elements in document order
+ * @param {boolean} keepBoundary Whether the boundary opens the following segment (headings) or is dropped (rules)
+ * @returns {Array<DocumentFragment>} Segments, including the content before the first boundary
+ */
+function splitAtBoundaries(root, boundaries, keepBoundary) {
+    const segments = [];
+    const range = root.ownerDocument.createRange();
+
+    boundaries.forEach((boundary, index) => {
+        if (index === 0) {
+            range.selectNodeContents(root);
+            range.setEndBefore(boundary);
+            segments.push(range.cloneContents());
+        }
+        range.selectNodeContents(root);
+        if (keepBoundary) {
+            range.setStartBefore(boundary);
+        } else {
+            range.setStartAfter(boundary);
+        }
+        if (index + 1 < boundaries.length) {
+            range.setEndBefore(boundaries[index + 1]);
+        }
+        segments.push(range.cloneContents());
+    });
+
+    return segments;
+}
+
+/**
+ * Split on the highest heading level that repeats, e.g. one h2 per story under an h1 title
+ * @param {Element} root Element being split
+ * @returns {Array<DocumentFragment>} Segments, or an empty array if there is no usable heading level
+ */
+function splitOnHeadings(root) {
+    for (const level of ['h1', 'h2', 'h3', 'h4']) {
+        const headings = Array.from(root.querySelectorAll(level)).filter(heading => heading.textContent.trim());
+        if (headings.length >= 2) {
+            return splitAtBoundaries(root, headings, true);
+        }
+    }
+    return [];
+}
+
+/**
+ * Split on <hr> separators
+ * @param {Element} root Element being split
+ * @returns {Array<DocumentFragment>} Segments, or an empty array with fewer than two rules
+ */
+function splitOnHorizontalRules(root) {
+    const rules = Array.from(root.querySelectorAll('hr'));
+    return rules.length >= 2 ? splitAtBoundaries(root, rules, false) : [];
+}
+
+/**
+ * Split on the rows of the table with the most substantial rows.
+ * Newsletter layouts nest tables; the wrapping tables have only a few rows, so the
+ * table with the most text-heavy rows is usually the one listing the stories.
+ * @param {Element} root Element being split
+ * @returns {Array<DocumentFragment>} One segment per substantial row, or an empty array
+ */
+function splitOnTableRows(root) {
+    let bestRows = [];
+
+    root.querySelectorAll('table').forEach(table => {
+        const rows = Array.from(table.rows)
+            .filter(row => row.closest('table') === table)
+            .filter(row => row.textContent.replace(/\s+/g, ' ').trim().length >= MIN_ROW_TEXT_LENGTH);
+        if (rows.length > bestRows.length) {
+            bestRows = rows;
+        }
+    });
+
+    if (bestRows.length < 3) return [];
+
+    return bestRows.map(row => {
+        const range = root.ownerDocument.createRange();
+        range.selectNodeContents(row);
+        return range.cloneContents();
+    });
+}
+
+/**
+ * Pick a story's headline: its first heading, else a short bold lead-in, else its first sentence
+ * @param {DocumentFragment} fragment Story content
+ * @param {string} text Story text
+ * @returns {string} Headline
+ */
+function findHeadline(fragment, text) {
+    const candidates = fragment.querySelectorAll('h1, h2, h3, h4, h5, h6, strong, b');
+    for (const candidate of candidates) {
+        const candidateText = candidate.textContent.replace(/\s+/g, ' ').trim();
+        if (candidateText.length >= 10 && candidateText.length <= 200) {
+            return candidateText;
+        }
+    }
+
+    const firstSentence = text.split(/(?<=[.!?])\s/)[0] || '';
+    return firstSentence.length > 120 ? `${firstSentence.slice(0, 117)}...` : firstSentence;
+}
+
+/**
+ * Pick a story's primary link: the link on the headline if there is one, else the
+ * first link that is not navigation or account management
+ * @param {DocumentFragment} fragment Story content
+ * @param {string} headline Story headline
+ * @returns {{link: string|null, links: Array<string>}} Primary link and every content link
+ */
+function findStoryLinks(fragment, headline) {
+    const anchors = Array.from(fragment.querySelectorAll('a[href]'))
+        .filter(anchor => /^https?:/i.test(anchor.getAttribute('href')))
+        .filter(anchor => !NAVIGATION_LINK_PATTERN.test(anchor.textContent));
+    const links = [...new Set(anchors.map(anchor => anchor.getAttribute('href')))];
+
+    const headlineAnchor = anchors.find(anchor => {
+        const anchorText = anchor.textContent.replace(/\s+/g, ' ').trim();
+        return anchorText && (headline.includes(anchorText) || anchorText.includes(headline));
+    });
+
+    return { link: headlineAnchor ? headlineAnchor.getAttribute('href') : (links[0] || null), links };
+}
+
+/**
+ * Convert a story to Markdown without its headline, which the digest prints separately
+ * @param {DocumentFragment} fragment Story content
+ * @param {string} headline Story headline
+ * @returns {string} Markdown body
+ */
+function storyMarkdown(fragment, headline) {
+    const blocks = htmlToMarkdown(fragment).split('\n\n');
+    const firstBlockText = (blocks[0] || '')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/[#*]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return (firstBlockText === headline ? blocks.slice(1) : blocks).join('\n\n');
+}
+
+/**
+ * Turn a segment into a story, or drop it if it is too short or boilerplate
+ * @param {DocumentFragment} fragment Segment content
+ * @param {Object} rule Merged extraction rule
+ * @param {string} segmentedBy Strategy that produced the segment
+ * @returns {Object|null} Story, or null if the segment should be dropped
+ */
+function toStory(fragment, rule, segmentedBy) {
+    const text = normalizeWhitespace(fragment.textContent).trim();
+    const wordCount = text.split(' ').length;
+    if (wordCount < MIN_STORY_WORDS) return null;
+
+    // Short segments with footer phrases are footers
+    const lowerText = text.toLowerCase();
+    if (wordCount < MAX_BOILERPLATE_STORY_WORDS && findPhrase(lowerText, rule.boilerplatePhrases)) {
+        return null;
+    }
+
+    const headline = findHeadline(fragment, text);
+    const body = text.startsWith(headline) ? text.slice(headline.length).trim() : text;
+    const { link, links } = findStoryLinks(fragment, headline);
+    const { sponsored, signals } = detectSponsorship(fragment, text, rule);
+
+    return {
+        headline,
+        body,
+        markdown: storyMarkdown(fragment, headline),
+        link,
+        links,
+        sponsored,
+        sponsorSignals: signals,
+        segmentedBy
+    };
+}
+
+const PAYWALL_SELECTORS = '[class*="paywall" i], [id*="paywall" i], [class*="meter-wall" i], [class*="subscriber-only" i], [class*="regwall" i]';
+const PAYWALL_TEXT_PATTERN = /subscribe (now )?to (continue|keep) reading|this (article|story|content) is (only )?(available|reserved) (to|for) (subscribers|members)|already a subscriber\?|create a free account to (continue|keep) reading/i;
+
+/**
+ * Check whether a page hides its article behind a paywall. Publishers mark paywalled articles
+ * in their structured data for search engines; otherwise look for paywall markup or wording.
+ * @param {Document} doc Parsed page, before Readability modifies it
+ * @returns {boolean} True if the page looks paywalled
+ */
+function detectPaywall(doc) {
+    const structuredData = Array.from(doc.querySelectorAll('script[type="application/ld+json"]'))
+        .map(script => script.textContent)
+        .join('\n');
+    if (/"isAccessibleForFree"\s*:\s*"?false"?/i.test(structuredData)) {
+        return true;
+    }
+    return Boolean(safeQueryAll(doc, PAYWALL_SELECTORS).length) ||
+        PAYWALL_TEXT_PATTERN.test(doc.body ? doc.body.textContent : '');
+}
+
+/**
+ * Extract the main article from a web page with Readability
+ * @param {DomImplementation} dom DOM implementation; needs `Readability`
+ * @param {string} htmlString The page HTML
+ * @param {string} [url] Address of the page, used to resolve relative links
+ * @returns {{title: string, html: string, text: string, paywalled: boolean}|{error: string}} Article HTML and text, or an error
+ */
+export function parseArticle(dom, htmlString, url = '') {
+    if (!dom.Readability) {
+        return { error: 'Readability is not available' };
+    }
+
+    try {
+        const doc = new dom.DOMParser().parseFromString(htmlString || '', 'text/html');
+        if (url && doc.head) {
+            // Readability resolves relative links against the document's base URI
+            const base = doc.createElement('base');
+            base.setAttribute('href', url);
+            doc.head.prepend(base);
+        }
+
+        const paywalled = detectPaywall(doc);
+        const article = new dom.Readability(doc).parse();
+        if (!article || !article.textContent) {
+            return { error: 'Failed to parse article content with Readability.' };
+        }
+        return { title: article.title || '', html: article.content, text: article.textContent.replace(/\s+/g, ' ').trim(), paywalled };
+    } catch (error) {
+        console.error('[HTML Processing] Error parsing article:', error);
+        return { error: error.message };
+    }
+}
+
+/**
+ * Run several processing steps over a batch of emails, so the caller needs one round trip
+ * for a whole digest instead of one message per email and step.
+ * @param {DomImplementation} dom DOM implementation
+ * @param {Array<{id: string, htmlString: string, rule: Object}>} emails Emails with their merged extraction rules
+ * @param {Object} options Processing options
+ * @param {boolean} [options.clean] Clean every email
+ * @param {boolean} [options.stories] Segment every email into stories; emails without stories are also cleaned
+ * @param {boolean} [options.links] Extract every email's links
+ * @param {string} [options.sponsoredContent] 'exclude' or 'label', see `cleanEmailContent`
+ * @returns {Array<{id: string, cleaned?: Object, stories?: Array<Object>, links?: Array<Object>}>} Results in input order
+ */
+export function processEmails(dom, emails, { clean = false, stories = false, links = false, sponsoredContent = 'exclude' } = {}) {
+    return emails.map(({ id, htmlString, rule }) => {
+        const result = { id };
+        if (stories) {
+            result.stories = segmentStories(dom, htmlString, rule || undefined);
+        }
+        if (clean || (stories && result.stories.length === 0)) {
+            result.cleaned = cleanEmailContent(dom, htmlString, rule || undefined, false, sponsoredContent);
+        }
+        if (links) {
+            result.links = extractLinks(dom, htmlString, rule || undefined);
+        }
+        return result;
+    });
+}
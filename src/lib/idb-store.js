@@ -0,0 +1,119 @@
+/**
+ * Promise-based helpers around the extension's IndexedDB database
+ */
+
+const DB_NAME = 'inbox-digest';
+const DB_VERSION = 6;
+
+// Object stores and their key paths. Bump DB_VERSION when adding a store.
+const STORES = {
+    messages: { keyPath: 'id' },
+    localMessages: { keyPath: 'id' },
+    webVersions: { keyPath: 'url' },
+    articles: { keyPath: 'url' },
+    usage: { keyPath: 'id' },
+    contentCache: { keyPath: 'key' },
+    contentCacheIndex: { keyPath: 'key' }
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the extension database
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.entries(STORES).forEach(([name, { keyPath }]) => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, { keyPath });
+                    }
+                });
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run a set of requests inside a single transaction
+ * @param {string} storeName Object store name
+ * @param {IDBTransactionMode} mode 'readonly' or 'readwrite'
+ * @param {Function} issueRequests Called with the store, returns an array of IDBRequests
+ * @returns {Promise<Array>} Results of the requests, in order
+ */
+async function runTransaction(storeName, mode, issueRequests) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const requests = issueRequests(transaction.objectStore(storeName));
+
+        transaction.oncomplete = () => resolve(requests.map(request => request.result));
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+}
+
+/**
+ * Get several records by key
+ * @param {string} storeName Object store name
+ * @param {Array} keys Keys to look up
+ * @returns {Promise<Array>} Records in key order, `undefined` for missing keys
+ */
+export async function idbGetMany(storeName, keys) {
+    if (keys.length === 0) return [];
+    return runTransaction(storeName, 'readonly', store => keys.map(key => store.get(key)));
+}
+
+/**
+ * Get every record in a store
+ * @param {string} storeName Object store name
+ * @returns {Promise<Array>} All records
+ */
+export async function idbGetAll(storeName) {
+    const [records] = await runTransaction(storeName, 'readonly', store => [store.getAll()]);
+    return records || [];
+}
+
+/**
+ * Insert or replace several records
+ * @param {string} storeName Object store name
+ * @param {Array<Object>} records Records to store
+ * @returns {Promise<void>}
+ */
+export async function idbPutMany(storeName, records) {
+    if (records.length === 0) return;
+    await runTransaction(storeName, 'readwrite', store => records.map(record => store.put(record)));
+}
+
+/**
+ * Delete several records by key
+ * @param {string} storeName Object store name
+ * @param {Array} keys Keys to delete
+ * @returns {Promise<void>}
+ */
+export async function idbDeleteMany(storeName, keys) {
+    if (keys.length === 0) return;
+    await runTransaction(storeName, 'readwrite', store => keys.map(key => store.delete(key)));
+}
+
+/**
+ * Remove every record from a store
+ * @param {string} storeName Object store name
+ * @returns {Promise<void>}
+ */
+export async function idbClear(storeName) {
+    await runTransaction(storeName, 'readwrite', store => [store.clear()]);
+}
@@ -4,7 +4,6 @@
  */
 
 import { getStoredPreferences } from './personalization.js';
-import { Readability } from './Readability.js';
 
 // Storage keys
 const KNOWLEDGE_WEB_KEY = 'knowledgeWeb';
@@ -332,13 +331,22 @@ export function extractUrls(htmlContent) {
 /**
  * Fetches the content of a URL and parses it into a readable article.
  * This function now fetches directly instead of messaging the background script.
+ * Parsing happens in the offscreen document, which the caller must have set up.
  * @param {string} url - The URL to fetch and parse.
- * @returns {Promise<Object>} An object indicating success and containing the content or an error.
+ * @param {Object} [options] - Fetch options.
+ * @param {number} [options.timeoutMs] - Abort the request after this many milliseconds.
+ * @returns {Promise<Object>} An object indicating success and containing the content (plain text),
+ *   the article's `html` and `title`, whether it looks `paywalled`, or an error.
  */
-export async function fetchAndParseArticle(url) {
+export async function fetchAndParseArticle(url, { timeoutMs = 0 } = {}) {
+    const controller = new AbortController();
+    const timeout = timeoutMs ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
     try {
         const response = await fetch(url, {
-            headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36' }
+            headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36' },
+            credentials: 'omit',
+            signal: controller.signal
         });
 
         if (!response.ok) {
@@ -346,18 +354,22 @@ export async function fetchAndParseArticle(url) {
         }
 
         const html = await response.text();
-        const doc = new DOMParser().parseFromString(html, 'text/html');
-        const reader = new Readability(doc);
-        const article = reader.parse();
+        const article = await chrome.runtime.sendMessage({
+            type: 'parse-article',
+            target: 'offscreen',
+            data: { htmlString: html, url: response.url || url },
+        });
 
-        if (!article || !article.textContent) {
-             throw new Error('Failed to parse article content with Readability.');
+        if (!article || article.error) {
+             throw new Error(article ? article.error : 'The offscreen document did not respond.');
         }
 
-        return { success: true, url, content: article.textContent.replace(/\s+/g, ' ').trim() };
+        return { success: true, url, title: article.title, html: article.html, content: article.text, paywalled: article.paywalled };
 
     } catch (error) {
         console.error(`Failed to fetch or parse article at ${url}:`, error);
         return { success: false, url, error: error.message };
+    } finally {
+        clearTimeout(timeout);
     }
 } 
\ No newline at end of file
@@ -0,0 +1,130 @@
+/**
+ * Offline language detection for newsletter text.
+ * Languages with their own script are recognized by the script alone; Latin-script text is
+ * compared against small character-trigram profiles of the most common trigrams per language.
+ */
+
+const MIN_DETECTION_LETTERS = 40; // Below this, Latin trigram counts are mostly noise
+const MAX_DETECTION_CHARS = 4000; // The opening of a story is plenty
+const MIN_TRIGRAM_SCORE = 0.1; // Share of weighted trigram hits needed to name a language
+
+/**
+ * Display names of the languages that can be detected or requested for the digest
+ * @type {Object<string, string>}
+ */
+export const LANGUAGE_NAMES = {
+    en: 'English',
+    de: 'German',
+    fr: 'French',
+    es: 'Spanish',
+    it: 'Italian',
+    pt: 'Portuguese',
+    nl: 'Dutch',
+    ja: 'Japanese',
+    zh: 'Chinese',
+    ko: 'Korean',
+    ru: 'Russian',
+    el: 'Greek',
+    ar: 'Arabic',
+    he: 'Hebrew'
+};
+
+// Most common trigrams per language, in order of frequency; `_` marks a word boundary
+const TRIGRAM_PROFILES = {
+    en: '_th the he_ _an and nd_ ing ng_ _of of_ _to to_ ion _in in_ ed_ tio er_ is_ _is es_ re_ on_ ent at_ _a_ for _fo or_ hat tha _be ter ly_ _co al_ ati you _yo ou_ ith wit _wi th_ ver her ere _wh all _re _ha ave hav nt_ _on _it it_ st_ _we ons are _ar',
+    de: 'en_ er_ _de der ich ein sch che die _di und _un nd_ ie_ _ei in_ den cht _da ten ch_ gen ine ung _ge te_ _be das _ve _zu zu_ ne_ nde ers es_ ste ber _au _mi it_ mit ist _is st_ _si sie auf _fü für ür_ eit _we ach _ni nic ht_ _an ent',
+    fr: 'es_ _de de_ le_ ent _le nt_ la_ _la ion _co on_ re_ _et et_ que ue_ _qu _pa les _un _po our pou ur_ ait tio ne_ _ce men des _da dan ans ns_ _en en_ _pr par _su ont _ét été ons _se _ne qui ui_ est st_ _es _à_ eur _au aux',
+    es: 'de_ _de os_ _la la_ el_ _el es_ en_ _en que ue_ _qu as_ _co ión ón_ _lo _se ent con _ca ado do_ ra_ _es est _un _po par _pa ara por or_ _pr ien nte _re ar_ las los _su er_ ta_ al_ _ha _al ero _mi cia sta _y_ _a_ ció',
+    it: '_di di_ la_ _la che he_ _ch to_ re_ _il il_ _co del ell lla _de one ne_ _pe per er_ _in ent _e_ _un ion ato no_ _no _qu _al _so are _ri _pr tto nto _da zio _se ta_ _ne nel con _ma _ha ia_ _è_ gli _gl ono sta',
+    pt: '_de de_ os_ _qu que ue_ _a_ _o_ _co do_ da_ _da _do ão_ ção _pa ent _e_ _se es_ _em em_ ar_ ra_ _pr com _um um_ uma ma_ _po par ara _re nte men ado _na as_ _no _ma ões ais est _es dos das por or_ ter _nã não',
+    nl: 'en_ _de de_ an_ et_ _he het _ee een _va van _en er_ ver _ve ijk _in in_ nd_ ing _ge gen oor _vo voo _zi _ze te_ _da aar _me _op op_ ond _is is_ ter _wa _di die _te _ni nie _be _ow _on nde ijn zij lij ten eer den'
+};
+
+// Scripts that identify a language on their own; Han without kana is taken as Chinese.
+// `minLetters` is how much text the script needs: a few CJK characters already make a phrase.
+const SCRIPT_LANGUAGES = [
+    { language: 'ko', pattern: /\p{Script=Hangul}/gu, minLetters: 4 },
+    { language: 'ja', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu, minLetters: 4 },
+    { language: 'zh', pattern: /\p{Script=Han}/gu, minLetters: 4 },
+    { language: 'ru', pattern: /\p{Script=Cyrillic}/gu, minLetters: 10 },
+    { language: 'el', pattern: /\p{Script=Greek}/gu, minLetters: 10 },
+    { language: 'ar', pattern: /\p{Script=Arabic}/gu, minLetters: 10 },
+    { language: 'he', pattern: /\p{Script=Hebrew}/gu, minLetters: 10 }
+];
+
+// Trigram -> weight per language, where the most frequent trigram weighs the most
+const PROFILE_WEIGHTS = Object.fromEntries(Object.entries(TRIGRAM_PROFILES).map(([language, profile]) => {
+    const trigrams = [...new Set(profile.split(' '))];
+    return [language, new Map(trigrams.map((trigram, rank) => [trigram.replace(/_/g, ' '), trigrams.length - rank]))];
+}));
+
+/**
+ * Count the character trigrams of a text, with words padded by spaces
+ * @param {string} text Latin-script text
+ * @returns {Map<string, number>} Trigram counts
+ */
+function countTrigrams(text) {
+    const counts = new Map();
+    const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+    words.forEach(word => {
+        const padded = ` ${word} `;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+            const trigram = padded.slice(i, i + 3);
+            counts.set(trigram, (counts.get(trigram) || 0) + 1);
+        }
+    });
+    return counts;
+}
+
+/**
+ * Detect the language of a text.
+ * @param {string} text Plain text, e.g. a cleaned story body
+ * @param {string|null} [fallback] Returned when the text is too short or ambiguous to tell
+ * @returns {string|null} ISO 639-1 code from `LANGUAGE_NAMES`, or the fallback
+ */
+export function detectLanguage(text, fallback = null) {
+    const sample = (text || '').slice(0, MAX_DETECTION_CHARS);
+    const letters = (sample.match(/\p{L}/gu) || []).length;
+    if (letters === 0) return fallback;
+
+    const scriptCounts = SCRIPT_LANGUAGES.map(({ language, pattern, minLetters }) => ({
+        language,
+        minLetters,
+        count: (sample.match(pattern) || []).length
+    }));
+    const kana = scriptCounts.find(entry => entry.language === 'ja').count;
+    const dominant = scriptCounts
+        // Japanese mixes kana with Han characters; a little kana is enough to tell it from Chinese
+        .map(entry => entry.language === 'ja' && kana > 0 ? { ...entry, count: entry.count + scriptCounts.find(e => e.language === 'zh').count } : entry)
+        .filter(entry => !(entry.language === 'zh' && kana > 0))
+        .reduce((best, entry) => entry.count > best.count ? entry : best);
+    if (dominant.count > letters / 2) {
+        return dominant.count >= dominant.minLetters ? dominant.language : fallback;
+    }
+    if (letters < MIN_DETECTION_LETTERS) return fallback;
+
+    const trigrams = countTrigrams(sample);
+    let total = 0;
+    trigrams.forEach(count => { total += count; });
+
+    let best = { language: fallback, score: 0 };
+    Object.entries(PROFILE_WEIGHTS).forEach(([language, weights]) => {
+        let hits = 0;
+        trigrams.forEach((count, trigram) => {
+            hits += count * (weights.get(trigram) || 0);
+        });
+        // Normalize by the best possible weight so profiles of different lengths compare fairly
+        const score = hits / (total * weights.size);
+        if (score > best.score) best = { language, score };
+    });
+    return best.score >= MIN_TRIGRAM_SCORE ? best.language : fallback;
+}
+
+/**
+ * Get the display name of a language
+ * @param {string|null} code ISO 639-1 code
+ * @returns {string} Language name, or the code itself if unknown
+ */
+export function languageName(code) {
+    return LANGUAGE_NAMES[code] || code || 'Unknown';
+}
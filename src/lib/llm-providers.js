@@ -0,0 +1,297 @@
+/**
+ * LLM provider abstraction.
+ * Pipeline stages ask for a chat completion by stage name; the provider and model for each
+ * stage come from the user's preferences, so filtering can run on a cheap model while the
+ * digest is written by a strong one. Providers translate the common request into their own
+ * API shape and report text and token usage in one format, which is recorded in the usage ledger.
+ */
+
+import { getStoredPreferences } from './personalization.js';
+import { recordUsage } from './usage-ledger.js';
+import * as config from './config.js';
+
+const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+const ANTHROPIC_DEFAULT_MAX_TOKENS = 4096; // The Messages API requires a limit
+const DEFAULT_CONTEXT_WINDOW = 8192; // Assumed for models we don't know
+const MAX_RETRIES = 3;
+const RETRY_DELAY = 1000; // 1 second base delay
+
+// Context windows of common hosted models in tokens, matched by name prefix; the first match wins
+const MODEL_CONTEXT_WINDOWS = [
+    { prefix: 'gpt-5', tokens: 400000 },
+    { prefix: 'gpt-4.1', tokens: 1047576 },
+    { prefix: 'gpt-4o', tokens: 128000 },
+    { prefix: 'gpt-4-turbo', tokens: 128000 },
+    { prefix: 'gpt-4', tokens: 8192 },
+    { prefix: 'gpt-3.5-turbo', tokens: 16385 },
+    { prefix: 'o1', tokens: 200000 },
+    { prefix: 'o3', tokens: 200000 },
+    { prefix: 'o4', tokens: 200000 },
+    { prefix: 'claude-', tokens: 200000 }
+];
+
+/**
+ * @typedef {Object} ChatRequest
+ * @property {Array<{role: string, content: string}>} messages Conversation; 'system' messages are allowed
+ * @property {number} [temperature] Sampling temperature
+ * @property {number} [maxTokens] Output token limit
+ * @property {boolean} [json] Ask for a single JSON object as the response
+ */
+
+/**
+ * @typedef {Object} ChatResult
+ * @property {string} text Response text
+ * @property {{inputTokens: number, outputTokens: number}} usage Tokens billed for the call
+ * @property {string} provider Provider ID
+ * @property {string} model Model that answered
+ */
+
+/**
+ * @typedef {Object} LlmProvider
+ * @property {string} name Display name
+ * @property {function(Object): (string|null)} getMissingSetup Reason the provider can't be used yet, or null
+ * @property {function(string, Object): number} getContextWindow Context window of a model in tokens,
+ *   given the model name and the user's preferences
+ * @property {function(string, ChatRequest, Object): Promise<ChatResult>} complete Run a chat completion
+ *   with a model, a request and the user's preferences
+ */
+
+/**
+ * Build an error for a failed API response, keeping the status for the retry decision
+ * @param {string} providerName Provider display name
+ * @param {Response} response Failed response
+ * @returns {Promise<Error>} Error with a `status` property
+ */
+async function responseError(providerName, response) {
+    const errorText = await response.text().catch(() => '');
+    const error = new Error(`${providerName} API error: ${response.status} ${response.statusText} - ${errorText}`);
+    error.status = response.status;
+    return error;
+}
+
+/**
+ * Run a Chat Completions request against OpenAI or a server that mimics its API
+ * @param {string} providerId Provider ID to report
+ * @param {string} url Chat Completions endpoint
+ * @param {string} apiKey Bearer token; may be empty for local servers
+ * @param {string} model Model name
+ * @param {ChatRequest} request Chat request
+ * @returns {Promise<ChatResult>} Normalized result
+ */
+async function completeChatCompletions(providerId, url, apiKey, model, request) {
+    const body = { model, messages: request.messages };
+    if (request.temperature !== undefined) body.temperature = request.temperature;
+    if (request.maxTokens) body.max_tokens = request.maxTokens;
+    if (request.json) body.response_format = { type: 'json_object' };
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
+    if (!response.ok) {
+        throw await responseError(PROVIDERS[providerId].name, response);
+    }
+
+    const data = await response.json();
+    return {
+        text: (data.choices[0].message.content || '').trim(),
+        usage: {
+            inputTokens: (data.usage && data.usage.prompt_tokens) || 0,
+            outputTokens: (data.usage && data.usage.completion_tokens) || 0
+        },
+        provider: providerId,
+        model: data.model || model
+    };
+}
+
+/**
+ * Pull the JSON object out of a response that may wrap it in prose or a code fence
+ * @param {string} text Response text
+ * @returns {string} The JSON object's text, or the input if none was found
+ */
+function extractJsonObject(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    return start !== -1 && end > start ? text.slice(start, end + 1) : text;
+}
+
+/**
+ * Look up the context window of a hosted model by its name
+ * @param {string} model Model name
+ * @returns {number} Context window in tokens
+ */
+function lookUpContextWindow(model) {
+    const known = MODEL_CONTEXT_WINDOWS.find(entry => model.toLowerCase().startsWith(entry.prefix));
+    return known ? known.tokens : DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Registered providers, keyed by the ID stored in preferences
+ * @type {Object<string, LlmProvider>}
+ */
+export const PROVIDERS = {
+    openai: {
+        name: 'OpenAI',
+        getMissingSetup: () => config.OPENAI_API_KEY ? null : 'OpenAI API key is not configured. Please add it to src/lib/config.js.',
+        getContextWindow: lookUpContextWindow,
+        complete: (model, request) => completeChatCompletions('openai', OPENAI_API_URL, config.OPENAI_API_KEY, model, request)
+    },
+
+    anthropic: {
+        name: 'Anthropic',
+        getMissingSetup: () => config.ANTHROPIC_API_KEY ? null : 'Anthropic API key is not configured. Please add ANTHROPIC_API_KEY to src/lib/config.js.',
+        getContextWindow: lookUpContextWindow,
+        async complete(model, request) {
+            // The Messages API takes the system prompt separately and has no JSON mode
+            const system = request.messages.filter(message => message.role === 'system').map(message => message.content);
+            if (request.json) {
+                system.push('Respond with a single JSON object and nothing else.');
+            }
+            const body = {
+                model,
+                max_tokens: request.maxTokens || ANTHROPIC_DEFAULT_MAX_TOKENS,
+                messages: request.messages.filter(message => message.role !== 'system')
+            };
+            if (system.length > 0) body.system = system.join('\n\n');
+            if (request.temperature !== undefined) body.temperature = request.temperature;
+
+            const response = await fetch(ANTHROPIC_API_URL, {
+                method: 'POST',
+                headers: {
+                    'x-api-key': config.ANTHROPIC_API_KEY,
+                    'anthropic-version': ANTHROPIC_VERSION,
+                    // Required for requests made from a browser context such as an extension
+                    'anthropic-dangerous-direct-browser-access': 'true',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+            if (!response.ok) {
+                throw await responseError(PROVIDERS.anthropic.name, response);
+            }
+
+            const data = await response.json();
+            const text = data.content
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('')
+                .trim();
+            return {
+                text: request.json ? extractJsonObject(text) : text,
+                usage: {
+                    inputTokens: (data.usage && data.usage.input_tokens) || 0,
+                    outputTokens: (data.usage && data.usage.output_tokens) || 0
+                },
+                provider: 'anthropic',
+                model: data.model || model
+            };
+        }
+    },
+
+    'openai-compatible': {
+        name: 'Local model (OpenAI-compatible)',
+        getMissingSetup: preferences => preferences.localModelUrl ? null : 'Local model endpoint is not configured. Please set it in Settings.',
+        // Depends on how the server loaded the model, so the user tells us
+        getContextWindow: (model, preferences) => preferences.localModelContextWindow || DEFAULT_CONTEXT_WINDOW,
+        complete: (model, request, preferences) => completeChatCompletions(
+            'openai-compatible',
+            `${preferences.localModelUrl.replace(/\/+$/, '')}/chat/completions`,
+            config.LOCAL_MODEL_API_KEY || '',
+            model,
+            request
+        )
+    }
+};
+
+/**
+ * Get the provider and model configured for a pipeline stage
+ * @param {string} stage 'filter' or 'synthesis'
+ * @param {Object} preferences User preferences
+ * @returns {{providerId: string, model: string}} Stage configuration
+ */
+export function getStageModel(stage, preferences) {
+    const configured = (preferences.llmStages || {})[stage];
+    if (!configured || !PROVIDERS[configured.provider] || !configured.model) {
+        throw new Error(`No model is configured for the "${stage}" stage. Please choose one in Settings.`);
+    }
+    return { providerId: configured.provider, model: configured.model };
+}
+
+/**
+ * Get the context window of the model configured for a pipeline stage
+ * @param {string} stage 'filter' or 'synthesis'
+ * @param {Object} preferences User preferences
+ * @returns {number} Context window in tokens, shared by the prompt and the response
+ */
+export function getStageContextWindow(stage, preferences) {
+    const { providerId, model } = getStageModel(stage, preferences);
+    return PROVIDERS[providerId].getContextWindow(model, preferences);
+}
+
+/**
+ * Check whether an error is worth retrying: rate limits, server errors and network failures
+ * @param {Error} error Error from a provider
+ * @returns {boolean} True if the request may succeed when repeated
+ */
+function isRetriable(error) {
+    return !error.status || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Run a chat completion with the provider and model configured for a pipeline stage.
+ * Rate limits, server errors and network failures are retried with exponential backoff,
+ * and the tokens billed for the successful call are recorded in the usage ledger.
+ * @param {string} stage 'filter' for cheap, high-volume calls or 'synthesis' for the digest itself
+ * @param {ChatRequest} request Chat request
+ * @param {Object} [options] Call options
+ * @param {string|null} [options.digestId] Digest the call runs for, for the usage ledger
+ * @param {string} [options.usageStage] Ledger stage; defaults to 'filter' or 'summary' by model stage
+ * @param {Object|null} [options.preferences] Preferences to use instead of the stored ones, e.g. with
+ *   a cheaper model picked to stay within the digest budget
+ * @returns {Promise<ChatResult>} Normalized result
+ */
+export async function completeChat(stage, request, { digestId = null, usageStage = null, preferences = null } = {}) {
+    if (!preferences) {
+        preferences = await getStoredPreferences();
+    }
+    const { providerId, model } = getStageModel(stage, preferences);
+    const provider = PROVIDERS[providerId];
+
+    const missingSetup = provider.getMissingSetup(preferences);
+    if (missingSetup) {
+        throw new Error(missingSetup);
+    }
+
+    let lastError = null;
+    for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+        try {
+            const result = await provider.complete(model, request, preferences);
+            console.log(`[LLM] ${stage}: ${provider.name} ${result.model}, ${result.usage.inputTokens} input / ${result.usage.outputTokens} output tokens.`);
+            try {
+                await recordUsage({
+                    stage: usageStage || (stage === 'filter' ? 'filter' : 'summary'),
+                    digestId,
+                    provider: providerId,
+                    model: result.model,
+                    usage: result.usage
+                });
+            } catch (error) {
+                console.error('[LLM] Failed to record usage:', error);
+            }
+            return result;
+        } catch (error) {
+            lastError = error;
+            if (!isRetriable(error) || attempt === MAX_RETRIES - 1) {
+                break;
+            }
+            const delay = RETRY_DELAY * Math.pow(2, attempt);
+            console.warn(`[LLM] ${stage} request failed (${error.message}). Retrying in ${delay}ms...`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    console.error(`[LLM] ${stage} request failed:`, lastError);
+    throw lastError;
+}
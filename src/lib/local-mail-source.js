@@ -0,0 +1,313 @@
+/**
+ * Local mail source.
+ * Parses user-selected .eml files and mbox exports into the same email shape the
+ * Gmail integration produces, and keeps them in IndexedDB for later digests.
+ */
+
+import { decodeBytes, decodeQuotedPrintable, getHeader, parseHeaderParams, parseMimePayload } from './mime-parser.js';
+import { idbClear, idbGetAll, idbPutMany } from './idb-store.js';
+import { buildSnippet, hashString, periodToMs } from './utils.js';
+
+const LOCAL_MESSAGE_STORE = 'localMessages';
+
+/**
+ * Convert bytes into a "binary string" with one character per byte
+ * @param {Uint8Array} bytes Raw bytes
+ * @returns {string} Binary string
+ */
+function bytesToBinaryString(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return binary;
+}
+
+/**
+ * Convert a binary string back into bytes
+ * @param {string} binary Binary string
+ * @returns {Uint8Array} Raw bytes
+ */
+function binaryStringToBytes(binary) {
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i) & 0xff;
+    }
+    return bytes;
+}
+
+/**
+ * Decode RFC 2047 encoded words, e.g. '=?UTF-8?B?w6l0w6k=?='
+ * @param {string} value Raw header value
+ * @returns {string} Decoded header value
+ */
+function decodeEncodedWords(value) {
+    // Whitespace between two adjacent encoded words is not part of the text
+    const joined = value.replace(/(\?=)\s+(=\?)/g, '$1$2');
+
+    return joined.replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (match, charset, encoding, text) => {
+        try {
+            const bytes = encoding.toLowerCase() === 'b'
+                ? binaryStringToBytes(atob(text))
+                : decodeQuotedPrintable(binaryStringToBytes(text.replace(/_/g, ' ')));
+            return decodeBytes(bytes, charset.split('*')[0]);
+        } catch (error) {
+            return match;
+        }
+    });
+}
+
+/**
+ * Parse a raw header block into a Gmail-style header list
+ * @param {string} headerText Header section of a message or part (binary string)
+ * @returns {Array<{name: string, value: string}>} Headers
+ */
+function parseHeaders(headerText) {
+    const headers = [];
+    // Unfold continuation lines before splitting
+    const unfolded = headerText.replace(/\r?\n[ \t]+/g, ' ');
+
+    unfolded.split(/\r?\n/).forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator <= 0) return;
+        const rawValue = line.slice(separator + 1).trim();
+        headers.push({
+            name: line.slice(0, separator).trim(),
+            // Raw 8-bit headers are almost always UTF-8 in practice
+            value: decodeEncodedWords(decodeBytes(binaryStringToBytes(rawValue), 'utf-8'))
+        });
+    });
+
+    return headers;
+}
+
+/**
+ * Split a raw message or part into its header and body sections
+ * @param {string} raw Binary string
+ * @returns {{headerText: string, bodyText: string}} Header and body sections
+ */
+function splitHeaderAndBody(raw) {
+    const match = /\r?\n\r?\n/.exec(raw);
+    if (!match) {
+        return { headerText: raw, bodyText: '' };
+    }
+    return {
+        headerText: raw.slice(0, match.index),
+        bodyText: raw.slice(match.index + match[0].length)
+    };
+}
+
+/**
+ * Parse a raw MIME entity into the payload structure `parseMimePayload` understands
+ * @param {string} raw Binary string of the entity
+ * @returns {Object} Payload node with mimeType, filename, headers, body and parts
+ */
+function parseEntity(raw) {
+    const { headerText, bodyText } = splitHeaderAndBody(raw);
+    const headers = parseHeaders(headerText);
+    const contentType = parseHeaderParams(getHeader(headers, 'Content-Type') || 'text/plain');
+    const disposition = parseHeaderParams(getHeader(headers, 'Content-Disposition'));
+    const mimeType = contentType.value || 'text/plain';
+
+    const node = {
+        mimeType,
+        filename: disposition.params.filename || contentType.params.name || '',
+        headers,
+        body: { size: 0 },
+        parts: []
+    };
+
+    if (mimeType.startsWith('multipart/') && contentType.params.boundary) {
+        const delimiter = `--${contentType.params.boundary}`;
+        const sections = bodyText.split(new RegExp(`^${escapeRegExp(delimiter)}(?:--)?[ \\t]*\\r?$`, 'm'));
+        // Drop the preamble before the first boundary and the epilogue after the last
+        // The line break before a boundary belongs to the boundary, not to the part
+        node.parts = sections.slice(1, -1)
+            .map(section => section.replace(/^\r?\n/, '').replace(/\r?\n$/, ''))
+            .filter(section => section.trim().length > 0)
+            .map(parseEntity);
+        return node;
+    }
+
+    const transferEncoding = (getHeader(headers, 'Content-Transfer-Encoding') || '').trim().toLowerCase();
+    let bytes;
+    if (transferEncoding === 'base64') {
+        try {
+            bytes = binaryStringToBytes(atob(bodyText.replace(/[^A-Za-z0-9+/=]/g, '')));
+        } catch (error) {
+            bytes = binaryStringToBytes(bodyText);
+        }
+    } else if (transferEncoding === 'quoted-printable') {
+        bytes = decodeQuotedPrintable(binaryStringToBytes(bodyText));
+    } else {
+        bytes = binaryStringToBytes(bodyText);
+    }
+
+    node.body = { bytes, size: bytes.length };
+    return node;
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse a raw RFC 822 message into an email object
+ * @param {string} raw Binary string of the full message
+ * @param {Date} [fallbackDate] Date to use when the message has no parseable Date header,
+ *   e.g. from its mbox `From ` line; defaults to now
+ * @returns {Object} Email object in the same shape as Gmail emails
+ */
+export function parseRawMessage(raw, fallbackDate = new Date()) {
+    const payload = parseEntity(raw);
+    const headers = payload.headers;
+    const subject = getHeader(headers, 'Subject') || '';
+    const from = getHeader(headers, 'From') || '';
+    const date = getHeader(headers, 'Date') || '';
+    const messageId = getHeader(headers, 'Message-ID') || `${from}|${subject}|${date}`;
+    const parsedDate = new Date(date);
+
+    const { html, text, attachments } = parseMimePayload(payload);
+
+    return {
+        id: `local-${hashString(messageId)}`,
+        subject,
+        from,
+        // Without a date the message would never fall inside a digest window
+        date: date && !Number.isNaN(parsedDate.getTime()) ? parsedDate : fallbackDate,
+        listUnsubscribe: getHeader(headers, 'List-Unsubscribe'),
+        listUnsubscribePost: getHeader(headers, 'List-Unsubscribe-Post'),
+        body: html || text,
+        htmlBody: html,
+        textBody: text,
+        attachments,
+        snippet: buildSnippet(text || html)
+    };
+}
+
+/**
+ * Read the delivery date from an mbox `From ` line, e.g. 'jane@example.com Sat Jan  3 01:05:34 1996'
+ * @param {string} envelope The line after 'From '
+ * @returns {Date|null} Delivery date, or null if it cannot be parsed
+ */
+function parseEnvelopeDate(envelope) {
+    const date = new Date(envelope.trim().replace(/^\S+\s+/, '').replace(/\s+remote from .*$/, ''));
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Split an mbox export into individual raw messages.
+ * Handles both mboxo and mboxrd quoting of body lines that start with "From ".
+ * @param {string} binary Binary string of the mbox file
+ * @returns {Array<{raw: string, envelopeDate: Date|null}>} Raw messages with the date of their `From ` line
+ */
+export function splitMbox(binary) {
+    const separators = Array.from(binary.matchAll(/^From (.*)\r?\n/gm));
+    const messages = separators.map((separator, index) => ({
+        raw: binary.slice(separator.index + separator[0].length, index + 1 < separators.length ? separators[index + 1].index : binary.length),
+        envelopeDate: parseEnvelopeDate(separator[1])
+    }));
+    // Text before the first separator, in files that don't start with one
+    messages.unshift({ raw: binary.slice(0, separators.length > 0 ? separators[0].index : binary.length), envelopeDate: null });
+
+    return messages
+        .map(message => ({ ...message, raw: message.raw.replace(/^>(>*From )/gm, '$1') }))
+        .filter(message => message.raw.trim().length > 0);
+}
+
+/**
+ * Check whether file content looks like an mbox export rather than a single message
+ * @param {File} file Selected file
+ * @param {string} binary File content as a binary string
+ * @returns {boolean} True for mbox files
+ */
+function isMboxFile(file, binary) {
+    return /\.mbox$/i.test(file.name) || binary.startsWith('From ');
+}
+
+/**
+ * Parse user-selected .eml or mbox files and store the messages locally.
+ * Runs in an extension page, where the selected File objects are readable.
+ * @param {FileList|Array<File>} files Files chosen by the user
+ * @returns {Promise<{imported: number, failed: number}>} Import counts
+ */
+export async function importMailFiles(files) {
+    const emails = [];
+    let failed = 0;
+
+    for (const file of Array.from(files)) {
+        try {
+            const binary = bytesToBinaryString(new Uint8Array(await file.arrayBuffer()));
+            const importedAt = new Date();
+            const rawMessages = isMboxFile(file, binary) ? splitMbox(binary) : [{ raw: binary, envelopeDate: null }];
+
+            rawMessages.forEach(({ raw, envelopeDate }) => {
+                try {
+                    emails.push(parseRawMessage(raw, envelopeDate || importedAt));
+                } catch (error) {
+                    console.warn(`[Local Mail] Skipping unparseable message in ${file.name}:`, error);
+                    failed++;
+                }
+            });
+        } catch (error) {
+            console.error(`[Local Mail] Failed to read ${file.name}:`, error);
+            failed++;
+        }
+    }
+
+    await idbPutMany(LOCAL_MESSAGE_STORE, emails);
+    console.log(`[Local Mail] Imported ${emails.length} messages (${failed} failed).`);
+    return { imported: emails.length, failed };
+}
+
+/**
+ * Count the locally imported messages
+ * @returns {Promise<number>} Number of stored messages
+ */
+export async function getImportedEmailCount() {
+    const emails = await idbGetAll(LOCAL_MESSAGE_STORE);
+    return emails.length;
+}
+
+/**
+ * Remove all locally imported messages
+ * @returns {Promise<void>}
+ */
+export async function clearImportedEmails() {
+    await idbClear(LOCAL_MESSAGE_STORE);
+}
+
+/**
+ * Mail source backed by imported .eml and mbox files
+ * @type {import('./mail-sources.js').MailSource}
+ */
+export const localMailSource = {
+    id: 'local',
+    label: 'Imported .eml / mbox files',
+
+    async fetchEmails(period = '7d', options = {}) {
+        const windowStart = Date.now() - periodToMs(period);
+        const stored = await idbGetAll(LOCAL_MESSAGE_STORE);
+
+        const inWindow = stored
+            .filter(email => new Date(email.date).getTime() >= windowStart)
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+        const emails = options.maxMessages ? inWindow.slice(0, options.maxMessages) : inWindow;
+
+        return {
+            emails,
+            stats: {
+                found: inWindow.length,
+                fetched: emails.length,
+                skipped: inWindow.length - emails.length,
+                truncated: emails.length < inWindow.length
+            }
+        };
+    }
+};
@@ -0,0 +1,132 @@
+/**
+ * Mail source registry.
+ * Every source returns emails in the shape produced by `processEmailData` in gmail-api.js,
+ * so the digest pipeline does not need to know where a message came from.
+ */
+
+import { syncNewsletterEmails } from './gmail-sync.js';
+import { DEFAULT_ACCOUNT_ID, getAccountToken, getConnectedAccounts } from './accounts.js';
+import { getStoredPreferences } from './personalization.js';
+import { localMailSource } from './local-mail-source.js';
+import { feedSource } from './feed-source.js';
+
+/**
+ * @typedef {Object} MailSource
+ * @property {string} id Stable identifier stored in preferences
+ * @property {string} label Name shown in the settings page
+ * @property {function(string, Object): Promise<{emails: Array<Object>, stats: Object}>} fetchEmails
+ *   Fetch emails for a period such as '7d'. Receives `{maxMessages}` and returns the emails
+ *   (newest first) along with source-specific statistics that include at least `fetched`.
+ */
+
+/**
+ * Gmail. Reads every enabled connected account, or the Chrome profile account when none
+ * are connected, and tags each email with the account it came from.
+ * @type {MailSource}
+ */
+const gmailSource = {
+    id: 'gmail',
+    label: 'Gmail',
+
+    async fetchEmails(period, options) {
+        const accounts = (await getConnectedAccounts()).filter(account => account.enabled);
+
+        if (accounts.length === 0) {
+            const { gmailQuery } = await getStoredPreferences();
+            const result = await syncNewsletterEmails(period, { ...options, querySettings: gmailQuery });
+            return {
+                emails: result.emails.map(email => ({ ...email, accountId: DEFAULT_ACCOUNT_ID, account: null })),
+                stats: result.stats
+            };
+        }
+
+        const results = await Promise.allSettled(accounts.map(account =>
+            syncNewsletterEmails(period, {
+                ...options,
+                querySettings: account.querySettings,
+                accountId: account.id,
+                getToken: () => getAccountToken(account.id)
+            })
+        ));
+
+        const emails = [];
+        const accountStats = {};
+        results.forEach((result, index) => {
+            const account = accounts[index];
+            if (result.status === 'rejected') {
+                console.error(`[Mail Sources] Gmail account ${account.email} failed:`, result.reason);
+                accountStats[account.id] = { error: result.reason?.message || String(result.reason) };
+                return;
+            }
+            accountStats[account.id] = result.value.stats;
+            result.value.emails.forEach(email => emails.push({ ...email, accountId: account.id, account: account.email }));
+        });
+
+        if (results.every(result => result.status === 'rejected')) {
+            throw new Error('Failed to sync every connected Gmail account');
+        }
+
+        return {
+            emails: emails.sort((a, b) => new Date(b.date) - new Date(a.date)),
+            stats: { fetched: emails.length, accounts: accountStats }
+        };
+    }
+};
+
+export const MAIL_SOURCES = [gmailSource, localMailSource, feedSource];
+
+export const DEFAULT_MAIL_SOURCES = [gmailSource.id];
+
+/**
+ * Fetch emails from several sources and merge them into one list.
+ * A source that fails is reported in the stats; the call only fails if every source does.
+ * @param {Array<string>} sourceIds IDs of the sources to read from
+ * @param {string} period Period such as '7d'
+ * @param {Object} options Options passed to every source
+ * @param {number} options.maxMessages Upper bound on messages per source
+ * @param {boolean} [options.refresh] Check for new mail instead of serving a cache that covers the period
+ * @returns {Promise<{emails: Array<Object>, stats: Object}>} Merged emails (newest first) and per-source statistics
+ */
+export async function fetchFromSources(sourceIds, period, options = {}) {
+    const ids = sourceIds && sourceIds.length > 0 ? sourceIds : DEFAULT_MAIL_SOURCES;
+    const sources = MAIL_SOURCES.filter(source => ids.includes(source.id));
+    if (sources.length === 0) {
+        throw new Error(`No known mail sources selected: ${ids.join(', ')}`);
+    }
+
+    const results = await Promise.allSettled(
+        sources.map(source => source.fetchEmails(period, options))
+    );
+
+    const seen = new Set();
+    const emails = [];
+    const sourceStats = {};
+
+    results.forEach((result, index) => {
+        const source = sources[index];
+        if (result.status === 'rejected') {
+            console.error(`[Mail Sources] ${source.label} failed:`, result.reason);
+            sourceStats[source.id] = { error: result.reason?.message || String(result.reason) };
+            return;
+        }
+
+        sourceStats[source.id] = result.value.stats;
+        result.value.emails.forEach(email => {
+            const key = `${source.id}:${email.id}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            emails.push({ ...email, sourceId: source.id });
+        });
+    });
+
+    if (results.every(result => result.status === 'rejected')) {
+        throw new Error('Failed to fetch emails from every selected mail source');
+    }
+
+    emails.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    return {
+        emails,
+        stats: { fetched: emails.length, sources: sourceStats }
+    };
+}
@@ -0,0 +1,240 @@
+/**
+ * Post-digest mailbox actions.
+ * Labels, marks read or archives the Gmail messages a digest was built from, records
+ * exactly what changed for each message, and can undo a run from the history page.
+ */
+
+import { ensureLabel, getMessageLabelIds, modifyMessageLabels } from './gmail-api.js';
+import { DEFAULT_ACCOUNT_ID, getAccountToken } from './accounts.js';
+import { mapWithConcurrency } from './utils.js';
+
+export const DIGESTED_LABEL_NAME = 'Inbox Digest/Digested';
+
+const ACTION_HISTORY_KEY = 'mailboxActionHistory';
+const MAX_HISTORY_ENTRIES = 50;
+const ACTION_CONCURRENCY = 5;
+
+/**
+ * Work out which label changes a message actually needs, given its current labels.
+ * Only changes that alter the message are returned, so undo never touches
+ * a state the user had already set themselves.
+ * @param {Array<string>} currentLabelIds Labels on the message now
+ * @param {Object} actions Actions for the message's group
+ * @param {boolean} actions.label Apply the digested label
+ * @param {boolean} actions.markRead Remove UNREAD
+ * @param {boolean} actions.archive Remove INBOX
+ * @param {string} digestedLabelId ID of the digested label
+ * @returns {{addLabelIds: Array<string>, removeLabelIds: Array<string>}} Label changes
+ */
+function planLabelChanges(currentLabelIds, actions, digestedLabelId) {
+    const addLabelIds = [];
+    const removeLabelIds = [];
+
+    if (actions.label && !currentLabelIds.includes(digestedLabelId)) {
+        addLabelIds.push(digestedLabelId);
+    }
+    if (actions.markRead && currentLabelIds.includes('UNREAD')) {
+        removeLabelIds.push('UNREAD');
+    }
+    if (actions.archive && currentLabelIds.includes('INBOX')) {
+        removeLabelIds.push('INBOX');
+    }
+
+    return { addLabelIds, removeLabelIds };
+}
+
+/**
+ * Check whether a group's settings ask for any change at all
+ * @param {Object} actions Actions for a group
+ * @returns {boolean} True if at least one action is enabled
+ */
+function hasActions(actions) {
+    return Boolean(actions && (actions.label || actions.markRead || actions.archive));
+}
+
+/**
+ * Group items by the Gmail account they belong to
+ * @param {Array<Object>} items Items with an `accountId`
+ * @returns {Map<string, Array<Object>>} Items per account ID
+ */
+function groupByAccount(items) {
+    const groups = new Map();
+    items.forEach(item => {
+        const accountId = item.accountId || DEFAULT_ACCOUNT_ID;
+        if (!groups.has(accountId)) groups.set(accountId, []);
+        groups.get(accountId).push(item);
+    });
+    return groups;
+}
+
+/**
+ * Identify a message across accounts, since Gmail IDs are only unique per mailbox
+ * @param {Object} result Per-message result
+ * @returns {string} Key combining account and message ID
+ */
+export function messageKey(result) {
+    return `${result.accountId || DEFAULT_ACCOUNT_ID}:${result.messageId}`;
+}
+
+/**
+ * Load the stored action history
+ * @returns {Promise<Array<Object>>} History entries, newest first
+ */
+export async function getMailboxActionHistory() {
+    const { [ACTION_HISTORY_KEY]: history } = await chrome.storage.local.get(ACTION_HISTORY_KEY);
+    return history || [];
+}
+
+/**
+ * Insert or replace a history entry
+ * @param {Object} entry History entry
+ * @returns {Promise<void>}
+ */
+async function saveHistoryEntry(entry) {
+    const history = await getMailboxActionHistory();
+    const updated = [entry, ...history.filter(existing => existing.id !== entry.id)]
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, MAX_HISTORY_ENTRIES);
+    await chrome.storage.local.set({ [ACTION_HISTORY_KEY]: updated });
+}
+
+/**
+ * Apply the configured mailbox actions to the Gmail messages behind a digest.
+ * Emails from other sources are ignored. Each message is handled on its own, so one
+ * failure does not stop the rest; results are recorded per message.
+ * @param {string} digestId ID of the digest the run belongs to
+ * @param {Object} emails Emails grouped by outcome
+ * @param {Array<Object>} emails.included Emails that made it into the digest
+ * @param {Array<Object>} emails.filtered Emails that were filtered out
+ * @param {Object} settings The `mailboxActions` preference
+ * @returns {Promise<Object|null>} The recorded history entry, or null if there was nothing to do
+ */
+export async function applyMailboxActions(digestId, { included = [], filtered = [] }, settings) {
+    const targets = [
+        ...included.map(email => ({ email, group: 'included' })),
+        ...filtered.map(email => ({ email, group: 'filtered' }))
+    ]
+        .filter(({ email, group }) => email.sourceId === 'gmail' && hasActions(settings[group]))
+        .map(target => ({ ...target, accountId: target.email.accountId }));
+
+    if (targets.length === 0) {
+        return null;
+    }
+
+    const results = [];
+    for (const [accountId, accountTargets] of groupByAccount(targets)) {
+        const baseResult = ({ email, group }) => ({
+            messageId: email.gmailId || email.id,
+            accountId,
+            account: email.account || null,
+            subject: email.subject,
+            from: email.from,
+            group,
+            addLabelIds: [],
+            removeLabelIds: []
+        });
+
+        let token;
+        let labelId;
+        try {
+            token = await getAccountToken(accountId);
+            labelId = await ensureLabel(DIGESTED_LABEL_NAME, token);
+        } catch (error) {
+            console.error(`[Mailbox Actions] Cannot update messages in account ${accountId}:`, error);
+            accountTargets.forEach(target => results.push({ ...baseResult(target), status: 'failed', error: error.message }));
+            continue;
+        }
+
+        const accountResults = await mapWithConcurrency(accountTargets, ACTION_CONCURRENCY, async target => {
+            const result = baseResult(target);
+            try {
+                const currentLabelIds = await getMessageLabelIds(result.messageId, token);
+                const changes = planLabelChanges(currentLabelIds, settings[target.group], labelId);
+                if (changes.addLabelIds.length > 0 || changes.removeLabelIds.length > 0) {
+                    await modifyMessageLabels(result.messageId, token, changes);
+                }
+                return { ...result, ...changes, status: 'ok' };
+            } catch (error) {
+                console.error(`[Mailbox Actions] Failed to update message ${result.messageId}:`, error);
+                return { ...result, status: 'failed', error: error.message };
+            }
+        });
+        results.push(...accountResults);
+    }
+
+    const entry = {
+        id: `actions_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        digestId,
+        createdAt: Date.now(),
+        results,
+        undoneAt: null,
+        undoResults: null
+    };
+    await saveHistoryEntry(entry);
+
+    const failed = results.filter(result => result.status === 'failed').length;
+    console.log(`[Mailbox Actions] Updated ${results.length - failed} messages, ${failed} failed.`);
+
+    return entry;
+}
+
+/**
+ * Revert the label changes recorded in a history entry.
+ * If some messages fail, the entry stays undoable and a later call retries only those.
+ * @param {string} entryId History entry ID
+ * @returns {Promise<Object>} The updated history entry with per-message undo results
+ */
+export async function undoMailboxActions(entryId) {
+    const history = await getMailboxActionHistory();
+    const entry = history.find(existing => existing.id === entryId);
+    if (!entry) {
+        throw new Error(`No mailbox action run with ID ${entryId}`);
+    }
+    if (entry.undoneAt) {
+        throw new Error('These mailbox actions have already been undone');
+    }
+
+    // A previous partial undo only needs retrying for the messages that failed
+    const alreadyUndone = new Set((entry.undoResults || [])
+        .filter(result => result.status === 'ok')
+        .map(messageKey));
+
+    const changed = entry.results.filter(result =>
+        result.status === 'ok' &&
+        !alreadyUndone.has(messageKey(result)) &&
+        (result.addLabelIds.length > 0 || result.removeLabelIds.length > 0)
+    );
+
+    const undoResults = [];
+    for (const [accountId, accountResults] of groupByAccount(changed)) {
+        let token;
+        try {
+            token = await getAccountToken(accountId, { interactive: true });
+        } catch (error) {
+            accountResults.forEach(result => undoResults.push({ messageId: result.messageId, accountId, status: 'failed', error: error.message }));
+            continue;
+        }
+
+        undoResults.push(...await mapWithConcurrency(accountResults, ACTION_CONCURRENCY, async result => {
+            try {
+                await modifyMessageLabels(result.messageId, token, {
+                    addLabelIds: result.removeLabelIds,
+                    removeLabelIds: result.addLabelIds
+                });
+                return { messageId: result.messageId, accountId, status: 'ok' };
+            } catch (error) {
+                console.error(`[Mailbox Actions] Failed to undo changes on message ${result.messageId}:`, error);
+                return { messageId: result.messageId, accountId, status: 'failed', error: error.message };
+            }
+        }));
+    }
+
+    const allUndoResults = [
+        ...(entry.undoResults || []).filter(result => alreadyUndone.has(messageKey(result))),
+        ...undoResults
+    ];
+    const complete = allUndoResults.every(result => result.status === 'ok');
+    const updated = { ...entry, undoneAt: complete ? Date.now() : null, undoResults: allUndoResults };
+    await saveHistoryEntry(updated);
+    return updated;
+}
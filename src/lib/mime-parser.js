@@ -0,0 +1,278 @@
+/**
+ * MIME parsing for Gmail message payloads and locally parsed messages.
+ * Walks nested multipart structures to find the best HTML and plain-text bodies,
+ * decodes them as bytes and applies each part's declared charset.
+ */
+
+/**
+ * Find a header value by name, ignoring case
+ * @param {Array<{name: string, value: string}>} headers Header list from the Gmail API
+ * @param {string} name Header name
+ * @returns {string|null} Header value or null if absent
+ */
+export function getHeader(headers, name) {
+    const lowerName = name.toLowerCase();
+    const header = (headers || []).find(h => h.name.toLowerCase() === lowerName);
+    return header ? header.value : null;
+}
+
+/**
+ * Decode an RFC 2231 parameter from its sections, e.g. `name*=UTF-8''%C3%A9t%C3%A9.txt` or
+ * `filename*0*=UTF-8''%C3%A9; filename*1=t%C3%A9.txt`
+ * @param {Array<{index: number, value: string, encoded: boolean}>} sections Parameter sections
+ * @returns {string} Decoded value
+ */
+function decodeExtendedParam(sections) {
+    let charset = 'utf-8';
+    const bytes = [];
+
+    sections.sort((a, b) => a.index - b.index).forEach((section, position) => {
+        if (!section.encoded) {
+            bytes.push(...new TextEncoder().encode(section.value));
+            return;
+        }
+
+        let text = section.value;
+        // Only the first section names the charset and language: charset'language'value
+        const prefix = position === 0 ? /^([^']*)'[^']*'/.exec(text) : null;
+        if (prefix) {
+            charset = prefix[1] || charset;
+            text = text.slice(prefix[0].length);
+        }
+        text.replace(/%([0-9a-f]{2})|[\s\S]/gi, (match, hex) => {
+            bytes.push(hex ? parseInt(hex, 16) : match.charCodeAt(0));
+            return '';
+        });
+    });
+
+    return decodeBytes(new Uint8Array(bytes), charset);
+}
+
+/**
+ * Parse a structured header such as Content-Type or Content-Disposition.
+ * RFC 2231 parameters (`name*=`, `name*0*=`...) are decoded into their plain names.
+ * @param {string|null} value Raw header value, e.g. 'text/html; charset="utf-8"'
+ * @returns {{value: string, params: Object}} The lower-cased main value and its parameters
+ */
+export function parseHeaderParams(value) {
+    if (!value) return { value: '', params: {} };
+
+    const [main, ...rest] = value.split(';');
+    const params = {};
+    const extended = {};
+    rest.forEach(param => {
+        const separator = param.indexOf('=');
+        if (separator === -1) return;
+        const key = param.slice(0, separator).trim().toLowerCase();
+        const paramValue = param.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+
+        // name* is encoded; name*0, name*1... are continuations, encoded when they end in *
+        const section = /^(.+?)\*(\d+)?(\*)?$/.exec(key);
+        if (!section) {
+            params[key] = paramValue;
+            return;
+        }
+        const [, name, index, encodedSection] = section;
+        if (!extended[name]) extended[name] = [];
+        extended[name].push({
+            index: index === undefined ? 0 : Number(index),
+            value: paramValue,
+            encoded: index === undefined || Boolean(encodedSection)
+        });
+    });
+
+    // The extended form wins over a plain fallback for older clients
+    Object.entries(extended).forEach(([name, sections]) => {
+        params[name] = decodeExtendedParam(sections);
+    });
+
+    return { value: main.trim().toLowerCase(), params };
+}
+
+/**
+ * Decode a base64url string into raw bytes
+ * @param {string} data base64url-encoded data
+ * @returns {Uint8Array} Decoded bytes
+ */
+function decodeBase64Url(data) {
+    const base64 = data.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+    const binary = atob(padded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Decode quoted-printable bytes (RFC 2045 section 6.7)
+ * @param {Uint8Array} bytes Encoded bytes
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function decodeQuotedPrintable(bytes) {
+    const output = new Uint8Array(bytes.length);
+    const isHex = byte => (byte >= 48 && byte <= 57) || (byte >= 65 && byte <= 70) || (byte >= 97 && byte <= 102);
+    let length = 0;
+
+    for (let i = 0; i < bytes.length; i++) {
+        const byte = bytes[i];
+        if (byte !== 61) { // '='
+            output[length++] = byte;
+            continue;
+        }
+
+        // Soft line break: '=' followed by CRLF or LF
+        if (bytes[i + 1] === 13 && bytes[i + 2] === 10) {
+            i += 2;
+        } else if (bytes[i + 1] === 10) {
+            i += 1;
+        } else if (isHex(bytes[i + 1]) && isHex(bytes[i + 2])) {
+            output[length++] = parseInt(String.fromCharCode(bytes[i + 1], bytes[i + 2]), 16);
+            i += 2;
+        } else {
+            output[length++] = byte; // Malformed escape, keep it literally
+        }
+    }
+
+    return output.slice(0, length);
+}
+
+/**
+ * Decode bytes into a string using the given charset, falling back to UTF-8
+ * @param {Uint8Array} bytes Raw bytes
+ * @param {string} [charset] Charset label from the Content-Type header
+ * @returns {string} Decoded text
+ */
+export function decodeBytes(bytes, charset) {
+    try {
+        return new TextDecoder(charset || 'utf-8').decode(bytes);
+    } catch (error) {
+        // Unknown charset label (e.g. 'unicode-1-1-utf-7'); UTF-8 is the most likely real encoding
+        console.warn(`[MIME Parser] Unsupported charset "${charset}", decoding as UTF-8`);
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+}
+
+/**
+ * Get the transfer-decoded bytes of a part's body
+ * @param {Object} part MIME part from the Gmail API or the local message parser
+ * @returns {Uint8Array|null} Body bytes or null if the body is not inline
+ */
+function readPartBytes(part) {
+    // Parts parsed locally from raw messages carry already-decoded bytes
+    if (part.body && part.body.bytes) return part.body.bytes;
+    if (!part.body || !part.body.data) return null;
+
+    let bytes = decodeBase64Url(part.body.data);
+
+    // Gmail normally removes the transfer encoding before returning `body.data`, but some
+    // messages still arrive quoted-printable encoded. Soft line breaks never survive a real
+    // decode, so their presence tells us the part still needs decoding.
+    const transferEncoding = (getHeader(part.headers, 'Content-Transfer-Encoding') || '').toLowerCase();
+    if (transferEncoding === 'quoted-printable' && /=\r?\n/.test(decodeBytes(bytes.slice(0, 4096), 'latin1'))) {
+        bytes = decodeQuotedPrintable(bytes);
+    }
+
+    return bytes;
+}
+
+/**
+ * Decode a text part into a string using its declared charset
+ * @param {Object} part MIME part
+ * @returns {string} Decoded body text
+ */
+function decodeTextPart(part) {
+    const bytes = readPartBytes(part);
+    if (!bytes) return '';
+
+    const { params } = parseHeaderParams(getHeader(part.headers, 'Content-Type'));
+    return decodeBytes(bytes, params.charset);
+}
+
+/**
+ * Check whether a part is an attachment rather than a message body
+ * @param {Object} part MIME part
+ * @returns {boolean} True for attachments and inline non-text resources
+ */
+function isAttachmentPart(part) {
+    const disposition = parseHeaderParams(getHeader(part.headers, 'Content-Disposition')).value;
+    if (disposition === 'attachment' || part.filename) return true;
+
+    const mimeType = (part.mimeType || '').toLowerCase();
+    return !mimeType.startsWith('text/') && !mimeType.startsWith('multipart/');
+}
+
+/**
+ * Describe an attachment part
+ * @param {Object} part MIME part
+ * @returns {Object} Attachment metadata
+ */
+function describeAttachment(part) {
+    const disposition = parseHeaderParams(getHeader(part.headers, 'Content-Disposition'));
+    const contentType = parseHeaderParams(getHeader(part.headers, 'Content-Type'));
+
+    return {
+        filename: part.filename || disposition.params.filename || contentType.params.name || '',
+        mimeType: part.mimeType || contentType.value,
+        size: part.body?.size || 0,
+        attachmentId: part.body?.attachmentId || null,
+        contentId: (getHeader(part.headers, 'Content-ID') || '').replace(/^<|>$/g, '') || null,
+        inline: disposition.value === 'inline'
+    };
+}
+
+/**
+ * Recursively find the best HTML and plain-text parts below a node.
+ * In multipart/alternative the last matching child is the richest version;
+ * in every other multipart type the first matching child is the main body.
+ * @param {Object} part MIME part
+ * @param {Array<Object>} attachments Collector for attachment metadata
+ * @returns {{html: Object|null, text: Object|null}} The chosen parts
+ */
+function findBodyParts(part, attachments) {
+    const mimeType = (part.mimeType || '').toLowerCase();
+
+    if (mimeType.startsWith('multipart/')) {
+        const preferLast = mimeType === 'multipart/alternative';
+        const found = { html: null, text: null };
+
+        (part.parts || []).forEach(child => {
+            const childParts = findBodyParts(child, attachments);
+            ['html', 'text'].forEach(kind => {
+                if (childParts[kind] && (preferLast || !found[kind])) {
+                    found[kind] = childParts[kind];
+                }
+            });
+        });
+
+        return found;
+    }
+
+    if (isAttachmentPart(part)) {
+        attachments.push(describeAttachment(part));
+        return { html: null, text: null };
+    }
+
+    if (mimeType === 'text/html') return { html: part, text: null };
+    if (mimeType === 'text/plain') return { html: null, text: part };
+    return { html: null, text: null };
+}
+
+/**
+ * Extract the HTML body, plain-text body and attachment list from a message payload
+ * @param {Object} payload The `payload` of a Gmail API message (format=full)
+ * @returns {{html: string, text: string, attachments: Array<Object>}} Decoded bodies and attachments
+ */
+export function parseMimePayload(payload) {
+    const attachments = [];
+    if (!payload) return { html: '', text: '', attachments };
+
+    const { html, text } = findBodyParts(payload, attachments);
+
+    return {
+        html: html ? decodeTextPart(html) : '',
+        text: text ? decodeTextPart(text) : '',
+        attachments
+    };
+}
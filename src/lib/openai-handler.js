@@ -1,101 +1,45 @@
 /**
- * OpenAI API integration for content summarization.
+ * LLM integration for content summarization. Model calls go through llm-providers.js,
+ * which picks the provider and model configured for each stage.
  * Implements a two-step process:
  * 1. Pick relevant emails from a list.
- * 2. Summarize the content of the picked emails into a cohesive digest.
+ * 2. Summarize the content of the picked emails into a cohesive digest. Each email is first
+ *    condensed into notes (map), and the notes are merged until they fit one prompt (reduce).
  */
 
 import { getStoredPreferences } from './personalization.js';
-import { OPENAI_API_KEY } from './config.js';
-
-// Import link extraction function from debug-email-filter.js
-async function extractRelevantLinks(htmlString) {
-    if (!htmlString) return [];
-    
-    try {
-        // Send HTML to offscreen document for parsing
-        const result = await chrome.runtime.sendMessage({
-            type: 'extract-links',
-            target: 'offscreen',
-            data: { htmlString },
-        });
-        
-        if (result && result.links) {
-            return filterRelevantLinks(result.links);
-        }
-        
-        return [];
-    } catch (error) {
-        console.error('Error extracting links:', error);
-        return [];
-    }
-}
-
-// Import link filtering function from debug-email-filter.js
-function filterRelevantLinks(links) {
-    if (!links || links.length === 0) return [];
-    
-    // Patterns for irrelevant link text (promotional/boilerplate)
-    const irrelevantPatterns = [
-        /^(click|tap|view|read|see|get|download|access|sign|log|subscribe|unsubscribe|manage|update|share|follow|like|join)\s/i,
-        /\b(here|now|today|more|all|full|complete|entire|details|info|information)\s*$/i,
-        /^(privacy|terms|policy|legal|copyright|contact|about|help|support|faq)$/i,
-        /\b(preferences|settings|profile|account|subscription|newsletter|email)\b/i,
-        /^(facebook|twitter|linkedin|instagram|youtube|social)$/i,
-        /^(forward|share|send|tell|invite)\b/i,
-        /\b(advertisement|ad|promo|promotion|offer|deal|sale|discount)\b/i,
-        /^(©|®|™|\d{4}|\w+@\w+)/i,
-    ];
-    
-    // Patterns for relevant link text (content-focused)
-    const relevantIndicators = [
-        /\b(article|report|study|research|analysis|survey|whitepaper|guide|tutorial|course|webinar|podcast|video|interview|news|announcement|launch|release|update|review|opinion|blog|post)\b/i,
-        /\b(startup|company|funding|investment|venture|capital|IPO|acquisition|merger|partnership|collaboration)\b/i,
-        /\b(AI|artificial\s+intelligence|machine\s+learning|ML|data\s+science|automation|technology|tech|innovation|digital|software|platform|tool|app|product|service|techniques|developers)\b/i,
-        /\b(CEO|founder|executive|leader|expert|scientist|researcher|engineer|developer|designer)\b/i,
-        /\b(conference|event|summit|meetup|workshop|hackathon|demo|presentation|talk|keynote)\b/i,
-        /\b(market|industry|trend|growth|strategy|business|finance|economy|economic|investment)\b/i,
-    ];
-    
-    return links.filter(link => {
-        const linkText = link.text.trim();
-        
-        // Skip very short or empty link text
-        if (linkText.length < 3) return false;
-        
-        // Skip if matches irrelevant patterns
-        if (irrelevantPatterns.some(pattern => pattern.test(linkText))) {
-            return false;
-        }
-        
-        // Include if matches relevant indicators
-        if (relevantIndicators.some(pattern => pattern.test(linkText))) {
-            return true;
-        }
-        
-        // Include if link text is substantive (longer descriptive text)
-        const words = linkText.split(/\s+/);
-        if (words.length >= 3 && words.length <= 20) { // Increased from 15 to 20 words
-            // Check if it's not just generic phrases
-            const genericPhrases = ['click here', 'read more', 'learn more', 'see more', 'get started', 'sign up', 'log in'];
-            if (!genericPhrases.includes(linkText.toLowerCase())) {
-                return true;
-            }
-        }
-        
-        return false;
-    }); // No limit - include all relevant links
-}
-
-const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
-const DEFAULT_MODEL = 'gpt-4o';
-const API_KEY = OPENAI_API_KEY; // From config.js
-const MAX_RETRIES = 3;
-const RETRY_DELAY = 1000; // 1 second base delay
+import { normalizeWhitespace } from './html-processing.js';
+import { getUserExtractionRules, resolveExtractionRule } from './extraction-rules.js';
+import { enrichClusters } from './article-enrichment.js';
+import { detectLanguage, languageName } from './language-detection.js';
+import { clusterStories } from './story-clustering.js';
+import { getWebVersionSenders, parseSender } from './subscriptions.js';
+import { resolveLinks, urlKey } from './url-canonicalizer.js';
+import { findWebVersionLink, getWebVersions, looksTruncated } from './web-version.js';
+import { completeChat, getStageContextWindow, getStageModel } from './llm-providers.js';
+import { buildCacheKey, fingerprint, getCached, hashContent, putCached } from './content-cache.js';
+import { countTokens, truncateToTokens } from './tokenizer.js';
+
+const STORIES_PER_FILTER_REQUEST = 150; // Keeps each relevance prompt well inside the context window
+const STORY_SNIPPET_WORDS = 40;
+const MARKDOWN_LINK_PATTERN = /\[([^\]]*)\]\((https?:[^)\s]+)\)/g;
+const CONTEXT_SAFETY_MARGIN = 0.75; // Share of the context window we plan to fill, since token counts are estimates
+const DIGEST_OUTPUT_TOKENS = 4096; // Room kept free for the digest itself
+const NOTES_OUTPUT_TOKENS = 1500; // Most tokens one batch of notes may take
+const FILTER_DECISION_TOKENS = 35; // Output per story in the relevance filter's JSON
+const STORY_FRAME_TOKENS = 40; // Headline, link and source lines around each story in the digest prompt
+const EXPECTED_INCLUDE_RATE = 0.6; // Share of stories the filter is told to err towards keeping
+// Typical digest length per detail level, for cost estimates
+const DIGEST_LENGTH_TOKENS = { short: 700, medium: 1500, long: 3000 };
 
 const OFFSCREEN_DOCUMENT_PATH = '/src/lib/offscreen.html';
-const PING_INTERVAL = 50; // ms
-const PING_TIMEOUT = 5000; // 5 seconds
+const READY_TIMEOUT = 5000; // 5 seconds
+const EMAILS_PER_OFFSCREEN_BATCH = 50; // Keeps each message well under the extension messaging size limit
+
+// Versions in the content cache keys; bump one when its output changes so old cache entries are ignored
+const PROCESSING_VERSION = 2; // How html-processing.js cleans and splits emails
+const FILTER_PROMPT_VERSION = 1; // generateRelevanceFilterPrompt
+const SUMMARY_PROMPT_VERSION = 2; // generateNotesPrompt
 
 // Module-level state to prevent race conditions.
 let isCreating = false;
@@ -119,14 +63,15 @@ export const offscreenManager = {
         isCreating = true;
         setupPromise = new Promise(async (resolve, reject) => {
             try {
+                // Listen before creating so the document's ready message can't be missed
+                const ready = this.waitForReady();
                 await chrome.offscreen.createDocument({
                     url: OFFSCREEN_DOCUMENT_PATH,
                     reasons: ['DOM_PARSER'],
                     justification: 'To parse HTML content from emails.',
                 });
 
-                // Wait for the document to be ready by pinging it.
-                const success = await this.waitForReady();
+                const success = await ready;
                 if (success) {
                     resolve();
                 } else {
@@ -143,28 +88,32 @@ export const offscreenManager = {
         return setupPromise;
     },
 
+    /**
+     * Wait for the offscreen document to announce that its message listener is registered.
+     * If the announcement is missed, a last ping decides.
+     * @returns {Promise<boolean>} True once the document can take messages
+     */
     async waitForReady() {
         return new Promise((resolve) => {
-            const timeout = setTimeout(() => {
-                clearInterval(interval);
-                resolve(false);
-            }, PING_TIMEOUT);
+            const onMessage = (message) => {
+                if (message && message.type === 'offscreen-ready') {
+                    chrome.runtime.onMessage.removeListener(onMessage);
+                    clearTimeout(timeout);
+                    resolve(true);
+                }
+            };
 
-            const interval = setInterval(async () => {
+            const timeout = setTimeout(async () => {
+                chrome.runtime.onMessage.removeListener(onMessage);
                 try {
-                    const response = await chrome.runtime.sendMessage({
-                        type: 'ping',
-                        target: 'offscreen'
-                    });
-                    if (response && response.pong) {
-                        clearInterval(interval);
-                        clearTimeout(timeout);
-                        resolve(true);
-                    }
+                    const response = await chrome.runtime.sendMessage({ type: 'ping', target: 'offscreen' });
+                    resolve(Boolean(response && response.pong));
                 } catch (e) {
-                    // Ignore "receiving end does not exist" errors while we wait.
+                    resolve(false);
                 }
-            }, PING_INTERVAL);
+            }, READY_TIMEOUT);
+
+            chrome.runtime.onMessage.addListener(onMessage);
         });
     },
 
@@ -176,69 +125,279 @@ export const offscreenManager = {
 };
 
 /**
- * Initialize OpenAI client by retrieving the API key from storage.
- * @returns {Promise<string>} The user's OpenAI API key.
+ * Strip tags from HTML, for when the offscreen document can't be reached
+ * @param {string} htmlString Raw HTML
+ * @returns {{text: string, markdown: string, links: Array<string>}} Text-only cleaned content
  */
-export async function initializeOpenAI() {
-    if (!API_KEY) {
-        throw new Error("OpenAI API key is not configured. Please add it to src/lib/config.js.");
-    }
-    return API_KEY;
+function toPlainTextContent(htmlString) {
+    const textOnly = normalizeWhitespace((htmlString || '').replace(/<[^>]*>/g, ' ')).trim();
+    return { text: textOnly, markdown: textOnly, links: [] };
 }
 
 /**
  * Extracts the core text content from email HTML by sending it to an offscreen document.
  * Assumes the document has already been created by the orchestrator.
  * @param {string} htmlString The raw HTML of the email.
- * @returns {Promise<{text: string, links: Array<string>}>} The cleaned text content and links.
+ * @param {Object} [rule] Merged extraction rule from `resolveExtractionRule`. Without one,
+ *   only the generic rule and rules detected from the HTML apply.
+ * @param {boolean} [explain] Also report what was dropped and why
+ * @param {string} [sponsoredContent] 'exclude' to drop sponsored blocks, 'label' to keep them marked "[Sponsored]"
+ * @returns {Promise<{text: string, markdown: string, links: Array<string>}>} The cleaned text, the same content as Markdown, and links.
  */
-export async function cleanEmailContent(htmlString) {
-    if (!htmlString) return { text: '', links: [] };
+export async function cleanEmailContent(htmlString, rule = null, explain = false, sponsoredContent = 'exclude') {
+    if (!htmlString) return { text: '', markdown: '', links: [] };
 
     try {
         const cleaned = await chrome.runtime.sendMessage({
             type: 'clean-html',
             target: 'offscreen',
-            data: { htmlString },
+            data: { htmlString, rule: rule || resolveExtractionRule({ from: '', body: htmlString }), explain, sponsoredContent },
         });
         return cleaned;
     } catch (error) {
         console.error("Error communicating with offscreen document:", error.message);
         // Fallback in case of messaging errors
-        const textOnly = htmlString.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
-        return { text: textOnly, links: [] };
+        return toPlainTextContent(htmlString);
     }
 }
 
 /**
- * Fetches the content from a list of URLs via the background script.
- * @param {string[]} urls - An array of URLs to fetch.
- * @returns {Promise<string>} A promise that resolves to the combined content of the pages.
+ * Process many emails in the offscreen document with one message per batch
+ * instead of one per email and step. Results are cached by message and content.
+ * @param {Array<Object>} emails Emails with `id`, `from` and `body`
+ * @param {Object} options What to compute: `clean`, `stories`, `links`, plus `sponsoredContent`
+ * @returns {Promise<Array<{id: string, cleaned?: Object, stories?: Array<Object>, links?: Array<Object>}>>} Results in input order
  */
-async function fetchContentFromUrls(urls) {
-    if (!urls || urls.length === 0) {
-        return "";
-    }
-    console.log(`Fetching content from ${urls.length} URLs...`);
-    
-    const contentPromises = urls.map(url => {
-        return new Promise((resolve) => {
-            chrome.runtime.sendMessage({ type: 'FETCH_URL_CONTENT', url }, response => {
-                if (chrome.runtime.lastError) {
-                    console.error(`Error fetching ${url}:`, chrome.runtime.lastError.message);
-                    resolve(""); // Resolve with empty string on error
-                } else if (response && response.success) {
-                    resolve(response.content);
-                } else {
-                    console.error(`Failed to fetch content for ${url}:`, response.error);
-                    resolve(""); // Resolve with empty string on failure
-                }
+async function processInOffscreen(emails, options) {
+    const userRules = await getUserExtractionRules();
+    const requests = emails.map(email => ({ id: email.id, htmlString: email.body || '', rule: resolveExtractionRule(email, userRules) }));
+    const cacheKeys = requests.map(request => buildCacheKey(
+        'cleaning', request.id, hashContent(request.htmlString), PROCESSING_VERSION, fingerprint({ options, rule: request.rule })
+    ));
+    const cached = await getCached(cacheKeys);
+    const results = cacheKeys.map(key => cached.get(key) || null);
+    const missing = requests.map((request, index) => ({ request, index })).filter(({ index }) => !results[index]);
+    const fresh = [];
+
+    for (let i = 0; i < missing.length; i += EMAILS_PER_OFFSCREEN_BATCH) {
+        const batch = missing.slice(i, i + EMAILS_PER_OFFSCREEN_BATCH);
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'process-emails',
+                target: 'offscreen',
+                data: {
+                    ...options,
+                    emails: batch.map(({ request }) => request)
+                },
             });
-        });
+            response.results.forEach((result, position) => {
+                results[batch[position].index] = result;
+                fresh.push({ key: cacheKeys[batch[position].index], value: result });
+            });
+        } catch (error) {
+            console.error("Error communicating with offscreen document:", error.message);
+            // Fallback in case of messaging errors; not cached, so the next run tries again
+            batch.forEach(({ request, index }) => {
+                results[index] = {
+                    id: request.id,
+                    cleaned: toPlainTextContent(request.htmlString),
+                    stories: [],
+                    links: []
+                };
+            });
+        }
+    }
+
+    await putCached('cleaning', fresh);
+    if (cached.size > 0) {
+        console.log(`[OpenAI Handler] Reused processing results for ${emails.length - missing.length} of ${emails.length} emails from the cache.`);
+    }
+    return results;
+}
+
+/**
+ * Clean a batch of emails, applying the extraction rules that match each sender
+ * @param {Array<Object>} emails Emails with `from` and `body`
+ * @returns {Promise<Array<{text: string, markdown: string, links: Array<string>}>>} Cleaned content in input order
+ */
+async function cleanEmails(emails) {
+    const { sponsoredContent } = await getStoredPreferences();
+    const results = await processInOffscreen(emails, { clean: true, sponsoredContent });
+    return results.map(result => result.cleaned);
+}
+
+/**
+ * Replace the processing results of clipped or teaser emails with those of their web
+ * version, for senders that opted in on the subscriptions page.
+ * @param {Array<Object>} emails Emails with `id`, `from`, `subject` and `body`
+ * @param {Array<Object>} results Results of `processInOffscreen` with `stories`, updated in place
+ * @param {string} sponsoredContent 'exclude' or 'label'
+ * @returns {Promise<void>}
+ */
+async function applyWebVersions(emails, results, sponsoredContent) {
+    const senders = await getWebVersionSenders();
+    if (senders.size === 0) return;
+
+    const resultText = result => result.stories.length > 0
+        ? result.stories.map(story => story.body).join(' ')
+        : (result.cleaned ? result.cleaned.text : '');
+    const candidates = emails
+        .map((email, index) => ({ email, index }))
+        .filter(({ email, index }) => senders.has(parseSender(email.from).address) && looksTruncated(resultText(results[index])));
+    if (candidates.length === 0) return;
+
+    const linkResults = await processInOffscreen(candidates.map(({ email }) => email), { links: true });
+    const pages = await getWebVersions(linkResults.map(result => findWebVersionLink(result.links)));
+
+    const replaced = candidates
+        .map((candidate, index) => ({ ...candidate, email: { ...candidate.email, body: pages[index] } }))
+        .filter(candidate => candidate.email.body);
+    if (replaced.length === 0) return;
+
+    const reprocessed = await processInOffscreen(replaced.map(({ email }) => email), { stories: true, sponsoredContent });
+    replaced.forEach(({ email, index }, position) => {
+        console.log(`[OpenAI Handler] Using the web version of "${email.subject}".`);
+        results[index] = reprocessed[position];
     });
+}
 
-    const contents = await Promise.all(contentPromises);
-    return contents.join('\\n\\n'); // Join content from all pages
+/**
+ * Split emails into story units in the offscreen document.
+ * Emails without a roundup structure become a single story built from their cleaned text.
+ * Sponsored stories are left out or kept with their `sponsored` flag, depending on the
+ * `sponsoredContent` preference, story links are canonicalized and each story's language is detected.
+ * Clipped emails from senders with the web-version fallback are read from their web version.
+ * @param {Array<Object>} emails Emails with `id`, `from`, `subject` and `body`
+ * @returns {Promise<Array<Array<Object>>>} Stories per email, in input order. Each story has
+ *   `id`, `emailId`, `headline`, `body` (plain text), `markdown`, `link`, `links`, `sponsored`,
+ *   `language` (ISO 639-1 code, or null if unknown) and `segmentedBy`.
+ */
+export async function segmentEmailsIntoStories(emails) {
+    const { sponsoredContent } = await getStoredPreferences();
+    // Emails without stories come back cleaned in the same round trip
+    const results = await processInOffscreen(emails, { stories: true, sponsoredContent });
+    await applyWebVersions(emails, results, sponsoredContent);
+
+    return Promise.all(emails.map(async (email, emailIndex) => {
+        let stories = results[emailIndex].stories || [];
+
+        if (stories.length === 0) {
+            const cleaned = results[emailIndex].cleaned;
+            if (cleaned && cleaned.text) {
+                stories = [{
+                    headline: email.subject,
+                    body: cleaned.text,
+                    markdown: cleaned.markdown || cleaned.text,
+                    link: cleaned.links[0] || null,
+                    links: cleaned.links,
+                    sponsored: false,
+                    segmentedBy: 'none'
+                }];
+            }
+        }
+
+        const markdownLinks = story => Array.from((story.markdown || '').matchAll(MARKDOWN_LINK_PATTERN), match => match[2]);
+        const canonical = await resolveLinks(stories.flatMap(story => [story.link, ...story.links, ...markdownLinks(story)]));
+        const toCanonical = url => canonical.get(url) || url;
+        // Short stories borrow the language of the newsletter as a whole
+        const emailLanguage = detectLanguage(stories.map(story => `${story.headline} ${story.body}`).join(' '));
+
+        const sponsoredCount = stories.filter(story => story.sponsored).length;
+        if (sponsoredCount > 0) {
+            const action = sponsoredContent === 'label' ? 'Labeled' : 'Dropped';
+            console.log(`[OpenAI Handler] ${action} ${sponsoredCount} sponsored stories in "${email.subject}".`);
+        }
+
+        return stories
+            .filter(story => sponsoredContent === 'label' || !story.sponsored)
+            .map((story, index) => ({
+                ...story,
+                link: story.link ? toCanonical(story.link) : null,
+                links: [...new Set(story.links.map(toCanonical))],
+                markdown: (story.markdown || story.body).replace(MARKDOWN_LINK_PATTERN, (match, text, url) => `[${text}](${toCanonical(url)})`),
+                language: detectLanguage(`${story.headline} ${story.body}`, emailLanguage),
+                id: `${email.id}#${index}`,
+                emailId: email.id
+            }));
+    }));
+}
+
+/**
+ * Fingerprint the preferences and model that shape a stage's answers, for the content cache.
+ * @param {Object} preferences User's preferences.
+ * @param {string} stage 'filter' or 'synthesis'.
+ * @returns {string} Fingerprint.
+ */
+function getPromptFingerprint(preferences, stage) {
+    const { occupation, currentWork, topics, instructions } = preferences;
+    return fingerprint({
+        occupation,
+        currentWork,
+        topics,
+        instructions,
+        digestLanguage: getDigestLanguage(preferences),
+        model: getStageModel(stage, preferences)
+    });
+}
+
+/**
+ * Build the text the relevance filter sees for a story. Segmented stories are short, so
+ * their headline and opening are enough; whole emails are sampled from beginning, middle and end.
+ * @param {Object} story Story from `segmentEmailsIntoStories`
+ * @returns {string} Snippet
+ */
+function buildStorySnippet(story) {
+    const words = story.body.split(/\s+/).filter(w => w.trim().length > 0);
+
+    if (story.segmentedBy !== 'none') {
+        const label = story.sponsored ? '[Sponsored] ' : '';
+        return `${label}${story.headline}: ${words.slice(0, STORY_SNIPPET_WORDS).join(' ')}`;
+    }
+
+    if (words.length <= 100) {
+        // If short enough, use the whole thing
+        return `${story.headline}: ${words.join(' ')}`;
+    }
+
+    // Smart sampling: beginning + middle/end sections
+    const beginningWords = words.slice(0, 50); // First 50 words
+
+    // For the remaining 50 words, sample from middle and end
+    const remainingWords = words.slice(50);
+    const midPoint = Math.floor(remainingWords.length / 2);
+
+    // Take 25 words from middle section and 25 from later section
+    const middleWords = remainingWords.slice(midPoint - 12, midPoint + 13); // 25 words around midpoint
+    const endWords = remainingWords.slice(-25); // Last 25 words
+
+    // Combine with separators to indicate sampling
+    return [
+        `${story.headline}:`,
+        beginningWords.join(' '),
+        '... [middle] ...',
+        middleWords.join(' '),
+        '... [end] ...',
+        endWords.join(' ')
+    ].join(' ');
+}
+
+/**
+ * Get the code of the language the digest should be written in
+ * @param {Object} preferences The user's preferences.
+ * @returns {string} ISO 639-1 code
+ */
+function getDigestLanguage(preferences) {
+    return preferences.digestLanguage || 'en';
+}
+
+/**
+ * Label for content whose detected language differs from the digest language
+ * @param {string|null} language Detected language code
+ * @param {Object} preferences The user's preferences.
+ * @returns {string} e.g. " | Original language: German", or an empty string
+ */
+function formatLanguageLabel(language, preferences) {
+    return language && language !== getDigestLanguage(preferences) ? ` | Original language: ${languageName(language)}` : '';
 }
 
 /**
@@ -293,26 +452,15 @@ export async function pickRelevantEmails(emailMetadataList, preferences) {
     }
     
     try {
-        const apiKey = await initializeOpenAI();
         const prompt = generateEmailPickerPrompt(emailMetadataList, preferences);
 
-        const response = await fetch(OPENAI_API_URL, {
-            method: 'POST',
-            headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                model: DEFAULT_MODEL,
-                messages: [{ role: 'user', content: prompt }],
-                temperature: 0.2,
-                response_format: { type: "json_object" }, // Enforce JSON output
-            }),
-        });
-
-        if (!response.ok) {
-            throw new Error(`OpenAI API error during email picking: ${response.status}`);
-        }
+        const response = await completeChat('filter', {
+            messages: [{ role: 'user', content: prompt }],
+            temperature: 0.2,
+            json: true, // Enforce JSON output
+        }, { preferences });
 
-        const data = await response.json();
-        const picked = JSON.parse(data.choices[0].message.content);
+        const picked = JSON.parse(response.text);
         return picked.pickedEmailIds || [];
 
     } catch (error) {
@@ -324,11 +472,12 @@ export async function pickRelevantEmails(emailMetadataList, preferences) {
 
 /**
  * Generates a sophisticated, modular prompt for the final summarization.
- * @param {string} aggregatedContent The combined content of all picked emails.
+ * @param {string} aggregatedContent The combined content of all picked emails, or notes on them.
  * @param {Object} preferences User's preferences.
+ * @param {boolean} [fromNotes] True if the content is notes from `summarizeStoryBlocks` rather than the stories themselves.
  * @returns {string} The generated prompt.
  */
-function generateDigestPrompt(aggregatedContent, preferences) {
+function generateDigestPrompt(aggregatedContent, preferences, fromNotes = false) {
     const { topics = [], instructions = '' } = preferences;
 
     const topicFocus = topics.length > 0 
@@ -339,16 +488,24 @@ function generateDigestPrompt(aggregatedContent, preferences) {
         ? `Please also follow these specific user instructions: "${instructions}"`
         : '';
 
+    const digestLanguage = languageName(getDigestLanguage(preferences));
+
+    const contentDescription = fromNotes
+        ? 'You have been provided with notes on several newsletters. Each newsletter was condensed into notes on its own; the notes keep each story\'s links, how many newsletters covered it and its "Sponsored" and original-language labels.'
+        : 'You have been provided with the full content of several newsletters, split into individual stories (each under a ### headline, with its main link and the newsletters it came from). Story text is Markdown, with links inline where the newsletter placed them.';
+
     return `You are an expert intelligence analyst creating a personalized news digest for a client.
 Your client's professional context is:
 - Occupation: ${preferences.occupation}
 - Currently working on: ${preferences.currentWork}
 - Other interests: ${(preferences.topics || []).join(', ')}
 
-You have been provided with the full content of several newsletters, including relevant links found within each email. Your task is to synthesize this information into a single, cohesive digest. 
+${contentDescription} Stories covered by several newsletters appear once, marked "Covered by N newsletters"; treat wide coverage as a signal of importance and mention it in the digest, e.g. "(covered by 3 newsletters)". Some stories also carry an "Article extract" taken from the page behind their link; use it to go beyond the newsletter's blurb with facts, numbers and context. Stories and passages marked "Sponsored" are paid placements: never present them as news, and label them "Sponsored" if you mention them. Your task is to synthesize this information into a single, cohesive digest. 
 Do not just summarize each article one by one. Instead, connect themes, identify trends, and extract the most critical insights relevant to your client's work.
 
-The content includes relevant links with descriptive anchor text and URLs. You can reference these links in your digest to provide additional resources, but you don't need to visit them - the link titles and URLs often provide valuable context about the content.
+Write the entire digest in ${digestLanguage}. Stories marked "Original language: X" come from newsletters in another language: translate their headlines, facts and quotes into ${digestLanguage} faithfully, keep names of people, companies and products as they are, and never change link URLs. Whenever a point relies on such a story, note its original language right after it, e.g. "(translated from German)".
+
+Cite links in context, next to the point they support, rather than collecting them at the end. You don't need to visit them - the anchor text and URLs often provide valuable context about the content.
 
 The client has requested the following level of detail: ${preferences.digestDetailedness}
 
@@ -366,197 +523,271 @@ Please generate the digest in Markdown format. Structure your response with the
 }
 
 /**
- * Step 2: Summarizes a large block of aggregated newsletter content.
- * @param {string} aggregatedContent The combined, cleaned content of all picked emails.
+ * Step 2: Summarizes a large block of aggregated newsletter content with the synthesis model.
+ * @param {string} aggregatedContent The combined, cleaned content of all picked emails, or notes on them.
  * @param {Object} preferences The user's preferences for summarization.
- * @param {number} retryCount The current retry attempt.
+ * @param {Object} [options] Summary options
+ * @param {boolean} [options.fromNotes] True if the content is notes from `summarizeStoryBlocks`
+ * @param {string|null} [options.digestId] Digest to record the model's usage against
  * @returns {Promise<string>} The final, structured summary in Markdown format.
+ * @throws {Error} If there is no content or the model call fails, so the run isn't treated as a digest
  */
-export async function summarizeAggregatedContent(aggregatedContent, preferences, retryCount = 0) {
+export async function summarizeAggregatedContent(aggregatedContent, preferences, { fromNotes = false, digestId = null } = {}) {
     if (!aggregatedContent) {
-        return "There was no content to summarize.";
+        throw new Error('There was no content to summarize.');
     }
 
     try {
-        const apiKey = await initializeOpenAI();
-        const prompt = generateDigestPrompt(aggregatedContent, preferences);
-        
-        // Estimate cost for user awareness (optional display on frontend)
-        const tokens = Math.ceil(prompt.length / 4);
-        const cost = estimateCost(tokens);
-        console.log(`Summarizing aggregated content. Estimated tokens: ${tokens}, Estimated cost: $${cost.toFixed(5)}`);
-        
-        const response = await fetch(OPENAI_API_URL, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                model: DEFAULT_MODEL,
-                messages: [{ role: 'user', content: prompt }],
-                temperature: 0.5, // A balance for creative synthesis
-                top_p: 1,
-            })
-        });
+        const prompt = generateDigestPrompt(aggregatedContent, preferences, fromNotes);
+        console.log(`Summarizing aggregated content. Estimated tokens: ${countTokens(prompt)}`);
 
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(`OpenAI API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
-        }
+        // Actual token usage and cost are recorded in the usage ledger
+        const response = await completeChat('synthesis', {
+            messages: [{ role: 'user', content: prompt }],
+            temperature: 0.5, // A balance for creative synthesis
+        }, { digestId, preferences });
 
-        const data = await response.json();
-        const summary = data.choices[0].message.content.trim();
-        
-        // TODO: Update stats with tokens used from `data.usage`
-        
-        return summary;
+        return response.text;
     } catch (error) {
-        console.error(`Error during summarization (attempt ${retryCount + 1}):`, error);
-        
-        if (retryCount < MAX_RETRIES) {
-            const delay = Math.pow(2, retryCount) * RETRY_DELAY;
-            console.log(`Retrying in ${delay}ms...`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-            return summarizeAggregatedContent(aggregatedContent, preferences, retryCount + 1);
-        }
-        
-        console.error("Summarization failed after all retries.");
-        return `Error: Could not generate digest. The summarization service failed after ${MAX_RETRIES + 1} attempts. Last error: ${error.message}`;
+        console.error("Summarization failed after all retries:", error);
+        throw new Error(`Could not generate digest. The summarization service failed. Last error: ${error.message}`);
     }
 }
 
 /**
- * Estimates the cost of a summarization request for GPT-4o.
- * @param {number} tokens Number of tokens.
- * @returns {number} Estimated cost in USD.
+ * Generates a prompt that condenses a batch of stories, or earlier notes, into notes for the final digest.
+ * @param {string} content Stories in the digest format, or notes from earlier batches.
+ * @param {Object} preferences User's preferences.
+ * @param {boolean} merging True if the content is notes that should be merged into one set.
+ * @returns {string} The generated prompt.
  */
-export function estimateCost(tokens) {
-    const inputCostPerToken = 0.000005;  // $5.00 / 1M tokens
-    const outputCostPerToken = 0.000015; // $15.00 / 1M tokens
-    
-    // Assume 70% input, 30% output for cost estimation
-    const inputTokens = Math.floor(tokens * 0.7);
-    const outputTokens = tokens - inputTokens;
-    
-    return (inputTokens * inputCostPerToken) + (outputTokens * outputCostPerToken);
+function generateNotesPrompt(content, preferences, merging) {
+    const digestLanguage = languageName(getDigestLanguage(preferences));
+    const task = merging
+        ? 'Below are several sets of notes, each taken from a different batch of the client\'s newsletters. Merge them into a single set of notes: combine notes about the same story (adding up how many newsletters covered it) and drop repetition, but keep every distinct story that could matter to the client.'
+        : 'Below are stories from one of the client\'s newsletters (each under a ### headline, with its main link and sources). Condense them into notes: for each story worth keeping, write its headline and the key facts, numbers and quotes in a few bullet points.';
+
+    return `You are an expert intelligence analyst preparing notes for a personalized news digest. Each newsletter is condensed into notes on its own, and a final pass writes the digest from the notes of all of them.
+Your client's professional context is:
+- Occupation: ${preferences.occupation}
+- Currently working on: ${preferences.currentWork}
+- Key Interests: ${(preferences.topics || []).join(', ')}
+
+${task}
+
+Rules for the notes:
+- Keep links as Markdown links next to the facts they support, with their URLs unchanged, plus each story's main link.
+- Keep "Covered by N newsletters" and "Sponsored" labels on the stories they belong to.
+- Write in ${digestLanguage}. For stories marked "Original language: X", translate faithfully, keep names of people, companies and products as they are, and add "(translated from X)".
+- Prefer concrete details over general statements; the final pass only sees your notes.
+- Keep the notes under ${Math.round(NOTES_OUTPUT_TOKENS * 0.75)} words.
+
+---
+${content}
+---
+
+Respond with the notes in Markdown, one ### heading per story.`;
 }
 
 /**
- * Gets summarization statistics from storage.
- * @returns {Promise<Object>} Statistics object.
+ * Packs text blocks into batches that each fit a token budget. Blocks larger than the budget
+ * are cut down to fit on their own.
+ * @param {Array<string>} blocks Story blocks or notes, in order.
+ * @param {number} budgetTokens Most estimated tokens per batch.
+ * @returns {Array<string>} Batches, each the blocks joined by blank lines.
  */
-export async function getSummarizationStats() {
-    const { stats = {} } = await chrome.storage.sync.get('stats');
-    return {
-        totalProcessed: stats.processed || 0,
-        totalSaved: stats.saved || 0,
-        totalCost: stats.totalCost || 0,
-        averageCostPerEmail: stats.processed > 0 ? (stats.totalCost / stats.processed) : 0
-    };
+function packIntoBatches(blocks, budgetTokens) {
+    const batches = [];
+    let current = [];
+    let currentTokens = 0;
+
+    blocks.forEach(block => {
+        const text = truncateToTokens(block, budgetTokens);
+        const tokens = countTokens(text);
+        if (current.length > 0 && currentTokens + tokens > budgetTokens) {
+            batches.push(current.join('\n\n'));
+            current = [];
+            currentTokens = 0;
+        }
+        current.push(text);
+        currentTokens += tokens;
+    });
+    if (current.length > 0) {
+        batches.push(current.join('\n\n'));
+    }
+    return batches;
 }
 
 /**
- * Generates a prompt for summarizing a single email.
- * @param {string} emailContent The cleaned content of a single email.
+ * Condenses each batch into notes with the synthesis model.
+ * @param {Array<string>} batches Batches from `packIntoBatches`.
  * @param {Object} preferences User's preferences.
- * @returns {string} The generated prompt.
+ * @param {boolean} merging True if the batches hold notes rather than stories.
+ * @param {number} maxTokens Output limit per batch.
+ * @param {string|null} digestId Digest to record the model's usage against.
+ * @returns {Promise<Array<string>>} Notes per batch.
  */
-function generateSingleEmailSummaryPrompt(emailContent, preferences) {
-    return `You are an expert assistant summarizing a single newsletter for a client.
-Your client's professional context is:
-- Occupation: ${preferences.occupation}
-- Currently working on: ${preferences.currentWork}
-- Key Interests: ${(preferences.topics || []).join(', ')}
+async function writeNotes(batches, preferences, merging, maxTokens, digestId) {
+    const notes = [];
+    for (const [index, batch] of batches.entries()) {
+        console.log(`[OpenAI Handler] ${merging ? 'Merging notes' : 'Taking notes on stories'}, batch ${index + 1} of ${batches.length}...`);
+        const response = await completeChat('synthesis', {
+            messages: [{ role: 'user', content: generateNotesPrompt(batch, preferences, merging) }],
+            temperature: 0.3,
+            maxTokens,
+        }, { digestId, preferences });
+        notes.push(response.text);
+    }
+    return notes;
+}
 
-Here is the email content:
----
-${emailContent}
----
+/**
+ * Works out how many tokens each synthesis prompt may hold for the synthesis model's context window.
+ * @param {Object} preferences User's preferences.
+ * @returns {{contextWindow: number, notesOutputTokens: number, finalNotesBudget: number, batchBudget: number, notesPromptTokens: number, digestPromptTokens: number}}
+ *   Token budgets for notes in the final prompt and content per batch of notes, plus the output
+ *   allowed per batch of notes and the size of the empty prompts.
+ */
+function getSynthesisBudgets(preferences) {
+    const contextWindow = getStageContextWindow('synthesis', preferences);
+    const usableTokens = Math.floor(contextWindow * CONTEXT_SAFETY_MARGIN);
+    // Small local models can't spare the full output allowance
+    const digestOutputTokens = Math.min(DIGEST_OUTPUT_TOKENS, Math.floor(contextWindow / 4));
+    const notesOutputTokens = Math.min(NOTES_OUTPUT_TOKENS, Math.floor(contextWindow / 8));
+    const digestPromptTokens = countTokens(generateDigestPrompt('', preferences, true));
+    const notesPromptTokens = countTokens(generateNotesPrompt('', preferences, true));
 
-Please extract and summarize the most important points from this email that are relevant to the client's profile.
-Focus on key takeaways, insights, and actionable information. Be concise.
-`;
+    return {
+        contextWindow,
+        notesOutputTokens,
+        finalNotesBudget: usableTokens - digestOutputTokens - digestPromptTokens,
+        batchBudget: usableTokens - notesOutputTokens - notesPromptTokens,
+        notesPromptTokens,
+        digestPromptTokens
+    };
 }
 
 /**
- * Summarizes the content of a single email.
- * @param {Object} email The email object.
- * @param {Object} preferences The user's preferences.
- * @returns {Promise<string>} The summary of the single email.
+ * Summarizes story blocks into the digest in two passes: each email's stories are condensed
+ * into notes, and the digest is written from the notes. Notes are cached per email and story
+ * content, so an overlapping run only pays for the emails that are new or changed. Notes that
+ * don't fit one digest prompt are merged in rounds first.
+ * @param {Array<{emailId: string, blocks: Array<string>}>} groups Story blocks in the digest format, by email.
+ * @param {Object} preferences User's preferences.
+ * @param {string|null} digestId Digest to record the model's usage against.
+ * @returns {Promise<string>} The final, structured summary in Markdown format.
  */
-async function summarizeSingleEmail(email, preferences) {
-    const cleaned = await cleanEmailContent(email.body);
-    if (!cleaned.text) {
-        return ''; // Skip empty emails
+async function summarizeStoryBlocks(groups, preferences, digestId) {
+    const { notesOutputTokens, finalNotesBudget, batchBudget } = getSynthesisBudgets(preferences);
+
+    const settingsFingerprint = fingerprint({ prompt: getPromptFingerprint(preferences, 'synthesis'), maxTokens: notesOutputTokens });
+    const cacheKeys = groups.map(group => buildCacheKey(
+        'summary', group.emailId, hashContent(group.blocks.join('\n\n')), SUMMARY_PROMPT_VERSION, settingsFingerprint
+    ));
+    const cached = await getCached(cacheKeys);
+    if (cached.size > 0) {
+        console.log(`[OpenAI Handler] Reused notes for ${cached.size} of ${groups.length} emails from the cache.`);
     }
 
-    const prompt = generateSingleEmailSummaryPrompt(cleaned.text, preferences);
+    let notes = [];
+    for (const [index, group] of groups.entries()) {
+        if (cached.has(cacheKeys[index])) {
+            notes.push(cached.get(cacheKeys[index]));
+            continue;
+        }
+        // An email too long for one prompt is condensed in batches of its own
+        const emailNotes = (await writeNotes(packIntoBatches(group.blocks, batchBudget), preferences, false, notesOutputTokens, digestId)).join('\n\n');
+        await putCached('summary', [{ key: cacheKeys[index], value: emailNotes }]);
+        notes.push(emailNotes);
+    }
 
-    try {
-        const response = await callOpenAI({
-            model: DEFAULT_MODEL,
-            messages: [{ role: 'user', content: prompt }],
-            temperature: 0.3,
-            max_tokens: 500, // Limit output for single summary
-        });
-        return response.choices[0].message.content;
-    } catch (error) {
-        console.error(`Failed to summarize email from ${email.from}:`, error);
-        return ''; // Return empty string on failure to not break the whole digest
+    // Notes are capped well below the batch budget, so each round merges at least two per batch
+    while (notes.length > 1 && countTokens(notes.join('\n\n')) > finalNotesBudget) {
+        const merged = await writeNotes(packIntoBatches(notes, batchBudget), preferences, true, notesOutputTokens, digestId);
+        if (merged.length >= notes.length) break;
+        notes = merged;
     }
+
+    return summarizeAggregatedContent(notes.join('\n\n'), preferences, { fromNotes: true, digestId });
 }
 
 /**
- * Orchestrates the summarization of multiple emails by aggregating content and summarizing once.
+ * Orchestrates the summarization of multiple emails by grouping their stories, taking notes on
+ * each email's stories and writing the digest from the notes.
  * @param {Array<Object>} emails Array of email objects with full content.
  * @param {Object} preferences User preferences.
+ * @param {Object} [options] Summary options
+ * @param {{maxArticles: number, tokenBudget: number}|null} [options.enrichment] Add extracts of the
+ *   articles behind the top stories, within these limits; null to summarize the newsletters alone
+ * @param {string|null} [options.digestId] Digest to record the model's usage against
  * @returns {Promise<string>} The final, structured summary in Markdown format.
  */
-export async function generateSummaryFromEmails(emails, preferences) {
+export async function generateSummaryFromEmails(emails, preferences, { enrichment = null, digestId = null } = {}) {
     if (!emails || emails.length === 0) {
         return "No emails were provided for summarization.";
     }
 
     try {
-        console.log(`[OpenAI Handler] Starting single-pass summarization for ${emails.length} emails.`);
-
-        // Clean and aggregate all email content at once, including relevant links
-        console.log('[OpenAI Handler] Cleaning and aggregating email content with relevant links...');
-        const cleaningPromises = emails.map(email => cleanEmailContent(email.body));
-        const cleanedContents = await Promise.all(cleaningPromises);
-
-        // Extract relevant links from each email
-        console.log('[OpenAI Handler] Extracting relevant links from emails...');
-        const linkExtractionPromises = emails.map(email => extractRelevantLinks(email.body));
-        const emailLinks = await Promise.all(linkExtractionPromises);
-
-        // Combine all email content with headers and relevant links
-        const aggregatedContent = emails.map((email, index) => {
-            const cleanedText = cleanedContents[index].text;
-            if (!cleanedText || cleanedText.trim().length === 0) {
+        console.log(`[OpenAI Handler] Starting summarization for ${emails.length} emails.`);
+
+        // Emails from the relevance filter already carry their relevant stories
+        console.log('[OpenAI Handler] Splitting emails into stories...');
+        const needsSegmenting = emails.filter(email => !email.stories);
+        const segmented = await segmentEmailsIntoStories(needsSegmenting);
+        const storiesByEmail = emails.map(email => email.stories || segmented[needsSegmenting.indexOf(email)]);
+
+        // The same news often runs in several newsletters; give the model each story once
+        const clusters = clusterStories(emails.flatMap((email, index) =>
+            storiesByEmail[index].map(story => ({ ...story, from: email.from, subject: email.subject, account: email.account }))
+        ));
+        const totalStories = storiesByEmail.reduce((sum, stories) => sum + stories.length, 0);
+        console.log(`[OpenAI Handler] Grouped ${totalStories} stories into ${clusters.length} clusters (${totalStories - clusters.length} duplicates merged).`);
+
+        const translated = clusters.filter(cluster => formatLanguageLabel(cluster.language, preferences)).length;
+        if (translated > 0) {
+            console.log(`[OpenAI Handler] ${translated} stories will be translated into ${languageName(getDigestLanguage(preferences))}.`);
+        }
+
+        const articleExtracts = enrichment ? await enrichClusters(clusters, enrichment) : new Map();
+
+        emails.forEach((email, index) => {
+            if (storiesByEmail[index].length === 0) {
                 console.warn(`[OpenAI Handler] No content extracted from email: ${email.subject}`);
-                return '';
-            }
-            
-            const relevantLinks = emailLinks[index] || [];
-            let linksSection = '';
-            if (relevantLinks.length > 0) {
-                const linksList = relevantLinks.map(link => `"${link.text}" (${link.url})`).join('; ');
-                linksSection = `\n\nRelevant Links: ${linksList}`;
             }
-            
-            return `--- Email from: ${email.from}, Subject: ${email.subject} ---\n${cleanedText}${linksSection}`;
-        }).filter(content => content.trim().length > 0).join('\n\n');
+        });
+
+        const storyBlocks = clusters.map(cluster => {
+            const coverage = cluster.coverage > 1 ? ` | Covered by ${cluster.coverage} newsletters` : '';
+            const sponsored = cluster.sponsored ? ' | Sponsored' : '';
+            const language = formatLanguageLabel(cluster.language, preferences);
+            const sourceLines = cluster.sources.map(source => {
+                const link = source.link && source.link !== cluster.link ? ` (${source.link})` : '';
+                return `- ${source.from}, Subject: ${source.subject}${link}`;
+            }).join('\n');
+            const link = cluster.link ? `\nLink: ${cluster.link}` : '';
+            // Keep the story's own headings below the ### story headline
+            const markdown = cluster.markdown.replace(/^#{1,3} /gm, '#### ');
+            const extract = articleExtracts.has(cluster.id) ? `\nArticle extract:\n> ${articleExtracts.get(cluster.id)}` : '';
+            return `### ${cluster.headline}${coverage}${sponsored}${language}\n${markdown}${link}${extract}\nSources:\n${sourceLines}`;
+        });
+        const aggregatedContent = storyBlocks.join('\n\n');
 
         if (!aggregatedContent || aggregatedContent.trim().length === 0) {
-            return "Could not extract any meaningful content from the provided emails.";
+            throw new Error('Could not extract any meaningful content from the provided emails.');
         }
 
         console.log(`[OpenAI Handler] Aggregated ${aggregatedContent.length} characters of content from ${emails.length} emails.`);
 
-        // Single summarization call with all content
-        const finalDigest = await summarizeAggregatedContent(aggregatedContent, preferences);
+        // Each cluster is noted under the first email that ran it
+        const groups = new Map();
+        clusters.forEach((cluster, index) => {
+            const emailId = cluster.stories[0].emailId;
+            if (!groups.has(emailId)) groups.set(emailId, []);
+            groups.get(emailId).push(storyBlocks[index]);
+        });
+        const finalDigest = await summarizeStoryBlocks(
+            Array.from(groups, ([emailId, blocks]) => ({ emailId, blocks })), preferences, digestId
+        );
 
         console.log("[OpenAI Handler] Successfully generated final digest.");
         return finalDigest;
@@ -568,59 +799,15 @@ export async function generateSummaryFromEmails(emails, preferences) {
 }
 
 /**
- * Makes a call to the OpenAI API with retry logic.
- * @param {Object} body The request body for the OpenAI API call.
- * @returns {Promise<Object>} The JSON response from the API.
- */
-async function callOpenAI(body) {
-    const apiKey = await initializeOpenAI();
-    let lastError = null;
-
-    for (let i = 0; i < MAX_RETRIES; i++) {
-        try {
-            const response = await fetch(OPENAI_API_URL, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(body)
-            });
-
-            if (response.ok) {
-                return await response.json();
-            }
-
-            const errorText = await response.text();
-            lastError = new Error(`OpenAI API error: ${response.status} ${response.statusText} - ${errorText}`);
-            
-            if (response.status === 429) { // Rate limit
-                const delay = RETRY_DELAY * Math.pow(2, i);
-                console.warn(`Rate limit exceeded. Retrying in ${delay}ms...`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-            } else {
-                throw lastError; // For non-retriable errors
-            }
-
-        } catch (error) {
-            lastError = error;
-            if (i === MAX_RETRIES - 1) {
-                console.error("OpenAI call failed after multiple retries:", lastError);
-            }
-        }
-    }
-    throw lastError;
-}
-
-/**
- * Generates a prompt to filter emails based on content snippets.
- * @param {Array<Object>} emailSnippets - Array of objects with { id, snippet }.
+ * Generates a prompt to filter newsletter stories based on content snippets.
+ * @param {Array<Object>} storySnippets - Array of objects with { id, language, snippet }.
  * @param {Object} preferences - User's preferences.
  * @returns {string} The prompt for the LLM.
  */
-function generateRelevanceFilterPrompt(emailSnippets, preferences) {
-    const emailListString = emailSnippets
-        .map(email => `--- Email ID: ${email.id} ---\n${email.snippet}...`)
+function generateRelevanceFilterPrompt(storySnippets, preferences) {
+    const digestLanguage = languageName(getDigestLanguage(preferences));
+    const storyListString = storySnippets
+        .map(story => `--- Story ID: ${story.id}${formatLanguageLabel(story.language, preferences)} ---\n${story.snippet}...`)
         .join('\n\n');
 
     return `You are an expert intelligence analyst whose job is to build a personalized briefing for a client. Your client's profile is:
@@ -628,9 +815,11 @@ function generateRelevanceFilterPrompt(emailSnippets, preferences) {
 - Currently working on: ${preferences.currentWork}
 - Key Topics: ${(preferences.topics || []).join(', ')}
 
-CRITICAL: Your default should be to INCLUDE emails unless they are clearly irrelevant. When in doubt, include the email. Think broadly about connections and themes.
+The stories below come from the client's newsletters. Roundup newsletters have been split into their individual stories, so judge each story on its own.
+
+CRITICAL: Your default should be to INCLUDE stories unless they are clearly irrelevant. When in doubt, include the story. Think broadly about connections and themes.
 
-Your goal is to cast a wide net and identify emails with ANY substantive content that could be relevant to the user's interests. Think about:
+Your goal is to cast a wide net and identify stories with ANY substantive content that could be relevant to the user's interests. Think about:
 
 1. DIRECT RELEVANCE: Content explicitly about the user's topics
 2. ADJACENT TOPICS: Related fields, complementary skills, industry context
@@ -645,118 +834,185 @@ Examples of what to INCLUDE:
 - Industry analysis, market reports, or trend discussions
 - Job opportunities, networking events, or professional development
 
-Only EXCLUDE emails that are clearly:
+Only EXCLUDE stories that are clearly:
 - Transactional (receipts, shipping, verification codes, password resets)
 - Pure spam or promotional offers with no informational value
 - Personal correspondence unrelated to professional interests
 - System notifications or automated alerts
 
-Remember: The snippets below contain samples from the BEGINNING, MIDDLE, and END of each email (marked with [middle] and [end] indicators). Even if relevant keywords only appear in the middle or end sections, the email could still be highly valuable. Look for any indicators of relevance throughout all parts of the snippet.
+Some stories are not written in ${digestLanguage} and are marked with their original language. Read them in that language and judge them exactly as you would the same story in ${digestLanguage}; never exclude a story because of its language. Write every "reason" in ${digestLanguage}.
+
+Remember: Each snippet starts with the story's headline. Stories that could not be split out of a longer email contain samples from the BEGINNING, MIDDLE, and END of that email (marked with [middle] and [end] indicators). Even if relevant keywords only appear in the middle or end sections, the story could still be highly valuable.
 
 ---
 SNIPPETS:
-${emailListString}
+${storyListString}
 ---
 
-Respond with a JSON object containing a single key "emailDecisions". This key should hold an array of objects, where each object has three keys: "id" (the email ID), "include" (a boolean true/false), and "reason" (a brief explanation, under 20 words, for your decision).
+Respond with a JSON object containing a single key "storyDecisions". This key should hold an array of objects, where each object has four keys: "id" (the story ID), "include" (a boolean true/false), "score" (an integer from 1 to 10 for how valuable the story is to the client, 0 for excluded stories), and "reason" (a brief explanation, under 20 words, for your decision).
 
 Example:
 {
-  "emailDecisions": [
-    { "id": "id1", "include": true, "reason": "Contains AI industry insights and trends." },
-    { "id": "id2", "include": false, "reason": "Transactional shipping notification." }
+  "storyDecisions": [
+    { "id": "id1#0", "include": true, "score": 8, "reason": "Contains AI industry insights and trends." },
+    { "id": "id2#0", "include": false, "score": 0, "reason": "Transactional shipping notification." }
   ]
 }
 `;
 }
 
 /**
- * Uses an LLM to filter a list of emails down to the most relevant ones based on content snippets.
+ * Uses an LLM to filter a list of emails down to the most relevant ones.
+ * Emails are split into stories and each story is judged on its own, in chunks so
+ * large mailboxes stay within the model's context window.
  * @param {Array<Object>} emails - The full email objects to filter.
  * @param {Object} preferences - The user's preferences.
- * @returns {Promise<Array<Object>>} A promise that resolves to the filtered list of full email objects.
+ * @param {Object} [options] - Filter options.
+ * @param {string|null} [options.digestId] - Digest to record the model's usage against.
+ * @returns {Promise<Array<Object>>} A promise that resolves to the emails with at least one
+ *   relevant story, each carrying those stories, with their `relevanceScore`, in `stories`.
  */
-export async function filterRelevantEmails(emails, preferences) {
+export async function filterRelevantEmails(emails, preferences, { digestId = null } = {}) {
     if (!emails || emails.length === 0) {
         return [];
     }
     console.log(`[OpenAI Handler] Starting relevance filtering for ${emails.length} emails.`);
 
-    // Create snippets from email bodies using smart sampling strategy
-    const emailCleaningPromises = emails.map(email => cleanEmailContent(email.body));
-    const cleanedContents = await Promise.all(emailCleaningPromises);
-
-    console.log('[OpenAI Handler] Sample cleaned content:', cleanedContents.slice(0, 2));
-
-    const emailSnippets = emails.map((email, index) => {
-        const words = cleanedContents[index].text.split(/\s+/).filter(w => w.trim().length > 0);
-        
-        let snippet = '';
-        
-        if (words.length <= 100) {
-            // If short enough, use the whole thing
-            snippet = words.join(' ');
-        } else {
-            // Smart sampling: beginning + middle/end sections
-            const beginningWords = words.slice(0, 50); // First 50 words
-            
-            // For the remaining 50 words, sample from middle and end
-            const remainingWords = words.slice(50);
-            const midPoint = Math.floor(remainingWords.length / 2);
-            
-            // Take 25 words from middle section and 25 from later section
-            const middleWords = remainingWords.slice(midPoint - 12, midPoint + 13); // 25 words around midpoint
-            const endWords = remainingWords.slice(-25); // Last 25 words
-            
-            // Combine with separators to indicate sampling
-            snippet = [
-                beginningWords.join(' '),
-                '... [middle] ...',
-                middleWords.join(' '),
-                '... [end] ...',
-                endWords.join(' ')
-            ].join(' ');
-        }
-        
-        console.log(`[OpenAI Handler] Email ${email.id} smart snippet (${words.length} words total, sampled ${snippet.split(/\s+/).length} words):`, snippet.substring(0, 300) + '...');
-        return {
-            id: email.id,
-            snippet: snippet,
-        };
+    // Emails from a budget check already carry their stories
+    const needsSegmenting = emails.filter(email => !email.stories);
+    const segmented = await segmentEmailsIntoStories(needsSegmenting);
+    const storiesByEmail = emails.map(email => email.stories || segmented[needsSegmenting.indexOf(email)]);
+    const stories = storiesByEmail.flat();
+    console.log(`[OpenAI Handler] Split ${emails.length} emails into ${stories.length} stories.`);
+
+    // Decisions are cached per email, keyed by exactly what the filter sees of its stories
+    const promptFingerprint = getPromptFingerprint(preferences, 'filter');
+    const cacheKeys = emails.map((email, index) => buildCacheKey(
+        'filter',
+        email.id,
+        hashContent(storiesByEmail[index].map(story => `${story.language}|${buildStorySnippet(story)}`).join('\n')),
+        FILTER_PROMPT_VERSION,
+        promptFingerprint
+    ));
+    const cached = await getCached(cacheKeys);
+
+    // Story ID -> relevance score of the stories the filter kept
+    const includedScores = new Map();
+    // Story ID -> decision of the model in this run
+    const freshDecisions = new Map();
+    cacheKeys.forEach(key => {
+        (cached.get(key) || []).forEach(decision => {
+            if (decision.include) includedScores.set(decision.id, decision.score);
+        });
     });
+    const uncachedStories = storiesByEmail.filter((_, index) => !cached.has(cacheKeys[index])).flat();
+    if (cached.size > 0) {
+        console.log(`[OpenAI Handler] Reused filter decisions for ${stories.length - uncachedStories.length} stories in ${cached.size} emails from the cache.`);
+    }
 
-    const prompt = generateRelevanceFilterPrompt(emailSnippets, preferences);
+    for (let i = 0; i < uncachedStories.length; i += STORIES_PER_FILTER_REQUEST) {
+        const chunk = uncachedStories.slice(i, i + STORIES_PER_FILTER_REQUEST);
+        const storySnippets = chunk.map(story => ({ id: story.id, language: story.language, snippet: buildStorySnippet(story) }));
+        const prompt = generateRelevanceFilterPrompt(storySnippets, preferences);
 
-    try {
-        const response = await callOpenAI({
-            model: DEFAULT_MODEL,
-            messages: [{ role: 'user', content: prompt }],
-            temperature: 0.1,
-            response_format: { type: "json_object" },
-        });
+        try {
+            const response = await completeChat('filter', {
+                messages: [{ role: 'user', content: prompt }],
+                temperature: 0.1,
+                json: true,
+            }, { digestId, preferences });
+
+            const content = JSON.parse(response.text);
+            const decisions = content.storyDecisions || [];
+
+            // Log the AI's reasoning for inspection with story headlines
+            console.log("[OpenAI Handler] AI Filtering Decisions:");
+            decisions.forEach(decision => {
+                const story = chunk.find(s => s.id === decision.id);
+                const storyTitle = story ? story.headline : 'Unknown';
+                console.log(`  ${decision.include ? '✓' : '✗'} [${decision.id}] "${storyTitle}" (${decision.score || 0}) - ${decision.reason}`);
+                if (!story) return;
+                const include = Boolean(decision.include);
+                const score = Number(decision.score) || 0;
+                freshDecisions.set(decision.id, { id: decision.id, include, score, reason: decision.reason });
+                if (include) includedScores.set(decision.id, score);
+            });
+        } catch (error) {
+            console.error("Failed to filter stories with LLM:", error);
+            // Fallback: If filtering fails, keep the chunk to avoid interrupting the flow.
+            chunk.forEach(story => includedScores.set(story.id, 0));
+        }
+    }
 
-        const content = JSON.parse(response.choices[0].message.content);
-        const decisions = content.emailDecisions || [];
+    // Only emails the model decided on in full are cached; fallbacks and omissions are asked again next time
+    await putCached('filter', emails
+        .map((email, index) => ({ key: cacheKeys[index], stories: storiesByEmail[index] }))
+        .filter(({ key, stories: emailStories }) => !cached.has(key) && emailStories.every(story => freshDecisions.has(story.id)))
+        .map(({ key, stories: emailStories }) => ({ key, value: emailStories.map(story => freshDecisions.get(story.id)) })));
+
+    const filteredEmails = emails
+        .map((email, index) => ({
+            ...email,
+            stories: storiesByEmail[index]
+                .filter(story => includedScores.has(story.id))
+                .map(story => ({ ...story, relevanceScore: includedScores.get(story.id) }))
+        }))
+        .filter(email => email.stories.length > 0);
+    console.log(`[OpenAI Handler] Finished relevance filtering. Found ${includedScores.size} relevant stories in ${filteredEmails.length} emails.`);
+    return filteredEmails;
+}
 
-        // Log the AI's reasoning for inspection with email titles
-        console.log("[OpenAI Handler] AI Filtering Decisions:");
-        decisions.forEach(decision => {
-            const email = emails.find(e => e.id === decision.id);
-            const emailTitle = email ? email.subject : 'Unknown';
-            console.log(`  ${decision.include ? '✓' : '✗'} [${decision.id}] "${emailTitle}" - ${decision.reason}`);
-        });
-        
-        const relevantIds = new Set(
-            decisions.filter(d => d.include).map(d => d.id)
-        );
-        
-        const filteredEmails = emails.filter(email => relevantIds.has(email.id));
-        console.log(`[OpenAI Handler] Finished relevance filtering. Found ${filteredEmails.length} relevant emails.`);
-        return filteredEmails;
+/**
+ * Estimates the tokens a digest run will use, before any model is called: the relevance filter
+ * over every story, then the notes per email, merge rounds and final digest over the share of
+ * stories the filter typically keeps. Notes found in the cache are not taken into account.
+ * @param {Array<Array<Object>>} storiesByEmail Stories per email from `segmentEmailsIntoStories`.
+ * @param {Object} preferences User's preferences, including the models per stage.
+ * @param {Object} [options] Estimate options.
+ * @param {number} [options.enrichmentTokens] Tokens of article extracts that may be added.
+ * @returns {{filter: {inputTokens: number, outputTokens: number}, summary: {inputTokens: number, outputTokens: number}, stories: number}}
+ *   Estimated tokens per stage and the number of stories.
+ */
+export function estimateDigestTokens(storiesByEmail, preferences, { enrichmentTokens = 0 } = {}) {
+    const stories = storiesByEmail.flat();
+    const filter = { inputTokens: 0, outputTokens: stories.length * FILTER_DECISION_TOKENS };
+    for (let i = 0; i < stories.length; i += STORIES_PER_FILTER_REQUEST) {
+        const storySnippets = stories.slice(i, i + STORIES_PER_FILTER_REQUEST)
+            .map(story => ({ id: story.id, language: story.language, snippet: buildStorySnippet(story) }));
+        filter.inputTokens += countTokens(generateRelevanceFilterPrompt(storySnippets, preferences));
+    }
 
-    } catch (error) {
-        console.error("Failed to filter emails with LLM:", error);
-        // Fallback: If filtering fails, return the original list to avoid interrupting the flow.
-        return emails;
+    if (stories.length === 0) {
+        return { filter, summary: { inputTokens: 0, outputTokens: 0 }, stories: 0 };
+    }
+
+    const budgets = getSynthesisBudgets(preferences);
+    const digestTokens = DIGEST_LENGTH_TOKENS[preferences.digestDetailedness] || DIGEST_LENGTH_TOKENS.medium;
+
+    // Mirror summarizeStoryBlocks: notes per email, merge rounds, then the final digest
+    const summary = { inputTokens: enrichmentTokens, outputTokens: 0 };
+    let notes = 0;
+    let notesTokens = 0;
+    storiesByEmail.filter(emailStories => emailStories.length > 0).forEach(emailStories => {
+        const storyTokens = emailStories.reduce((sum, story) => sum + countTokens(story.markdown || story.body) + STORY_FRAME_TOKENS, 0);
+        const contentTokens = Math.ceil(storyTokens * EXPECTED_INCLUDE_RATE);
+        const batches = Math.ceil(contentTokens / budgets.batchBudget);
+        // Notes condense the stories, so they rarely come out longer than them
+        const outputTokens = Math.min(contentTokens, batches * budgets.notesOutputTokens);
+        summary.inputTokens += contentTokens + batches * budgets.notesPromptTokens;
+        summary.outputTokens += outputTokens;
+        notes += 1;
+        notesTokens += outputTokens;
+    });
+    while (notes > 1 && notesTokens > budgets.finalNotesBudget) {
+        const merged = Math.ceil(notesTokens / budgets.batchBudget);
+        if (merged >= notes) break;
+        summary.inputTokens += notesTokens + merged * budgets.notesPromptTokens;
+        summary.outputTokens += merged * budgets.notesOutputTokens;
+        notes = merged;
+        notesTokens = merged * budgets.notesOutputTokens;
     }
-} 
\ No newline at end of file
+    summary.inputTokens += budgets.digestPromptTokens + notesTokens;
+    summary.outputTokens += digestTokens;
+    return { filter, summary, stories: stories.length };
+}
@@ -2,12 +2,46 @@
  * Personalization and user preference management
  */
 
+import { DEFAULT_QUERY_SETTINGS } from './gmail-api.js';
+
 export const DEFAULT_PREFERENCES = {
     occupation: '',
     currentWork: '',
     topics: [],
     frequency: 'daily',
     digestDetailedness: 'medium',
+    maxEmails: 200,
+    mailSources: ['gmail'],
+    feedUrls: [],
+    followTrackingRedirects: false,
+    sponsoredContent: 'exclude',
+    digestLanguage: 'en',
+    // Cheap, high-volume calls (relevance filtering) and the digest itself can use different models
+    llmStages: {
+        filter: { provider: 'openai', model: 'gpt-4o-mini' },
+        synthesis: { provider: 'openai', model: 'gpt-4o' },
+    },
+    localModelUrl: 'http://localhost:11434/v1',
+    localModelContextWindow: 8192,
+    // Spending limits in USD; 0 means no limit
+    budget: {
+        monthlyLimit: 0,
+        perDigestLimit: 0,
+    },
+    // Ignore cached cleaning, filtering and summary results, e.g. while debugging prompts
+    bypassCache: false,
+    articleEnrichment: {
+        enabled: false,
+        maxArticles: 5,
+        tokenBudget: 3000,
+    },
+    gmailQuery: DEFAULT_QUERY_SETTINGS,
+    accountDigestMode: 'combined',
+    mailboxActions: {
+        enabled: false,
+        included: { label: true, markRead: false, archive: false },
+        filtered: { label: false, markRead: false, archive: false },
+    },
 };
 
 /**
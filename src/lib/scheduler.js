@@ -4,7 +4,9 @@
 
 import { getStoredPreferences, updatePreferences } from './personalization.js';
 
-const ALARM_NAME = 'generateDigest';
+export const DIGEST_ALARM_NAME = 'generateDigest';
+// The latest digest written by the scheduler, for the digest page and the popup to open
+const SCHEDULED_DIGEST_KEY = 'scheduledDigest';
 
 /**
  * Schedule the next digest generation
@@ -16,7 +18,7 @@ export async function scheduleNextDigest(frequency) {
         const nextTime = calculateNextGenerationTime(frequency);
         
         // Create or update alarm
-        await chrome.alarms.create(ALARM_NAME, {
+        await chrome.alarms.create(DIGEST_ALARM_NAME, {
             when: nextTime.getTime()
         });
         
@@ -84,7 +86,7 @@ function calculateNextGenerationTime(frequency) {
  */
 export async function cancelScheduledDigest() {
     try {
-        await chrome.alarms.clear(ALARM_NAME);
+        await chrome.alarms.clear(DIGEST_ALARM_NAME);
         await chrome.storage.sync.set({ nextScheduled: null });
     } catch (error) {
         console.error('Error canceling scheduled digest:', error);
@@ -121,7 +123,7 @@ export async function initializeScheduler() {
         }
         
         // Verify alarm exists
-        const alarm = await chrome.alarms.get(ALARM_NAME);
+        const alarm = await chrome.alarms.get(DIGEST_ALARM_NAME);
         if (!alarm) {
             await scheduleNextDigest(preferences.frequency);
         }
@@ -150,8 +152,8 @@ export async function updateSchedule(preferences) {
     }[preferences.frequency];
 
     if (periodInMinutes) {
-        chrome.alarms.create(ALARM_NAME, {
-            delayInMinutes: 1, // Start 1 minute from now for testing
+        chrome.alarms.create(DIGEST_ALARM_NAME, {
+            delayInMinutes: periodInMinutes, // First run one period from now, not on every save
             periodInMinutes: periodInMinutes
         });
         console.log(`Digest scheduled with frequency: ${preferences.frequency}`);
@@ -188,4 +190,43 @@ export async function isGenerationOverdue() {
         console.error('Error checking if generation is overdue:', error);
         return false;
     }
-} 
\ No newline at end of file
+} 
+
+/**
+ * Save the result of a scheduled run so it can be opened later
+ * @param {Object} result Result of `generateDigest`
+ * @param {string} period Period the digest covers, e.g. '1d'
+ * @returns {Promise<Object>} The saved entry
+ */
+export async function saveScheduledDigest(result, period) {
+    const entry = {
+        digest: result.digest,
+        digestId: result.digestId || null,
+        period,
+        budgetAdjustments: result.budgetAdjustments || [],
+        generatedAt: new Date().toISOString(),
+        viewed: false
+    };
+    await chrome.storage.local.set({ [SCHEDULED_DIGEST_KEY]: entry });
+    return entry;
+}
+
+/**
+ * Get the latest scheduled digest
+ * @returns {Promise<Object|null>} Saved entry, null if the scheduler hasn't produced one
+ */
+export async function getScheduledDigest() {
+    const { [SCHEDULED_DIGEST_KEY]: entry } = await chrome.storage.local.get(SCHEDULED_DIGEST_KEY);
+    return entry || null;
+}
+
+/**
+ * Mark the latest scheduled digest as opened
+ * @returns {Promise<void>}
+ */
+export async function markScheduledDigestViewed() {
+    const entry = await getScheduledDigest();
+    if (entry && !entry.viewed) {
+        await chrome.storage.local.set({ [SCHEDULED_DIGEST_KEY]: { ...entry, viewed: true } });
+    }
+}
@@ -0,0 +1,207 @@
+/**
+ * Cross-newsletter story clustering.
+ * Groups stories that cover the same news so the summarizer sees each one once, with every
+ * newsletter that mentioned it attached. Two stories join a cluster when they link to the
+ * same article, have near-identical headlines, or share most of their text (MinHash over
+ * word shingles).
+ */
+
+import { urlKey } from './url-canonicalizer.js';
+import { hashString } from './utils.js';
+
+const SHINGLE_SIZE = 3; // Words per shingle
+const MINHASH_PERMUTATIONS = 64;
+const TEXT_SIMILARITY_THRESHOLD = 0.5; // Estimated Jaccard similarity of the shingle sets
+const TITLE_SIMILARITY_THRESHOLD = 0.6; // Jaccard similarity of headline words
+const MIN_TITLE_WORDS = 3; // Shorter headlines ("Quick hits") match too easily
+const MIN_SHINGLES = 10;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is',
+    'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'will', 'with'
+]);
+
+/**
+ * Split text into lower-case words without punctuation
+ * @param {string} text Input text
+ * @returns {Array<string>} Words
+ */
+function tokenize(text) {
+    return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Get the meaningful words of a headline
+ * @param {string} headline Story headline
+ * @returns {Set<string>} Words without stop words
+ */
+function titleWords(headline) {
+    return new Set(tokenize(headline).filter(word => !STOP_WORDS.has(word)));
+}
+
+/**
+ * Jaccard similarity of two sets
+ * @param {Set<string>} a First set
+ * @param {Set<string>} b Second set
+ * @returns {number} Similarity between 0 and 1
+ */
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(value => {
+        if (b.has(value)) shared++;
+    });
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Compute the MinHash signature of a text's word shingles
+ * @param {string} text Story text
+ * @returns {Uint32Array|null} Signature, or null if the text is too short to compare
+ */
+function minHashSignature(text) {
+    const words = tokenize(text);
+    const shingles = new Set();
+    for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+        shingles.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+    }
+    if (shingles.size < MIN_SHINGLES) return null;
+
+    // One base hash per shingle, permuted with a cheap multiply-xor per signature slot
+    const signature = new Uint32Array(MINHASH_PERMUTATIONS).fill(0xffffffff);
+    shingles.forEach(shingle => {
+        const base = parseInt(hashString(shingle), 16);
+        for (let i = 0; i < MINHASH_PERMUTATIONS; i++) {
+            const value = (Math.imul(base ^ (i * 0x9e3779b9), 0x85ebca6b) ^ (i + 1) * 0xc2b2ae35) >>> 0;
+            if (value < signature[i]) signature[i] = value;
+        }
+    });
+    return signature;
+}
+
+/**
+ * Estimate the Jaccard similarity of two shingle sets from their signatures
+ * @param {Uint32Array} a First signature
+ * @param {Uint32Array} b Second signature
+ * @returns {number} Estimated similarity between 0 and 1
+ */
+function signatureSimilarity(a, b) {
+    let matches = 0;
+    for (let i = 0; i < MINHASH_PERMUTATIONS; i++) {
+        if (a[i] === b[i]) matches++;
+    }
+    return matches / MINHASH_PERMUTATIONS;
+}
+
+/**
+ * Get the key under which a story's link identifies its article
+ * @param {string} link Story link
+ * @returns {string|null} Key from `urlKey`, or null for site roots such as a homepage, which many unrelated stories link to
+ */
+function articleUrlKey(link) {
+    const key = urlKey(link);
+    return key && key.split('?')[0].includes('/') ? key : null;
+}
+
+/**
+ * Minimal union-find over story indexes that never puts two stories from the same email in one set
+ * @param {Array<string>} emailIds Email of each story
+ * @returns {{find: Function, union: Function}} Set operations; `union` leaves sets that share an email apart
+ */
+function createUnionFind(emailIds) {
+    const parent = emailIds.map((_, index) => index);
+    const members = emailIds.map(emailId => new Set([emailId]));
+    const find = index => {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    };
+    const union = (a, b) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA === rootB) return;
+        // Stories from the same email are separate items by construction, even through a third story
+        const [smaller, larger] = members[rootA].size < members[rootB].size ? [rootA, rootB] : [rootB, rootA];
+        if ([...members[smaller]].some(emailId => members[larger].has(emailId))) return;
+
+        // Keep the earliest story as the root so clusters stay in document order
+        const root = Math.min(rootA, rootB);
+        const child = Math.max(rootA, rootB);
+        parent[child] = root;
+        members[root] = new Set([...members[root], ...members[child]]);
+        members[child] = null;
+    };
+    return { find, union };
+}
+
+/**
+ * Group stories that cover the same news.
+ * Each cluster is represented by its most detailed story; the others are kept as sources.
+ * @param {Array<Object>} stories Stories from `segmentEmailsIntoStories`, with their email's `from` and `subject` added
+ * @returns {Array<{id: string, headline: string, body: string, markdown: string, link: string|null, language: string|null, stories: Array<Object>, sources: Array<{from: string, subject: string, link: string|null}>, coverage: number, sponsored: boolean}>} Clusters, in the order their first story appeared
+ */
+export function clusterStories(stories) {
+    const { find, union } = createUnionFind(stories.map(story => story.emailId));
+    const features = stories.map(story => ({
+        // A whole email's first link says little about what it covers
+        url: story.link && story.segmentedBy !== 'none' ? articleUrlKey(story.link) : null,
+        title: titleWords(story.headline),
+        signature: minHashSignature(`${story.headline} ${story.body}`)
+    }));
+
+    // Stories linking to the same article are the same story, unless they come from the same email
+    const byUrl = new Map();
+    features.forEach(({ url }, index) => {
+        if (!url) return;
+        if (!byUrl.has(url)) byUrl.set(url, []);
+        byUrl.get(url)
+            .filter(other => stories[other].emailId !== stories[index].emailId)
+            .forEach(other => union(other, index));
+        byUrl.get(url).push(index);
+    });
+
+    for (let i = 0; i < stories.length; i++) {
+        for (let j = i + 1; j < stories.length; j++) {
+            // Stories from the same email are separate items by construction
+            if (stories[i].emailId === stories[j].emailId || find(i) === find(j)) continue;
+
+            const a = features[i];
+            const b = features[j];
+            const sameTitle = a.title.size >= MIN_TITLE_WORDS && b.title.size >= MIN_TITLE_WORDS &&
+                jaccard(a.title, b.title) >= TITLE_SIMILARITY_THRESHOLD;
+            const sameText = a.signature && b.signature &&
+                signatureSimilarity(a.signature, b.signature) >= TEXT_SIMILARITY_THRESHOLD;
+
+            if (sameTitle || sameText) {
+                union(i, j);
+            }
+        }
+    }
+
+    const clusters = new Map();
+    stories.forEach((story, index) => {
+        const root = find(index);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(story);
+    });
+
+    return Array.from(clusters.values()).map(members => {
+        const representative = members.reduce((best, story) => story.body.length > best.body.length ? story : best);
+        const sources = members.map(story => ({ from: story.from, subject: story.subject, link: story.link }));
+        return {
+            id: representative.id,
+            headline: representative.headline,
+            body: representative.body,
+            markdown: representative.markdown || representative.body,
+            link: representative.link || (members.find(story => story.link) || {}).link || null,
+            language: representative.language || null,
+            stories: members,
+            sources,
+            coverage: new Set(members.map(story => story.from)).size,
+            // News that one newsletter ran as an ad and another as editorial is still news
+            sponsored: members.every(story => story.sponsored)
+        };
+    });
+}
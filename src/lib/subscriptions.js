@@ -0,0 +1,327 @@
+/**
+ * Subscription tracking and one-click unsubscribe.
+ * Records, per newsletter sender, how many emails arrive each week and how the relevance
+ * filter treated them, and unsubscribes using the sender's List-Unsubscribe header.
+ */
+
+import { sendRawMessage } from './gmail-api.js';
+import { getAccountToken } from './accounts.js';
+
+const SUBSCRIPTIONS_KEY = 'subscriptionStats';
+const MAX_TRACKED_MESSAGES = 200; // Per sender, enough for several months of weekly counts
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Split a From header into a lower-cased address and a display name
+ * @param {string} from From header, e.g. '"Morning Brew" <crew@morningbrew.com>'
+ * @returns {{address: string, name: string}} Sender address and name
+ */
+export function parseSender(from) {
+    const match = /^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/.exec(from || '');
+    if (match) {
+        return { address: match[2].trim().toLowerCase(), name: match[1].trim() || match[2].trim() };
+    }
+    const address = (from || '').trim().toLowerCase();
+    return { address, name: address };
+}
+
+/**
+ * Parse a List-Unsubscribe header into its HTTP and mailto targets
+ * @param {string|null} header Header value, e.g. '<mailto:u@example.com>, <https://example.com/u>'
+ * @returns {{http: Array<string>, mailto: Array<string>}} Unsubscribe targets
+ */
+export function parseListUnsubscribe(header) {
+    const targets = { http: [], mailto: [] };
+    const matches = (header || '').match(/<[^>]+>/g) || [];
+
+    matches.forEach(match => {
+        const url = match.slice(1, -1).trim();
+        if (/^https?:/i.test(url)) {
+            targets.http.push(url);
+        } else if (/^mailto:/i.test(url)) {
+            targets.mailto.push(url);
+        }
+    });
+
+    return targets;
+}
+
+/**
+ * Get the start of the week (Monday, UTC) a date falls in
+ * @param {Date|string|number} date Any date
+ * @returns {number} Week start, in ms since epoch
+ */
+function weekStart(date) {
+    const day = new Date(date);
+    const start = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate());
+    const weekday = (new Date(start).getUTCDay() + 6) % 7;
+    return start - weekday * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Load every tracked subscription
+ * @returns {Promise<Object>} Subscriptions keyed by sender address
+ */
+async function loadSubscriptions() {
+    const { [SUBSCRIPTIONS_KEY]: subscriptions } = await chrome.storage.local.get(SUBSCRIPTIONS_KEY);
+    return subscriptions || {};
+}
+
+/**
+ * Persist the tracked subscriptions
+ * @param {Object} subscriptions Subscriptions keyed by sender address
+ * @returns {Promise<void>}
+ */
+async function saveSubscriptions(subscriptions) {
+    await chrome.storage.local.set({ [SUBSCRIPTIONS_KEY]: subscriptions });
+}
+
+/**
+ * Record how the relevance filter treated each email of a digest run.
+ * A message seen in several runs is counted once; it counts as included if any run included it.
+ * Feed items are skipped, since feeds have no sender to unsubscribe from.
+ * @param {Array<Object>} allEmails Every email considered for the digest
+ * @param {Array<Object>} relevantEmails Emails that made it into the digest
+ * @returns {Promise<void>}
+ */
+export async function recordDigestOutcome(allEmails, relevantEmails) {
+    const subscriptions = await loadSubscriptions();
+    const relevantIds = new Set(relevantEmails.map(email => email.id));
+    const now = Date.now();
+
+    allEmails
+        .filter(email => !email.feedUrl)
+        .forEach(email => {
+            const { address, name } = parseSender(email.from);
+            if (!address) return;
+
+            const subscription = subscriptions[address] || {
+                address,
+                name,
+                messages: {},
+                lastIncludedAt: null,
+                unsubscribe: null
+            };
+
+            const included = relevantIds.has(email.id);
+            const previous = subscription.messages[email.id];
+            subscription.messages[email.id] = {
+                date: new Date(email.date).getTime() || now,
+                included: included || Boolean(previous && previous.included)
+            };
+
+            if (included) {
+                subscription.lastIncludedAt = now;
+            }
+            subscription.name = name;
+            subscription.lastSeenAt = now;
+            // Keep the newest header, older messages may point to retired endpoints
+            if (email.listUnsubscribe) {
+                subscription.listUnsubscribe = email.listUnsubscribe;
+                subscription.listUnsubscribePost = email.listUnsubscribePost || null;
+            }
+            // Mailto unsubscribes are sent from the account that receives the newsletter
+            if (email.accountId) {
+                subscription.accountId = email.accountId;
+            }
+
+            subscriptions[address] = subscription;
+        });
+
+    // Bound storage by keeping only the newest messages per sender
+    Object.values(subscriptions).forEach(subscription => {
+        const ids = Object.keys(subscription.messages);
+        if (ids.length > MAX_TRACKED_MESSAGES) {
+            ids.sort((a, b) => subscription.messages[b].date - subscription.messages[a].date)
+                .slice(MAX_TRACKED_MESSAGES)
+                .forEach(id => delete subscription.messages[id]);
+        }
+    });
+
+    await saveSubscriptions(subscriptions);
+}
+
+/**
+ * Summarize every tracked sender for the dashboard
+ * @param {number} weeks Number of recent weeks to report volume for
+ * @returns {Promise<Array<Object>>} Sender summaries, noisiest first
+ */
+export async function getSubscriptionSummaries(weeks = 8) {
+    const subscriptions = await loadSubscriptions();
+    const currentWeek = weekStart(Date.now());
+
+    return Object.values(subscriptions)
+        .map(subscription => {
+            const messages = Object.values(subscription.messages);
+            const weeklyCounts = Array.from({ length: weeks }, (_, index) => {
+                const start = currentWeek - (weeks - 1 - index) * WEEK_MS;
+                return {
+                    weekStart: start,
+                    count: messages.filter(message => weekStart(message.date) === start).length
+                };
+            });
+            const included = messages.filter(message => message.included).length;
+            const targets = parseListUnsubscribe(subscription.listUnsubscribe);
+
+            return {
+                address: subscription.address,
+                name: subscription.name,
+                weeklyCounts,
+                total: messages.length,
+                included,
+                filtered: messages.length - included,
+                lastIncludedAt: subscription.lastIncludedAt,
+                canUnsubscribe: targets.http.length > 0 || targets.mailto.length > 0,
+                unsubscribe: subscription.unsubscribe,
+                fetchWebVersion: Boolean(subscription.fetchWebVersion)
+            };
+        })
+        .sort((a, b) => b.filtered - a.filtered || b.total - a.total);
+}
+
+/**
+ * Turn the web-version fallback on or off for a sender. When on, clipped or teaser emails
+ * from the sender are replaced by the page behind their "View in browser" link.
+ * @param {string} address Sender address, as returned by `getSubscriptionSummaries`
+ * @param {boolean} enabled Whether to fetch the web version
+ * @returns {Promise<void>}
+ */
+export async function setWebVersionFallback(address, enabled) {
+    const subscriptions = await loadSubscriptions();
+    const subscription = subscriptions[address];
+    if (!subscription) {
+        throw new Error(`Unknown sender: ${address}`);
+    }
+
+    subscription.fetchWebVersion = enabled;
+    await saveSubscriptions({ ...subscriptions, [address]: subscription });
+}
+
+/**
+ * Get the senders that opted in to the web-version fallback
+ * @returns {Promise<Set<string>>} Lower-cased sender addresses
+ */
+export async function getWebVersionSenders() {
+    const subscriptions = await loadSubscriptions();
+    return new Set(Object.values(subscriptions)
+        .filter(subscription => subscription.fetchWebVersion)
+        .map(subscription => subscription.address));
+}
+
+/**
+ * Encode a header value as RFC 2047 encoded words if it isn't plain ASCII
+ * @param {string} value Header value
+ * @returns {string} Value safe to put in a header
+ */
+function encodeHeaderValue(value) {
+    if (/^[\x20-\x7e]*$/.test(value)) return value;
+
+    // Encoded words may be at most 75 characters, which leaves room for 45 bytes of text each
+    const encoder = new TextEncoder();
+    const words = [];
+    let word = '';
+    for (const char of value) {
+        if (word && encoder.encode(word + char).length > 45) {
+            words.push(word);
+            word = '';
+        }
+        word += char;
+    }
+    words.push(word);
+
+    return words
+        .map(text => `=?UTF-8?B?${btoa(String.fromCharCode(...encoder.encode(text)))}?=`)
+        .join('\r\n ');
+}
+
+/**
+ * Build the unsubscribe email for a mailto: target
+ * @param {string} mailtoUrl mailto: URL from List-Unsubscribe
+ * @returns {string} RFC 822 message
+ */
+export function buildUnsubscribeMessage(mailtoUrl) {
+    const url = new URL(mailtoUrl);
+    // Header values come from the sender; line breaks in them would add headers such as Bcc
+    const toHeaderValue = value => value.replace(/[\r\n]+/g, ' ').trim();
+    const to = toHeaderValue(decodeURIComponent(url.pathname));
+    const subject = toHeaderValue(url.searchParams.get('subject') || '') || 'unsubscribe';
+    const body = url.searchParams.get('body') || 'unsubscribe';
+
+    return [
+        `To: ${to}`,
+        `Subject: ${encodeHeaderValue(subject)}`,
+        'Content-Type: text/plain; charset="UTF-8"',
+        '',
+        body
+    ].join('\r\n');
+}
+
+/**
+ * Send an unsubscribe email for a mailto: target
+ * @param {string} mailtoUrl mailto: URL from List-Unsubscribe
+ * @param {string} [accountId] Gmail account to send from, defaults to the Chrome profile account
+ * @returns {Promise<void>}
+ */
+async function sendUnsubscribeEmail(mailtoUrl, accountId) {
+    const rawMessage = buildUnsubscribeMessage(mailtoUrl);
+    const token = await getAccountToken(accountId, { interactive: true });
+    await sendRawMessage(rawMessage, token);
+}
+
+/**
+ * Unsubscribe from a sender. Tries, in order: an RFC 8058 one-click POST, a mailto
+ * unsubscribe sent from the user's Gmail account, and finally opening the HTTP link in a tab.
+ * @param {string} address Sender address, as returned by `getSubscriptionSummaries`
+ * @returns {Promise<{method: string}>} The method that was used: 'one-click', 'mailto' or 'link'
+ */
+export async function unsubscribe(address) {
+    const subscriptions = await loadSubscriptions();
+    const subscription = subscriptions[address];
+    if (!subscription) {
+        throw new Error(`Unknown sender: ${address}`);
+    }
+
+    const targets = parseListUnsubscribe(subscription.listUnsubscribe);
+    const supportsOneClick = /List-Unsubscribe=One-Click/i.test(subscription.listUnsubscribePost || '');
+    let method = null;
+
+    if (supportsOneClick && targets.http.length > 0) {
+        try {
+            const response = await fetch(targets.http[0], {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: 'List-Unsubscribe=One-Click',
+                credentials: 'omit',
+                redirect: 'follow'
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            method = 'one-click';
+        } catch (error) {
+            console.warn(`[Subscriptions] One-click unsubscribe failed for ${address}:`, error);
+        }
+    }
+
+    if (!method && targets.mailto.length > 0) {
+        try {
+            await sendUnsubscribeEmail(targets.mailto[0], subscription.accountId);
+            method = 'mailto';
+        } catch (error) {
+            console.warn(`[Subscriptions] Mailto unsubscribe failed for ${address}:`, error);
+        }
+    }
+
+    if (!method && targets.http.length > 0) {
+        await chrome.tabs.create({ url: targets.http[0] });
+        method = 'link';
+    }
+
+    if (!method) {
+        throw new Error('This sender does not offer a way to unsubscribe');
+    }
+
+    subscription.unsubscribe = { method, at: Date.now() };
+    await saveSubscriptions({ ...subscriptions, [address]: subscription });
+    return { method };
+}
@@ -0,0 +1,77 @@
+/**
+ * Local token counting.
+ * Approximates the byte-pair encodings of current OpenAI and Anthropic models without shipping
+ * their vocabularies: text is split the way those tokenizers pre-split it, and each piece is
+ * counted by how such vocabularies typically cover it. Close enough for budgets and chunk sizes,
+ * not for exact billing.
+ */
+
+// Pre-tokenization in the style of the GPT-4 tokenizer: contractions, words with their leading
+// space, numbers in groups of up to three digits, punctuation runs and whitespace
+const PIECE_PATTERN = /'(?:[sdmt]|ll|ve|re)| ?\p{L}+| ?\p{N}{1,3}| ?[^\s\p{L}\p{N}]+|\s+/gu;
+// Scripts written without spaces, where every character is about one token
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const LATIN_PATTERN = /^ ?[\p{Script=Latin}]+$/u;
+const COMMON_WORD_CHARS = 7; // Latin words up to this length are usually a single token
+const LATIN_CHARS_PER_TOKEN = 5; // For longer and rarer words
+const OTHER_CHARS_PER_TOKEN = 3; // Cyrillic, Greek, Arabic and other scripts split into more pieces
+const PUNCTUATION_CHARS_PER_TOKEN = 2;
+
+/**
+ * Count the tokens of one pre-tokenized piece
+ * @param {string} piece Word, number, punctuation run or whitespace
+ * @returns {number} Estimated tokens
+ */
+function countPieceTokens(piece) {
+    if (/^\s+$/.test(piece)) return 1;
+    if (/\p{N}/u.test(piece)) return 1;
+
+    const letters = piece.trim();
+    if (!/\p{L}/u.test(letters)) {
+        return Math.ceil(letters.length / PUNCTUATION_CHARS_PER_TOKEN);
+    }
+    if (CJK_PATTERN.test(letters)) {
+        return letters.length;
+    }
+    if (LATIN_PATTERN.test(piece)) {
+        return letters.length <= COMMON_WORD_CHARS ? 1 : Math.ceil(letters.length / LATIN_CHARS_PER_TOKEN);
+    }
+    return Math.ceil(letters.length / OTHER_CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate how many tokens a text takes up for the model
+ * @param {string} text Prompt or content text
+ * @returns {number} Estimated token count
+ */
+export function countTokens(text) {
+    if (!text) return 0;
+    let tokens = 0;
+    for (const [piece] of text.matchAll(PIECE_PATTERN)) {
+        tokens += countPieceTokens(piece);
+    }
+    return tokens;
+}
+
+/**
+ * Cut text down to a token budget, marking the cut with an ellipsis
+ * @param {string} text Text to cut
+ * @param {number} maxTokens Most tokens the result may take up, ellipsis included
+ * @returns {string} The text itself if it fits, otherwise its longest prefix that does
+ */
+export function truncateToTokens(text, maxTokens) {
+    if (countTokens(text) <= maxTokens) return text;
+
+    // Binary search on the cut index; tokens grow with the prefix, whatever the script
+    let low = 0;
+    let high = text.length;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (countTokens(`${text.slice(0, middle)}…`) <= maxTokens) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return `${text.slice(0, low)}…`;
+}
@@ -0,0 +1,306 @@
+/**
+ * Link canonicalization.
+ * Newsletter links are mostly click-tracking redirects, so the same article shows up under
+ * a different URL in every email. This module decodes redirect wrappers that carry their
+ * target in the link itself, strips known tracking parameters, and (when the user allows
+ * it) follows the remaining opaque redirects with HEAD requests, caching the results.
+ */
+
+import { getStoredPreferences } from './personalization.js';
+import { mapWithConcurrency } from './utils.js';
+
+const RESOLVED_LINKS_KEY = 'resolvedTrackingLinks';
+const RESOLVED_LINK_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_RESOLVED_LINKS = 2000;
+const RESOLVE_CONCURRENCY = 4;
+const RESOLVE_TIMEOUT_MS = 5000;
+const MAX_UNWRAP_DEPTH = 3; // Wrappers are sometimes nested, e.g. a safelink around a Mailchimp link
+
+// Query parameters that only track the click and never change the page
+const TRACKING_PARAM_PATTERN = /^(utm_\w+|mc_cid|mc_eid|fbclid|gclid|dclid|msclkid|igshid|yclid|_hsenc|_hsmi|__hstc|__hssc|__hsfp|mkt_tok|ck_subscriber_id|oly_enc_id|oly_anon_id|vero_id|vero_conv|_bhlid|s_cid|ref_src)$/i;
+
+// Query parameters that hold the target of a generic redirect endpoint
+const REDIRECT_PARAMS = ['url', 'u', 'q', 'target', 'dest', 'destination', 'redirect', 'redirect_url', 'redirect_uri', 'link'];
+const REDIRECT_PATH_PATTERN = /\/(redirect|redir|click|track|out|url|l\.php|link)\b/i;
+
+/**
+ * Redirect wrappers whose target can be read from the link without a request
+ * @type {Array<{hosts: Array<string>, unwrap: function(URL): (string|null)}>}
+ */
+const REDIRECT_WRAPPERS = [
+    {
+        hosts: ['google.com'],
+        unwrap: url => url.pathname === '/url' ? readParam(url, ['q', 'url']) : null
+    },
+    {
+        hosts: ['l.facebook.com', 'lm.facebook.com'],
+        unwrap: url => readParam(url, ['u'])
+    },
+    {
+        hosts: ['linkedin.com'],
+        unwrap: url => url.pathname.startsWith('/redir/') ? readParam(url, ['url']) : null
+    },
+    {
+        hosts: ['safelinks.protection.outlook.com'],
+        unwrap: url => readParam(url, ['url'])
+    },
+    {
+        // Proofpoint URL Defense v3: /v3/__https://example.com/path__;!!token
+        hosts: ['urldefense.com'],
+        unwrap: url => {
+            const match = url.href.match(/\/v3\/__(.+?)__;/);
+            return match ? match[1] : null;
+        }
+    },
+    {
+        // Substack: /redirect/2/<base64url JSON with the target in `e`>.<signature>
+        hosts: ['substack.com'],
+        unwrap: url => {
+            const match = url.pathname.match(/^\/redirect\/2\/([\w-]+)/);
+            if (!match) return null;
+            try {
+                return JSON.parse(decodeBase64Url(match[1])).e || null;
+            } catch (error) {
+                return null;
+            }
+        }
+    },
+    {
+        // ConvertKit: the last path segment is the base64url-encoded target
+        hosts: ['convertkit-mail.com', 'convertkit-mail2.com', 'convertkit-mail3.com', 'convertkit-mail4.com', 'ck.page'],
+        unwrap: url => {
+            const segment = url.pathname.split('/').filter(Boolean).pop() || '';
+            try {
+                const decoded = decodeBase64Url(segment);
+                return /^https?:\/\//i.test(decoded) ? decoded : null;
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+];
+
+// Tracking redirects whose target can only be found by following them. Most of these hosts also
+// serve subscribe, unsubscribe and profile pages, so only their click-tracking paths count.
+const OPAQUE_TRACKERS = [
+    { hosts: ['list-manage.com'], path: /^\/track\/click\b/ },
+    { hosts: ['sendgrid.net'], path: /^\/(ls|wf)\/click\b/ },
+    { hosts: ['hubspotlinks.com'], path: /^\/[A-Z]tc\// },
+    { hosts: ['hubspotemail.net'], path: /^\/e2t\/(c|tc)\// },
+    { hosts: ['createsend1.com', 'cmail19.com', 'cmail20.com'], path: /^\/t\/[a-z]-l-/i },
+    { hosts: ['link.mail.beehiiv.com'], path: /^\/ss\/c\// },
+    { hosts: ['click.convertkit-mail.com', 'click.convertkit-mail2.com', 'bit.ly', 't.co', 'lnkd.in', 'buff.ly', 'ow.ly'] },
+    { hosts: ['mandrillapp.com'], path: /^\/track\/click\b/ },
+    { hosts: ['substack.com'], path: /^\/redirect\// }
+];
+
+// Following one of these would act on the subscription, whatever host it is on
+const SUBSCRIPTION_PATH_PATTERN = /unsub|opt[-_]?out|preferences/i;
+
+let resolvedLinksPromise = null;
+
+/**
+ * Decode a base64url string
+ * @param {string} value Encoded value
+ * @returns {string} Decoded text
+ */
+function decodeBase64Url(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    return atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+}
+
+/**
+ * Read the first query parameter that holds an absolute http(s) URL
+ * @param {URL} url Parsed link
+ * @param {Array<string>} names Parameter names, in order of preference
+ * @returns {string|null} Target URL
+ */
+function readParam(url, names) {
+    for (const name of names) {
+        const value = url.searchParams.get(name);
+        if (value && /^https?:\/\//i.test(value)) return value;
+    }
+    return null;
+}
+
+/**
+ * Check whether a host is one of the given domains or a subdomain of one
+ * @param {string} host Lower-cased host name
+ * @param {Array<string>} domains Domains to test
+ * @returns {boolean} True if the host matches
+ */
+function hostMatches(host, domains) {
+    return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Decode one layer of redirect wrapping
+ * @param {URL} url Parsed link
+ * @returns {string|null} Wrapped target, or null if the link is not a known wrapper
+ */
+function unwrapOnce(url) {
+    const host = url.hostname.toLowerCase();
+    const wrapper = REDIRECT_WRAPPERS.find(candidate => hostMatches(host, candidate.hosts));
+    if (wrapper) {
+        return wrapper.unwrap(url);
+    }
+    // Generic redirect endpoints, e.g. /redirect?url=https://...
+    return REDIRECT_PATH_PATTERN.test(url.pathname) ? readParam(url, REDIRECT_PARAMS) : null;
+}
+
+/**
+ * Canonicalize a link without network access: decode known redirect wrappers, strip
+ * tracking parameters and lower-case the host.
+ * @param {string} url Link as found in the email
+ * @returns {string} Canonical URL, or the input unchanged if it is not an http(s) URL
+ */
+export function canonicalizeUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return url;
+    }
+    if (!/^https?:$/.test(parsed.protocol)) return url;
+
+    for (let depth = 0; depth < MAX_UNWRAP_DEPTH; depth++) {
+        const target = unwrapOnce(parsed);
+        if (!target) break;
+        try {
+            parsed = new URL(target);
+        } catch (error) {
+            break;
+        }
+    }
+
+    Array.from(parsed.searchParams.keys())
+        .filter(key => TRACKING_PARAM_PATTERN.test(key))
+        .forEach(key => parsed.searchParams.delete(key));
+    // `ref` names a branch or tag on some sites; Ghost and beehiiv set it to the sending site's domain
+    if (/\./.test(parsed.searchParams.get('ref') || '')) parsed.searchParams.delete('ref');
+    // Some senders put the tracking parameters in the fragment instead
+    if (/^#?(utm_|_hs|ref=)/i.test(parsed.hash)) parsed.hash = '';
+    parsed.hostname = parsed.hostname.toLowerCase();
+    return parsed.toString();
+}
+
+/**
+ * Get the key under which two links count as the same page
+ * @param {string} url Link as found in the email
+ * @returns {string|null} Comparison key (host without `www.`, path and query), or null if the link cannot be parsed
+ */
+export function urlKey(url) {
+    try {
+        const parsed = new URL(canonicalizeUrl(url));
+        parsed.searchParams.sort();
+        return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Check whether a canonical link still points at a click-tracking redirect. Unsubscribe,
+ * opt-out and preferences links never count, so they are never followed.
+ * @param {string} url Canonical URL
+ * @returns {boolean} True if the link needs to be followed to find its target
+ */
+export function isOpaqueTrackingUrl(url) {
+    try {
+        const parsed = new URL(url);
+        if (SUBSCRIPTION_PATH_PATTERN.test(parsed.pathname)) return false;
+        return OPAQUE_TRACKERS.some(tracker =>
+            hostMatches(parsed.hostname, tracker.hosts) && (!tracker.path || tracker.path.test(parsed.pathname))
+        );
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Load the cache of followed redirects, once per service worker lifetime
+ * @returns {Promise<Object>} Map of tracking URL to `{target, resolvedAt}`
+ */
+function loadResolvedLinks() {
+    if (!resolvedLinksPromise) {
+        resolvedLinksPromise = chrome.storage.local.get(RESOLVED_LINKS_KEY)
+            .then(({ [RESOLVED_LINKS_KEY]: cache }) => {
+                const cutoff = Date.now() - RESOLVED_LINK_TTL_MS;
+                return Object.fromEntries(Object.entries(cache || {}).filter(([, entry]) => entry.resolvedAt >= cutoff));
+            })
+            .catch(error => {
+                console.error('[URL Canonicalizer] Failed to load resolved links:', error);
+                return {};
+            });
+    }
+    return resolvedLinksPromise;
+}
+
+/**
+ * Persist the cache of followed redirects, keeping the most recent entries
+ * @param {Object} cache Map of tracking URL to `{target, resolvedAt}`
+ * @returns {Promise<void>}
+ */
+async function saveResolvedLinks(cache) {
+    const entries = Object.entries(cache)
+        .sort(([, a], [, b]) => b.resolvedAt - a.resolvedAt)
+        .slice(0, MAX_RESOLVED_LINKS);
+    await chrome.storage.local.set({ [RESOLVED_LINKS_KEY]: Object.fromEntries(entries) });
+}
+
+/**
+ * Follow a tracking redirect with a HEAD request
+ * @param {string} url Tracking URL
+ * @returns {Promise<string|null>} Final URL, or null if the request failed
+ */
+async function followRedirect(url) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), RESOLVE_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(url, { method: 'HEAD', redirect: 'follow', credentials: 'omit', signal: controller.signal });
+        return response.redirected ? response.url : null;
+    } catch (error) {
+        console.warn(`[URL Canonicalizer] Could not follow ${url}: ${error.message}`);
+        return null;
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * Canonicalize a set of links. Opaque tracking redirects are followed with HEAD requests
+ * when the user has turned on `followTrackingRedirects`; everything else is resolved offline.
+ * @param {Array<string>} urls Links as found in the emails
+ * @returns {Promise<Map<string, string>>} Canonical URL for every input link
+ */
+export async function resolveLinks(urls) {
+    const unique = [...new Set(urls.filter(Boolean))];
+    const resolved = new Map(unique.map(url => [url, canonicalizeUrl(url)]));
+
+    const opaque = unique.filter(url => isOpaqueTrackingUrl(resolved.get(url)));
+    if (opaque.length === 0) return resolved;
+
+    const { followTrackingRedirects } = await getStoredPreferences();
+    if (!followTrackingRedirects) return resolved;
+
+    const cache = await loadResolvedLinks();
+    const uncached = opaque.filter(url => !cache[resolved.get(url)]);
+
+    const targets = await mapWithConcurrency(uncached, RESOLVE_CONCURRENCY, url => followRedirect(resolved.get(url)));
+    uncached.forEach((url, index) => {
+        if (targets[index]) {
+            cache[resolved.get(url)] = { target: canonicalizeUrl(targets[index]), resolvedAt: Date.now() };
+        }
+    });
+    if (targets.some(Boolean)) {
+        await saveResolvedLinks(cache);
+    }
+
+    opaque.forEach(url => {
+        const entry = cache[resolved.get(url)];
+        if (entry) resolved.set(url, entry.target);
+    });
+    console.log(`[URL Canonicalizer] Followed ${uncached.length} tracking links, ${opaque.length - uncached.length} from cache.`);
+    return resolved;
+}
@@ -0,0 +1,184 @@
+/**
+ * LLM usage ledger.
+ * Every model call is recorded with the tokens the provider billed, the model, the pipeline
+ * stage and the digest it ran for, priced from a per-model table. The usage page reads the
+ * ledger back grouped by day, digest and stage.
+ */
+
+import { idbGetAll, idbPutMany } from './idb-store.js';
+
+const STORE_NAME = 'usage';
+
+/**
+ * Display names of the stages usage is recorded for
+ * @type {Object<string, string>}
+ */
+export const USAGE_STAGES = {
+    filter: 'Filtering',
+    summary: 'Summary',
+    'knowledge-web': 'Knowledge web'
+};
+
+// USD per million input and output tokens, matched against the model name; the first match wins
+const MODEL_PRICES = [
+    { pattern: /^gpt-5-nano/, input: 0.05, output: 0.4 },
+    { pattern: /^gpt-5-mini/, input: 0.25, output: 2 },
+    { pattern: /^gpt-5/, input: 1.25, output: 10 },
+    { pattern: /^gpt-4\.1-nano/, input: 0.1, output: 0.4 },
+    { pattern: /^gpt-4\.1-mini/, input: 0.4, output: 1.6 },
+    { pattern: /^gpt-4\.1/, input: 2, output: 8 },
+    { pattern: /^gpt-4o-mini/, input: 0.15, output: 0.6 },
+    { pattern: /^gpt-4o/, input: 2.5, output: 10 },
+    { pattern: /^gpt-4-turbo/, input: 10, output: 30 },
+    { pattern: /^gpt-4/, input: 30, output: 60 },
+    { pattern: /^gpt-3\.5-turbo/, input: 0.5, output: 1.5 },
+    { pattern: /^o1-mini/, input: 1.1, output: 4.4 },
+    { pattern: /^o1/, input: 15, output: 60 },
+    { pattern: /^o3-mini/, input: 1.1, output: 4.4 },
+    { pattern: /^o3/, input: 2, output: 8 },
+    { pattern: /^o4-mini/, input: 1.1, output: 4.4 },
+    { pattern: /^claude-opus-4-[5-9]/, input: 5, output: 25 },
+    { pattern: /^claude-(.*-)?opus/, input: 15, output: 75 },
+    { pattern: /^claude-(.*-)?sonnet/, input: 3, output: 15 },
+    { pattern: /^claude-haiku-4/, input: 1, output: 5 },
+    { pattern: /^claude-3-5-haiku/, input: 0.8, output: 4 },
+    { pattern: /^claude-(.*-)?haiku/, input: 0.25, output: 1.25 }
+];
+
+/**
+ * @typedef {Object} UsageEntry
+ * @property {string} id Entry ID
+ * @property {number} timestamp When the call finished
+ * @property {string} stage Key of `USAGE_STAGES`
+ * @property {string|null} digestId Digest the call ran for, null outside a digest run
+ * @property {string} provider Provider ID
+ * @property {string} model Model that answered
+ * @property {number} inputTokens Billed input tokens
+ * @property {number} outputTokens Billed output tokens
+ * @property {number|null} cost Cost in USD, null if the model's price is unknown
+ */
+
+/**
+ * Price a call from its token usage
+ * @param {string} provider Provider ID
+ * @param {string} model Model that answered
+ * @param {{inputTokens: number, outputTokens: number}} usage Billed tokens
+ * @returns {number|null} Cost in USD, null if the model's price is unknown
+ */
+export function computeCost(provider, model, usage) {
+    // Local models cost nothing per token
+    if (provider === 'openai-compatible') return 0;
+
+    const price = MODEL_PRICES.find(entry => entry.pattern.test(model.toLowerCase()));
+    if (!price) return null;
+    return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1000000;
+}
+
+/**
+ * Format an amount in USD, with enough precision for single calls
+ * @param {number} amount Amount in USD
+ * @returns {string} Formatted amount
+ */
+export function formatUsd(amount) {
+    return `$${amount.toFixed(amount < 1 ? 4 : 2)}`;
+}
+
+/**
+ * Record the usage of one model call
+ * @param {Object} call Call details
+ * @param {string} call.stage Key of `USAGE_STAGES`
+ * @param {string|null} call.digestId Digest the call ran for
+ * @param {string} call.provider Provider ID
+ * @param {string} call.model Model that answered
+ * @param {{inputTokens: number, outputTokens: number}} call.usage Billed tokens
+ * @returns {Promise<UsageEntry>} The recorded entry
+ */
+export async function recordUsage({ stage, digestId, provider, model, usage }) {
+    const timestamp = Date.now();
+    const entry = {
+        id: `${timestamp}_${Math.random().toString(36).substr(2, 9)}`,
+        timestamp,
+        stage,
+        digestId: digestId || null,
+        provider,
+        model,
+        inputTokens: usage.inputTokens,
+        outputTokens: usage.outputTokens,
+        cost: computeCost(provider, model, usage)
+    };
+    await idbPutMany(STORE_NAME, [entry]);
+    return entry;
+}
+
+/**
+ * Total the spend recorded since a point in time
+ * @param {number} since Start time in milliseconds
+ * @returns {Promise<number>} Cost in USD; calls without a known price count as free
+ */
+export async function getSpendSince(since) {
+    const entries = await idbGetAll(STORE_NAME);
+    return entries
+        .filter(entry => entry.timestamp >= since)
+        .reduce((sum, entry) => sum + (entry.cost || 0), 0);
+}
+
+/**
+ * Get the local calendar day of a timestamp
+ * @param {number} timestamp Time in milliseconds
+ * @returns {string} Day as YYYY-MM-DD
+ */
+function toDayKey(timestamp) {
+    const date = new Date(timestamp);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Add a ledger entry to a running total
+ * @param {Map<string, Object>} totals Totals by key
+ * @param {string} key Group key
+ * @param {UsageEntry} entry Ledger entry
+ */
+function addToTotal(totals, key, entry) {
+    if (!totals.has(key)) {
+        totals.set(key, { key, calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpricedCalls: 0, firstAt: entry.timestamp });
+    }
+    const total = totals.get(key);
+    total.calls++;
+    total.inputTokens += entry.inputTokens;
+    total.outputTokens += entry.outputTokens;
+    total.cost += entry.cost || 0;
+    if (entry.cost === null) total.unpricedCalls++;
+    total.firstAt = Math.min(total.firstAt, entry.timestamp);
+}
+
+/**
+ * Total the ledger overall and by day, digest, stage and model
+ * @returns {Promise<Object>} `{total, byDay, byDigest, byStage, byModel}`; the groups are arrays
+ *   of `{key, calls, inputTokens, outputTokens, cost, unpricedCalls, firstAt}`, newest or costliest first
+ */
+export async function getUsageSummary() {
+    const entries = await idbGetAll(STORE_NAME);
+    const total = new Map();
+    const byDay = new Map();
+    const byDigest = new Map();
+    const byStage = new Map();
+    const byModel = new Map();
+
+    entries.forEach(entry => {
+        addToTotal(total, 'total', entry);
+        addToTotal(byDay, toDayKey(entry.timestamp), entry);
+        if (entry.digestId) addToTotal(byDigest, entry.digestId, entry);
+        addToTotal(byStage, entry.stage, entry);
+        addToTotal(byModel, `${entry.provider}/${entry.model}`, entry);
+    });
+
+    const emptyTotal = { key: 'total', calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpricedCalls: 0, firstAt: null };
+    return {
+        total: total.get('total') || emptyTotal,
+        byDay: Array.from(byDay.values()).sort((a, b) => b.key.localeCompare(a.key)),
+        byDigest: Array.from(byDigest.values()).sort((a, b) => b.firstAt - a.firstAt),
+        byStage: Array.from(byStage.values()).sort((a, b) => b.cost - a.cost),
+        byModel: Array.from(byModel.values()).sort((a, b) => b.cost - a.cost)
+    };
+}
@@ -25,6 +25,20 @@ export function formatDate(date, format = 'medium') {
   return new Intl.DateTimeFormat('en-US', options[format]).format(date);
 }
 
+/**
+ * Convert a Gmail-style `newer_than` period into milliseconds
+ * @param {string} period - Period such as '1d', '7d', '2m' or '1y'
+ * @returns {number} Period length in milliseconds
+ */
+export function periodToMs(period) {
+  const match = /^(\d+)([dmy])$/.exec(period);
+  if (!match) {
+    throw new Error(`Unsupported period: ${period}`);
+  }
+  const days = { d: 1, m: 30, y: 365 }[match[2]];
+  return parseInt(match[1], 10) * days * 24 * 60 * 60 * 1000;
+}
+
 /**
  * Format a time duration in a user-friendly way
  * @param {number} minutes - Duration in minutes
@@ -269,4 +283,55 @@ export function deepMerge(target, source) {
  */
 function isObject(value) {
   return value !== null && typeof value === 'object' && !Array.isArray(value);
-} 
\ No newline at end of file
+}
+
+/**
+ * Map over items with a bounded number of concurrent async workers
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of workers running at once
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Compute a short, stable FNV-1a hash of a string
+ * @param {string} value - Input text
+ * @returns {string} 8-character hex hash
+ */
+export function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Build a short plain-text snippet from a text or HTML body, similar to Gmail's
+ * @param {string} text - Plain text or HTML
+ * @param {number} maxLength - Maximum snippet length
+ * @returns {string} Snippet
+ */
+export function buildSnippet(text, maxLength = 200) {
+  return (text || '')
+    .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, maxLength);
+}
@@ -0,0 +1,109 @@
+/**
+ * Web-version fallback for clipped and teaser newsletters.
+ * Gmail clips long emails and some senders only mail a teaser, so for senders that opted in,
+ * emails that look cut off are replaced by the page behind their "View in browser" link.
+ * Pages are parsed with Readability and cached in IndexedDB.
+ */
+
+import { idbDeleteMany, idbGetAll, idbPutMany } from './idb-store.js';
+import { fetchAndParseArticle } from './knowledge-web.js';
+import { mapWithConcurrency } from './utils.js';
+
+const STORE_NAME = 'webVersions';
+const WEB_VERSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Issues don't change after they are sent
+const FAILED_FETCH_TTL_MS = 6 * 60 * 60 * 1000; // Retry failed pages on a later run, not every run
+const FETCH_CONCURRENCY = 3;
+const FETCH_TIMEOUT_MS = 10000; // A page that hangs would otherwise stall the whole digest
+const MIN_COMPLETE_WORDS = 150; // Shorter cleaned text is treated as a teaser
+const TAIL_CHARS = 400;
+
+// Markers Gmail and senders put where an email was cut off
+const CLIPPED_PATTERN = /\[message clipped\]|view entire message|this (email|message) (was|has been|is) (clipped|truncated)/i;
+// Invitations to continue elsewhere, only meaningful at the end of the email
+const CONTINUE_PATTERN = /(continue|keep) reading|read the (full|rest|whole|complete)|read more online|full (story|issue|post|newsletter) (online|on the web|here)|…\s*$/i;
+
+// Anchor text of "View in browser" links, in the languages language detection knows
+const WEB_VERSION_TEXT_PATTERN = /\b(view|read|open|see)\b.{0,20}\b(in (your |a |the )?(web )?browser|online|on the web|on our (web)?site)\b|\bweb version\b|\bonline version\b|having trouble (viewing|reading)|im browser (ansehen|anzeigen|öffnen)|online (ansehen|lesen)|version (en ligne|web)|voir (la version )?en ligne|ver en (el |tu )?navegador|versión (web|en línea)|versione (web|online)|visualizza nel browser|ver no navegador|bekijk (in je|in de|online)|webversie/i;
+// Hosts that only serve web versions of campaigns
+const WEB_VERSION_HOST_PATTERN = /(^|\.)campaign-archive\d*\.com$/i;
+
+/**
+ * Check whether cleaned email text looks clipped or like a teaser for a web version
+ * @param {string} text Cleaned plain text of the email
+ * @returns {boolean} True if the email should be replaced by its web version
+ */
+export function looksTruncated(text) {
+    const trimmed = (text || '').trim();
+    const words = trimmed.split(/\s+/).filter(Boolean).length;
+    return words < MIN_COMPLETE_WORDS ||
+        CLIPPED_PATTERN.test(trimmed) ||
+        CONTINUE_PATTERN.test(trimmed.slice(-TAIL_CHARS));
+}
+
+/**
+ * Find the sender's web-version link among an email's links
+ * @param {Array<{text: string, url: string, sponsored: boolean}>} links Links from `extractLinks`
+ * @returns {string|null} Web-version URL
+ */
+export function findWebVersionLink(links) {
+    const candidates = (links || []).filter(link => !link.sponsored && /^https?:\/\//i.test(link.url));
+    const byText = candidates.find(link => WEB_VERSION_TEXT_PATTERN.test(link.text));
+    if (byText) return byText.url;
+
+    const byHost = candidates.find(link => {
+        try {
+            return WEB_VERSION_HOST_PATTERN.test(new URL(link.url).hostname);
+        } catch (error) {
+            return false;
+        }
+    });
+    return byHost ? byHost.url : null;
+}
+
+/**
+ * Load cached web versions, dropping expired entries
+ * @returns {Promise<Map<string, Object>>} Cache entries keyed by URL
+ */
+async function loadCache() {
+    const now = Date.now();
+    const entries = await idbGetAll(STORE_NAME);
+    const expired = entries.filter(entry => now - entry.fetchedAt > (entry.html ? WEB_VERSION_TTL_MS : FAILED_FETCH_TTL_MS));
+    if (expired.length > 0) {
+        await idbDeleteMany(STORE_NAME, expired.map(entry => entry.url));
+    }
+    const expiredUrls = new Set(expired.map(entry => entry.url));
+    return new Map(entries.filter(entry => !expiredUrls.has(entry.url)).map(entry => [entry.url, entry]));
+}
+
+/**
+ * Get the article HTML of several web versions, from the cache or by fetching them.
+ * Needs the offscreen document, where the pages are parsed.
+ * @param {Array<string|null>} urls Web-version URLs; null entries are skipped
+ * @returns {Promise<Array<string|null>>} Article HTML per URL, null where none could be read
+ */
+export async function getWebVersions(urls) {
+    let cache;
+    try {
+        cache = await loadCache();
+    } catch (error) {
+        console.error('[Web Version] Failed to load cache:', error);
+        cache = new Map();
+    }
+
+    const missing = [...new Set(urls.filter(url => url && !cache.has(url)))];
+    const fetched = await mapWithConcurrency(missing, FETCH_CONCURRENCY, async url => {
+        const article = await fetchAndParseArticle(url, { timeoutMs: FETCH_TIMEOUT_MS });
+        return { url, html: article.success ? article.html : null, fetchedAt: Date.now() };
+    });
+    fetched.forEach(entry => cache.set(entry.url, entry));
+
+    try {
+        await idbPutMany(STORE_NAME, fetched);
+    } catch (error) {
+        console.error('[Web Version] Failed to save cache:', error);
+    }
+
+    const requested = new Set(urls.filter(Boolean)).size;
+    console.log(`[Web Version] Fetched ${fetched.length} web versions, ${requested - fetched.length} from cache.`);
+    return urls.map(url => (url && cache.has(url) && cache.get(url).html) || null);
+}
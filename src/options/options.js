@@ -1,15 +1,72 @@
 import { getStoredPreferences, updatePreferences, DEFAULT_PREFERENCES } from '../lib/personalization.js';
 import { updateSchedule, cancelScheduledDigest } from '../lib/scheduler.js';
+import { MAIL_SOURCES } from '../lib/mail-sources.js';
+import { buildNewsletterQuery, estimateMatchingMessages, GMAIL_CATEGORIES } from '../lib/gmail-api.js';
+import {
+    connectAccount,
+    DEFAULT_ACCOUNT_ID,
+    disconnectAccount,
+    getAccountToken,
+    getConnectedAccounts,
+    updateAccount
+} from '../lib/accounts.js';
+import { clearImportedEmails, getImportedEmailCount, importMailFiles } from '../lib/local-mail-source.js';
+import {
+    BUILT_IN_RULES,
+    deleteUserExtractionRule,
+    getUserExtractionRules,
+    resolveExtractionRule,
+    saveUserExtractionRule
+} from '../lib/extraction-rules.js';
+import { cleanEmailContent, offscreenManager } from '../lib/openai-handler.js';
+import { clearContentCache } from '../lib/content-cache.js';
 
 // DOM Elements
 const form = document.getElementById('preferencesForm');
 const resetBtn = document.getElementById('resetBtn');
+const mailSourceList = document.getElementById('mailSourceList');
+const mailFilesInput = document.getElementById('mailFiles');
+const importStatus = document.getElementById('importStatus');
+const clearImportsBtn = document.getElementById('clearImportsBtn');
+const clearCacheBtn = document.getElementById('clearCacheBtn');
+const gmailCategoryList = document.getElementById('gmailCategoryList');
+const previewQueryBtn = document.getElementById('previewQueryBtn');
+const queryPreview = document.getElementById('queryPreview');
+const accountList = document.getElementById('accountList');
+const connectAccountBtn = document.getElementById('connectAccountBtn');
+const querySettingsTarget = document.getElementById('querySettingsTarget');
+const builtInRules = document.getElementById('builtInRules');
+const extractionRuleList = document.getElementById('extractionRuleList');
+const saveRuleBtn = document.getElementById('saveRuleBtn');
+const cancelRuleEditBtn = document.getElementById('cancelRuleEditBtn');
+const testRuleBtn = document.getElementById('testRuleBtn');
+const ruleTestResult = document.getElementById('ruleTestResult');
+
+// Rule editor fields and the rule properties they hold, one entry per line
+const RULE_LIST_FIELDS = {
+    ruleSenders: 'senders',
+    ruleMainSelectors: 'mainSelectors',
+    ruleStripSelectors: 'stripSelectors',
+    ruleBoilerplate: 'boilerplatePhrases',
+    ruleSponsorMarkers: 'sponsorMarkers'
+};
+
+// Gmail search settings being edited, per account; saved together with the form
+const querySettingsByAccount = {};
+let currentQueryAccount = DEFAULT_ACCOUNT_ID;
+let connectedAccounts = [];
+let editingRuleId = null;
 
 // Initialize form with stored preferences
 document.addEventListener('DOMContentLoaded', async () => {
     try {
+        renderMailSources();
+        renderGmailCategories();
         const preferences = await getStoredPreferences();
         populateForm(preferences);
+        await loadAccounts();
+        await loadExtractionRules();
+        await refreshImportStatus();
     } catch (error) {
         console.error('Error loading preferences:', error);
         // TODO: Implement a user-facing error message
@@ -23,6 +80,8 @@ form.addEventListener('submit', async (e) => {
     try {
         const formData = new FormData(form);
         const topics = formData.get('topics').split(',').map(t => t.trim()).filter(Boolean);
+        const feedUrls = formData.get('feedUrls').split('\n').map(u => u.trim()).filter(Boolean);
+        querySettingsByAccount[currentQueryAccount] = readQuerySettings(formData);
         
         const preferences = {
             occupation: formData.get('occupation'),
@@ -30,9 +89,48 @@ form.addEventListener('submit', async (e) => {
             topics: topics,
             frequency: formData.get('frequency'),
             digestDetailedness: formData.get('digestDetailedness'),
+            digestLanguage: formData.get('digestLanguage'),
+            maxEmails: parseInt(formData.get('maxEmails'), 10) || DEFAULT_PREFERENCES.maxEmails,
+            mailSources: formData.getAll('mailSources'),
+            feedUrls: feedUrls,
+            followTrackingRedirects: formData.get('followTrackingRedirects') === 'on',
+            sponsoredContent: formData.get('sponsoredContent'),
+            accountDigestMode: formData.get('accountDigestMode'),
+            gmailQuery: querySettingsByAccount[DEFAULT_ACCOUNT_ID],
+            mailboxActions: readMailboxActions(formData),
+            llmStages: {
+                filter: readStageModel(formData, 'filter'),
+                synthesis: readStageModel(formData, 'synthesis'),
+            },
+            localModelUrl: formData.get('localModelUrl').trim() || DEFAULT_PREFERENCES.localModelUrl,
+            localModelContextWindow: parseInt(formData.get('localModelContextWindow'), 10) || DEFAULT_PREFERENCES.localModelContextWindow,
+            budget: {
+                monthlyLimit: Math.max(0, parseFloat(formData.get('monthlyBudget')) || 0),
+                perDigestLimit: Math.max(0, parseFloat(formData.get('perDigestBudget')) || 0),
+            },
+            bypassCache: formData.get('bypassCache') === 'on',
+            articleEnrichment: {
+                enabled: formData.get('articleEnrichmentEnabled') === 'on',
+                maxArticles: parseInt(formData.get('articleEnrichmentMaxArticles'), 10) || DEFAULT_PREFERENCES.articleEnrichment.maxArticles,
+                tokenBudget: parseInt(formData.get('articleEnrichmentTokenBudget'), 10) || DEFAULT_PREFERENCES.articleEnrichment.tokenBudget,
+            },
         };
+
+        const invalidFeed = feedUrls.find(url => !/^https?:\/\//i.test(url));
+        if (invalidFeed) {
+            showError(`Not a valid feed URL: ${invalidFeed}`);
+            return;
+        }
+
+        if (preferences.mailSources.length === 0) {
+            showError('Select at least one mail source.');
+            return;
+        }
         
         await updatePreferences(preferences);
+        for (const account of connectedAccounts) {
+            await updateAccount(account.id, { querySettings: querySettingsByAccount[account.id] });
+        }
 
         if (preferences.frequency === 'disabled') {
             await cancelScheduledDigest();
@@ -63,13 +161,452 @@ resetBtn.addEventListener('click', async () => {
     }
 });
 
+// Handle .eml / mbox import
+mailFilesInput.addEventListener('change', async () => {
+    if (mailFilesInput.files.length === 0) return;
+
+    importStatus.textContent = 'Importing...';
+    try {
+        const { imported, failed } = await importMailFiles(mailFilesInput.files);
+        showSuccess(`Imported ${imported} emails${failed ? ` (${failed} could not be read)` : ''}.`);
+    } catch (error) {
+        console.error('Error importing mail files:', error);
+        showError('Failed to import mail files.');
+    } finally {
+        mailFilesInput.value = '';
+        await refreshImportStatus();
+    }
+});
+
+clearImportsBtn.addEventListener('click', async () => {
+    if (confirm('Remove all imported emails from this browser?')) {
+        try {
+            await clearImportedEmails();
+            await refreshImportStatus();
+        } catch (error) {
+            console.error('Error clearing imported emails:', error);
+            showError('Failed to remove imported emails.');
+        }
+    }
+});
+
+clearCacheBtn.addEventListener('click', async () => {
+    try {
+        await clearContentCache();
+        showSuccess('Cache cleared.');
+    } catch (error) {
+        console.error('Error clearing cache:', error);
+        showError('Failed to clear the cache.');
+    }
+});
+
+// Handle query preview
+previewQueryBtn.addEventListener('click', async () => {
+    const query = buildNewsletterQuery(readQuerySettings(new FormData(form)), '7d');
+    queryPreview.textContent = `Checking: ${query}`;
+    previewQueryBtn.disabled = true;
+
+    try {
+        const token = await getAccountToken(currentQueryAccount, { interactive: true });
+        const estimate = await estimateMatchingMessages(query, token);
+        queryPreview.textContent = `About ${estimate} emails from the last 7 days match: ${query}`;
+    } catch (error) {
+        console.error('Error previewing query:', error);
+        queryPreview.textContent = `Could not check the query: ${error.message}`;
+    } finally {
+        previewQueryBtn.disabled = false;
+    }
+});
+
+// Switch which account's search settings are being edited
+querySettingsTarget.addEventListener('change', () => {
+    querySettingsByAccount[currentQueryAccount] = readQuerySettings(new FormData(form));
+    currentQueryAccount = querySettingsTarget.value;
+    fillQuerySettings(querySettingsByAccount[currentQueryAccount]);
+    queryPreview.textContent = '';
+});
+
+connectAccountBtn.addEventListener('click', async () => {
+    try {
+        const account = await connectAccount(querySettingsByAccount[DEFAULT_ACCOUNT_ID]);
+        await loadAccounts();
+        showSuccess(`Connected ${account.email}.`);
+    } catch (error) {
+        console.error('Error connecting account:', error);
+        showError(`Failed to connect account: ${error.message}`);
+    }
+});
+
+saveRuleBtn.addEventListener('click', async () => {
+    const rule = readRuleEditor();
+    if (!rule.name || rule.senders.length === 0) {
+        showError('Give the rule a name and at least one sender or domain.');
+        return;
+    }
+
+    const invalidSelector = [...rule.mainSelectors, ...rule.stripSelectors].find(selector => !isValidSelector(selector));
+    if (invalidSelector) {
+        showError(`Not a valid CSS selector: ${invalidSelector}`);
+        return;
+    }
+
+    try {
+        await saveUserExtractionRule({ ...rule, id: editingRuleId });
+        fillRuleEditor(null);
+        await loadExtractionRules();
+    } catch (error) {
+        console.error('Error saving extraction rule:', error);
+        showError('Failed to save the rule.');
+    }
+});
+
+cancelRuleEditBtn.addEventListener('click', () => fillRuleEditor(null));
+
+// Run the cleaner on a pasted email with the saved rules plus the one being edited
+testRuleBtn.addEventListener('click', async () => {
+    const html = document.getElementById('testHtml').value.trim();
+    if (!html) {
+        showError('Paste the HTML of an email to test.');
+        return;
+    }
+
+    testRuleBtn.disabled = true;
+    ruleTestResult.textContent = 'Testing...';
+    const hadOffscreenDocument = await chrome.offscreen.hasDocument();
+
+    try {
+        const draft = readRuleEditor();
+        const userRules = (await getUserExtractionRules()).filter(rule => rule.id !== editingRuleId);
+        if (draft.senders.length > 0) {
+            userRules.unshift({ ...draft, name: draft.name || 'Unsaved rule' });
+        }
+
+        const rule = resolveExtractionRule({ from: document.getElementById('testSender').value, body: html }, userRules);
+        await offscreenManager.setup();
+        const result = await cleanEmailContent(html, rule, true);
+        renderRuleTestResult(rule, result);
+    } catch (error) {
+        console.error('Error testing extraction rules:', error);
+        ruleTestResult.textContent = `Could not test the rules: ${error.message}`;
+    } finally {
+        // Leave a document a running digest may be using
+        if (!hadOffscreenDocument) {
+            await offscreenManager.close();
+        }
+        testRuleBtn.disabled = false;
+    }
+});
+
 // Helper Functions
+async function loadExtractionRules() {
+    builtInRules.textContent = `Built-in rules: ${BUILT_IN_RULES.map(rule => rule.name).join(', ')}. Your rules are applied before them.`;
+
+    const rules = await getUserExtractionRules();
+    extractionRuleList.innerHTML = '';
+    rules.forEach(rule => {
+        const row = document.createElement('div');
+        row.className = 'rule-row';
+
+        const label = document.createElement('span');
+        label.textContent = `${rule.name} (${rule.senders.join(', ')})`;
+
+        const actions = document.createElement('div');
+        const editBtn = document.createElement('button');
+        editBtn.type = 'button';
+        editBtn.className = 'secondary-button';
+        editBtn.textContent = 'Edit';
+        editBtn.addEventListener('click', () => fillRuleEditor(rule));
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'secondary-button';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', async () => {
+            if (!confirm(`Delete the rule "${rule.name}"?`)) return;
+            try {
+                await deleteUserExtractionRule(rule.id);
+                if (editingRuleId === rule.id) fillRuleEditor(null);
+                await loadExtractionRules();
+            } catch (error) {
+                console.error('Error deleting extraction rule:', error);
+                showError('Failed to delete the rule.');
+            }
+        });
+
+        actions.append(editBtn, deleteBtn);
+        row.append(label, actions);
+        extractionRuleList.appendChild(row);
+    });
+}
+
+function readRuleEditor() {
+    const rule = { name: document.getElementById('ruleName').value.trim() };
+    Object.entries(RULE_LIST_FIELDS).forEach(([fieldId, property]) => {
+        rule[property] = splitLines(document.getElementById(fieldId).value);
+    });
+    rule.boilerplatePhrases = rule.boilerplatePhrases.map(phrase => phrase.toLowerCase());
+    rule.sponsorMarkers = rule.sponsorMarkers.map(marker => marker.toLowerCase());
+    return rule;
+}
+
+function fillRuleEditor(rule) {
+    editingRuleId = rule ? rule.id : null;
+    document.getElementById('ruleName').value = rule ? rule.name : '';
+    Object.entries(RULE_LIST_FIELDS).forEach(([fieldId, property]) => {
+        document.getElementById(fieldId).value = rule ? (rule[property] || []).join('\n') : '';
+    });
+    saveRuleBtn.textContent = rule ? 'Save Rule' : 'Add Rule';
+    cancelRuleEditBtn.hidden = !rule;
+}
+
+function isValidSelector(selector) {
+    try {
+        document.createDocumentFragment().querySelector(selector);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function renderRuleTestResult(rule, result) {
+    ruleTestResult.innerHTML = '';
+
+    const summary = document.createElement('p');
+    summary.className = 'field-hint';
+    summary.textContent = `Rules applied: ${rule.names.length > 0 ? rule.names.join(', ') : 'generic only'}. ` +
+        `Content found by: ${result.strategy || 'fallback'}.`;
+
+    const keptHeading = document.createElement('h3');
+    keptHeading.textContent = `Kept (${result.text.split(/\s+/).filter(Boolean).length} words)`;
+    const kept = document.createElement('pre');
+    kept.textContent = result.markdown || result.text || '(nothing)';
+
+    const droppedHeading = document.createElement('h3');
+    droppedHeading.textContent = `Dropped (${(result.dropped || []).length})`;
+    const dropped = document.createElement('ul');
+    (result.dropped || []).forEach(item => {
+        const entry = document.createElement('li');
+        entry.textContent = `${item.reason}: ${item.text}`;
+        dropped.appendChild(entry);
+    });
+
+    ruleTestResult.append(summary, keptHeading, kept, droppedHeading, dropped);
+}
+
+async function loadAccounts() {
+    try {
+        connectedAccounts = await getConnectedAccounts();
+    } catch (error) {
+        console.error('Error loading accounts:', error);
+        connectedAccounts = [];
+    }
+
+    connectedAccounts.forEach(account => {
+        // Keep unsaved edits when the list is reloaded
+        if (!querySettingsByAccount[account.id]) {
+            querySettingsByAccount[account.id] = account.querySettings;
+        }
+    });
+    if (currentQueryAccount !== DEFAULT_ACCOUNT_ID && !connectedAccounts.some(account => account.id === currentQueryAccount)) {
+        currentQueryAccount = DEFAULT_ACCOUNT_ID;
+        fillQuerySettings(querySettingsByAccount[DEFAULT_ACCOUNT_ID]);
+    }
+
+    renderAccounts();
+    renderQueryTargets();
+}
+
+function renderAccounts() {
+    accountList.innerHTML = '';
+    connectedAccounts.forEach(account => {
+        const row = document.createElement('div');
+        row.className = 'account-row';
+
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = account.enabled;
+        checkbox.addEventListener('change', async () => {
+            try {
+                await updateAccount(account.id, { enabled: checkbox.checked });
+                account.enabled = checkbox.checked;
+            } catch (error) {
+                console.error('Error updating account:', error);
+                showError('Failed to update account.');
+            }
+        });
+        label.append(checkbox, account.email);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'secondary-button';
+        removeBtn.textContent = 'Disconnect';
+        removeBtn.addEventListener('click', async () => {
+            if (!confirm(`Disconnect ${account.email}?`)) return;
+            try {
+                await disconnectAccount(account.id);
+                delete querySettingsByAccount[account.id];
+                await loadAccounts();
+            } catch (error) {
+                console.error('Error disconnecting account:', error);
+                showError('Failed to disconnect account.');
+            }
+        });
+
+        row.append(label, removeBtn);
+        accountList.appendChild(row);
+    });
+}
+
+function renderQueryTargets() {
+    querySettingsTarget.innerHTML = '';
+    const targets = [
+        { id: DEFAULT_ACCOUNT_ID, label: 'Chrome profile account' },
+        ...connectedAccounts.map(account => ({ id: account.id, label: account.email }))
+    ];
+    targets.forEach(target => {
+        const option = document.createElement('option');
+        option.value = target.id;
+        option.textContent = target.label;
+        querySettingsTarget.appendChild(option);
+    });
+    querySettingsTarget.value = currentQueryAccount;
+}
+
+function fillQuerySettings(settings) {
+    const gmailQuery = { ...DEFAULT_PREFERENCES.gmailQuery, ...settings };
+    gmailCategoryList.querySelectorAll('input[name="gmailCategories"]').forEach(checkbox => {
+        checkbox.checked = gmailQuery.categories.includes(checkbox.value);
+    });
+    form.gmailLabels.value = gmailQuery.labels.join(', ');
+    form.requireUnsubscribe.checked = gmailQuery.requireUnsubscribe;
+    form.includeSenders.value = gmailQuery.includeSenders.join('\n');
+    form.excludeSenders.value = gmailQuery.excludeSenders.join('\n');
+    form.gmailExtraTerms.value = gmailQuery.extraTerms;
+}
+
+function splitLines(value) {
+    return (value || '').split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+function readQuerySettings(formData) {
+    return {
+        categories: formData.getAll('gmailCategories'),
+        labels: formData.get('gmailLabels').split(',').map(l => l.trim()).filter(Boolean),
+        requireUnsubscribe: formData.get('requireUnsubscribe') === 'on',
+        includeSenders: splitLines(formData.get('includeSenders')),
+        excludeSenders: splitLines(formData.get('excludeSenders')),
+        extraTerms: formData.get('gmailExtraTerms').trim(),
+    };
+}
+
+function readStageModel(formData, stage) {
+    return {
+        provider: formData.get(`${stage}Provider`),
+        model: formData.get(`${stage}Model`).trim() || DEFAULT_PREFERENCES.llmStages[stage].model,
+    };
+}
+
+function readMailboxActions(formData) {
+    const readGroup = group => ({
+        label: formData.get(`${group}Label`) === 'on',
+        markRead: formData.get(`${group}MarkRead`) === 'on',
+        archive: formData.get(`${group}Archive`) === 'on',
+    });
+
+    return {
+        enabled: formData.get('mailboxActionsEnabled') === 'on',
+        included: readGroup('included'),
+        filtered: readGroup('filtered'),
+    };
+}
+
+function renderGmailCategories() {
+    gmailCategoryList.innerHTML = '';
+    GMAIL_CATEGORIES.forEach(category => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.name = 'gmailCategories';
+        checkbox.value = category;
+        label.append(checkbox, category.charAt(0).toUpperCase() + category.slice(1));
+        gmailCategoryList.appendChild(label);
+    });
+}
+
+function renderMailSources() {
+    mailSourceList.innerHTML = '';
+    MAIL_SOURCES.forEach(source => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.name = 'mailSources';
+        checkbox.value = source.id;
+        label.append(checkbox, source.label);
+        mailSourceList.appendChild(label);
+    });
+}
+
+async function refreshImportStatus() {
+    try {
+        const count = await getImportedEmailCount();
+        importStatus.textContent = count > 0
+            ? `${count} imported emails stored in this browser.`
+            : 'No emails imported yet.';
+    } catch (error) {
+        console.error('Error counting imported emails:', error);
+        importStatus.textContent = '';
+    }
+}
+
 function populateForm(preferences) {
     form.occupation.value = preferences.occupation || '';
     form.currentWork.value = preferences.currentWork || '';
     form.topics.value = (preferences.topics || []).join(', ');
     form.frequency.value = preferences.frequency || 'daily';
     form.digestDetailedness.value = preferences.digestDetailedness || 'medium';
+    form.digestLanguage.value = preferences.digestLanguage || DEFAULT_PREFERENCES.digestLanguage;
+    form.maxEmails.value = preferences.maxEmails || DEFAULT_PREFERENCES.maxEmails;
+    form.feedUrls.value = (preferences.feedUrls || []).join('\n');
+    form.followTrackingRedirects.checked = Boolean(preferences.followTrackingRedirects);
+    form.sponsoredContent.value = preferences.sponsoredContent || DEFAULT_PREFERENCES.sponsoredContent;
+
+    form.accountDigestMode.value = preferences.accountDigestMode || DEFAULT_PREFERENCES.accountDigestMode;
+
+    querySettingsByAccount[DEFAULT_ACCOUNT_ID] = preferences.gmailQuery || DEFAULT_PREFERENCES.gmailQuery;
+    currentQueryAccount = DEFAULT_ACCOUNT_ID;
+    querySettingsTarget.value = DEFAULT_ACCOUNT_ID;
+    fillQuerySettings(querySettingsByAccount[DEFAULT_ACCOUNT_ID]);
+
+    const mailboxActions = { ...DEFAULT_PREFERENCES.mailboxActions, ...preferences.mailboxActions };
+    form.mailboxActionsEnabled.checked = mailboxActions.enabled;
+    ['included', 'filtered'].forEach(group => {
+        form[`${group}Label`].checked = mailboxActions[group].label;
+        form[`${group}MarkRead`].checked = mailboxActions[group].markRead;
+        form[`${group}Archive`].checked = mailboxActions[group].archive;
+    });
+
+    const llmStages = { ...DEFAULT_PREFERENCES.llmStages, ...preferences.llmStages };
+    ['filter', 'synthesis'].forEach(stage => {
+        form[`${stage}Provider`].value = llmStages[stage].provider;
+        form[`${stage}Model`].value = llmStages[stage].model;
+    });
+    form.localModelUrl.value = preferences.localModelUrl || DEFAULT_PREFERENCES.localModelUrl;
+    form.localModelContextWindow.value = preferences.localModelContextWindow || DEFAULT_PREFERENCES.localModelContextWindow;
+    const budget = { ...DEFAULT_PREFERENCES.budget, ...preferences.budget };
+    form.monthlyBudget.value = budget.monthlyLimit;
+    form.perDigestBudget.value = budget.perDigestLimit;
+    form.bypassCache.checked = Boolean(preferences.bypassCache);
+
+    const articleEnrichment = { ...DEFAULT_PREFERENCES.articleEnrichment, ...preferences.articleEnrichment };
+    form.articleEnrichmentEnabled.checked = articleEnrichment.enabled;
+    form.articleEnrichmentMaxArticles.value = articleEnrichment.maxArticles;
+    form.articleEnrichmentTokenBudget.value = articleEnrichment.tokenBudget;
+
+    const mailSources = preferences.mailSources || DEFAULT_PREFERENCES.mailSources;
+    mailSourceList.querySelectorAll('input[name="mailSources"]').forEach(checkbox => {
+        checkbox.checked = mailSources.includes(checkbox.value);
+    });
 }
 
 function showSuccess(message) {
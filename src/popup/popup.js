@@ -1,5 +1,7 @@
 import { getStoredPreferences, setStoredPreferences } from '../lib/personalization.js';
 import { OPENAI_API_KEY } from '../lib/config.js';
+import { formatUsd } from '../lib/usage-ledger.js';
+import { getScheduledDigest } from '../lib/scheduler.js';
 import { runDebugTestAndSave, getLatestDebugResults, getAllDebugResults, runLinkFilteringTest, getLatestLinkTestResults } from '../lib/debug-email-filter.js';
 
 // --- DOM Elements ---
@@ -27,14 +29,17 @@ const gmailStatus = document.getElementById('gmailStatus');
 const openaiStatus = document.getElementById('openaiStatus');
 const preferencesStatus = document.getElementById('preferencesStatus');
 const generateDigestBtn = document.getElementById('generateDigest');
+const enrichArticlesInput = document.getElementById('enrichArticles');
 const openOptionsBtn = document.getElementById('openOptions');
 const openInsightsBtn = document.getElementById('openInsights');
+const openSubscriptionsBtn = document.getElementById('openSubscriptions');
 const runDebugTestBtn = document.getElementById('runDebugTest');
 const runLinkTestBtn = document.getElementById('runLinkTest');
 const viewDebugResultsBtn = document.getElementById('viewDebugResults');
 const downloadLinkCSVBtn = document.getElementById('downloadLinkCSV');
 const summaryResult = document.getElementById('summaryResult');
 const viewHistoryBtn = document.getElementById('viewHistory');
+const viewUsageBtn = document.getElementById('viewUsage');
 const exportDataBtn = document.getElementById('exportData');
 
 let userPreferences = null;
@@ -66,8 +71,30 @@ async function renderMainView() {
     mainView.style.display = 'block';
     settingsView.style.display = 'none';
     setupMainEventListeners();
+    enrichArticlesInput.checked = Boolean((userPreferences.articleEnrichment || {}).enabled);
     await checkStatus();
     updateGenerateButtonText();
+    await showScheduledDigest();
+}
+
+async function showScheduledDigest() {
+    const entry = await getScheduledDigest();
+    if (!entry) {
+        return;
+    }
+
+    summaryResult.innerHTML = '';
+    const note = document.createElement('p');
+    note.textContent = `${entry.viewed ? 'Last' : 'New'} scheduled digest from ${new Date(entry.generatedAt).toLocaleString()}.`;
+    summaryResult.appendChild(note);
+
+    const openBtn = document.createElement('button');
+    openBtn.className = 'btn btn-secondary';
+    openBtn.textContent = 'Open Scheduled Digest';
+    openBtn.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('src/digest/digest.html?source=scheduled') });
+    });
+    summaryResult.appendChild(openBtn);
 }
 
 function renderSettingsView() {
@@ -137,11 +164,13 @@ function setupMainEventListeners() {
     generateDigestBtn.addEventListener('click', handleGenerateDigest);
     openOptionsBtn.addEventListener('click', renderSettingsView);
     openInsightsBtn.addEventListener('click', openInsightsPage);
+    openSubscriptionsBtn.addEventListener('click', openSubscriptionsPage);
     runDebugTestBtn.addEventListener('click', handleRunDebugTest);
     runLinkTestBtn.addEventListener('click', handleRunLinkTest);
     viewDebugResultsBtn.addEventListener('click', handleViewDebugResults);
     downloadLinkCSVBtn.addEventListener('click', handleDownloadLinkCSV);
     viewHistoryBtn.addEventListener('click', openHistoryPage);
+    viewUsageBtn.addEventListener('click', openUsagePage);
     exportDataBtn.addEventListener('click', handleExportData);
     
     // Add close button functionality
@@ -210,13 +239,93 @@ async function checkStatus() {
 
 async function handleGenerateDigest() {
     generateDigestBtn.disabled = true;
-    generateDigestBtn.textContent = 'Generating...';
-    summaryResult.innerHTML = '<p>Contacting background service...</p><p><em>Generation continues in background if popup closes.</em></p>';
+    generateDigestBtn.textContent = 'Estimating cost...';
+    summaryResult.innerHTML = '<p>Estimating what this digest will cost...</p>';
 
     try {
         const userPreferences = await getStoredPreferences();
         const period = (userPreferences && userPreferences.digestFrequency === 'daily') ? '1d' : '7d';
-        const response = await chrome.runtime.sendMessage({ type: 'GENERATE_DIGEST', period: period });
+        const response = await chrome.runtime.sendMessage({
+            type: 'ESTIMATE_DIGEST',
+            period: period,
+            enrichArticles: enrichArticlesInput.checked
+        });
+
+        if (!response || !response.success) {
+            throw new Error(response ? response.error : 'An unknown error occurred.');
+        }
+        if (!response.plan) {
+            summaryResult.innerHTML = '<p>No new emails to digest.</p>';
+            return;
+        }
+        renderEstimate(response.plan, period);
+    } catch (error) {
+        console.error('Failed to estimate digest cost:', error);
+        summaryResult.innerHTML = `<p class="error">Error: ${error.message}</p>`;
+    } finally {
+        generateDigestBtn.disabled = false;
+        updateGenerateButtonText();
+    }
+}
+
+/**
+ * Show the cost estimate of a run, with a button to start it if the budget allows
+ */
+function renderEstimate(plan, period) {
+    const { estimate } = plan;
+    summaryResult.innerHTML = '';
+
+    const cost = document.createElement('p');
+    cost.textContent = `Estimated cost: ${formatUsd(estimate.total)} (filtering ${formatUsd(estimate.filter)}, digest ${formatUsd(estimate.summary)}) ` +
+        `for ${estimate.emails} emails and ${estimate.stories} stories.` +
+        (estimate.unpriced ? ' Some models have no known price and are not included.' : '');
+    summaryResult.appendChild(cost);
+
+    if (plan.monthlyLimit > 0) {
+        const month = document.createElement('p');
+        month.className = 'budget-note';
+        month.textContent = `This month: ${formatUsd(plan.monthSpend)} of ${formatUsd(plan.monthlyLimit)}.` +
+            (plan.monthlyBudgetExhausted ? ' The monthly budget is used up, so scheduled digests are paused.' : '');
+        summaryResult.appendChild(month);
+    }
+
+    if (plan.adjustments.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'budget-adjustments';
+        plan.adjustments.forEach(adjustment => {
+            const item = document.createElement('li');
+            item.textContent = adjustment;
+            list.appendChild(item);
+        });
+        summaryResult.appendChild(list);
+    }
+
+    if (!plan.allowed) {
+        const reason = document.createElement('p');
+        reason.className = 'error budget-note';
+        reason.textContent = plan.reason;
+        summaryResult.appendChild(reason);
+        return;
+    }
+
+    const confirmBtn = document.createElement('button');
+    confirmBtn.className = 'btn btn-primary budget-confirm';
+    confirmBtn.textContent = `Generate for about ${formatUsd(estimate.total)}`;
+    confirmBtn.addEventListener('click', () => runDigestGeneration(period));
+    summaryResult.appendChild(confirmBtn);
+}
+
+async function runDigestGeneration(period) {
+    generateDigestBtn.disabled = true;
+    generateDigestBtn.textContent = 'Generating...';
+    summaryResult.innerHTML = '<p>Contacting background service...</p><p><em>Generation continues in background if popup closes.</em></p>';
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            type: 'GENERATE_DIGEST',
+            period: period,
+            enrichArticles: enrichArticlesInput.checked
+        });
         
         summaryResult.innerHTML = '<p>Processing digest...</p><p><em>Processing continues in background.</em></p>';
 
@@ -252,8 +361,16 @@ function openInsightsPage() {
     chrome.tabs.create({ url: chrome.runtime.getURL('src/insights/insights.html') });
 }
 
+function openSubscriptionsPage() {
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/subscriptions/subscriptions.html') });
+}
+
 function openHistoryPage() {
-    alert('History feature coming soon!');
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/history/history.html') });
+}
+
+function openUsagePage() {
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/usage/usage.html') });
 }
 
 async function handleExportData() {
@@ -0,0 +1,151 @@
+import { getSubscriptionSummaries, setWebVersionFallback, unsubscribe } from '../lib/subscriptions.js';
+
+// DOM Elements
+const subscriptionRowsEl = document.getElementById('subscriptionRows');
+
+const METHOD_NAMES = {
+    'one-click': 'Unsubscribed',
+    'mailto': 'Unsubscribe email sent',
+    'link': 'Unsubscribe page opened'
+};
+
+// Load subscriptions on page load
+document.addEventListener('DOMContentLoaded', async () => {
+    await loadSubscriptions();
+});
+
+/**
+ * Load and display every tracked sender
+ */
+async function loadSubscriptions() {
+    try {
+        const summaries = await getSubscriptionSummaries();
+        displaySubscriptions(summaries);
+    } catch (error) {
+        console.error('Error loading subscriptions:', error);
+        subscriptionRowsEl.innerHTML = '<tr><td colspan="7" class="empty-state">Failed to load subscriptions. Please try again.</td></tr>';
+    }
+}
+
+/**
+ * Render the subscriptions table
+ */
+function displaySubscriptions(summaries) {
+    subscriptionRowsEl.innerHTML = '';
+
+    if (summaries.length === 0) {
+        subscriptionRowsEl.innerHTML = '<tr><td colspan="7" class="empty-state">No newsletters tracked yet. Generate a digest to start collecting stats.</td></tr>';
+        return;
+    }
+
+    summaries.forEach(summary => subscriptionRowsEl.appendChild(renderRow(summary)));
+}
+
+/**
+ * Build a small bar chart of weekly volume
+ */
+function renderWeeklyBars(weeklyCounts) {
+    const max = Math.max(1, ...weeklyCounts.map(week => week.count));
+    const bars = document.createElement('div');
+    bars.className = 'weekly-bars';
+
+    weeklyCounts.forEach(week => {
+        const bar = document.createElement('span');
+        bar.style.height = `${Math.round((week.count / max) * 100)}%`;
+        bar.title = `Week of ${new Date(week.weekStart).toLocaleDateString()}: ${week.count} emails`;
+        bars.appendChild(bar);
+    });
+
+    return bars;
+}
+
+/**
+ * Build the table row for one sender
+ */
+function renderRow(summary) {
+    const row = document.createElement('tr');
+
+    const senderCell = document.createElement('td');
+    const name = document.createElement('strong');
+    name.textContent = summary.name;
+    const address = document.createElement('span');
+    address.className = 'sender-address';
+    address.textContent = summary.address;
+    senderCell.append(name, address);
+
+    const volumeCell = document.createElement('td');
+    volumeCell.appendChild(renderWeeklyBars(summary.weeklyCounts));
+
+    const includedCell = document.createElement('td');
+    includedCell.textContent = summary.included;
+
+    const filteredCell = document.createElement('td');
+    filteredCell.textContent = summary.filtered;
+
+    const lastIncludedCell = document.createElement('td');
+    lastIncludedCell.textContent = summary.lastIncludedAt
+        ? new Date(summary.lastIncludedAt).toLocaleDateString()
+        : 'Never';
+
+    const webVersionCell = document.createElement('td');
+    const webVersionToggle = document.createElement('input');
+    webVersionToggle.type = 'checkbox';
+    webVersionToggle.checked = summary.fetchWebVersion;
+    webVersionToggle.title = 'Fetch the web version when an email looks clipped';
+    webVersionToggle.addEventListener('change', () => handleWebVersionToggle(summary, webVersionToggle));
+    webVersionCell.appendChild(webVersionToggle);
+
+    const actionCell = document.createElement('td');
+    const button = document.createElement('button');
+    button.className = 'unsubscribe-button';
+    if (summary.unsubscribe) {
+        button.textContent = METHOD_NAMES[summary.unsubscribe.method] || 'Unsubscribed';
+        button.disabled = true;
+    } else if (!summary.canUnsubscribe) {
+        button.textContent = 'No unsubscribe link';
+        button.disabled = true;
+    } else {
+        button.textContent = 'Unsubscribe';
+        button.addEventListener('click', () => handleUnsubscribe(summary, button));
+    }
+    actionCell.appendChild(button);
+
+    row.append(senderCell, volumeCell, includedCell, filteredCell, lastIncludedCell, webVersionCell, actionCell);
+    return row;
+}
+
+/**
+ * Save a sender's web-version setting, restoring the checkbox if that fails
+ */
+async function handleWebVersionToggle(summary, checkbox) {
+    checkbox.disabled = true;
+    try {
+        await setWebVersionFallback(summary.address, checkbox.checked);
+    } catch (error) {
+        console.error('Error saving web version setting:', error);
+        checkbox.checked = !checkbox.checked;
+        alert(`Failed to save setting: ${error.message}`);
+    }
+    checkbox.disabled = false;
+}
+
+/**
+ * Unsubscribe from a sender and refresh the table
+ */
+async function handleUnsubscribe(summary, button) {
+    if (!confirm(`Unsubscribe from ${summary.name}?`)) {
+        return;
+    }
+
+    button.disabled = true;
+    button.textContent = 'Unsubscribing...';
+
+    try {
+        await unsubscribe(summary.address);
+    } catch (error) {
+        console.error('Error unsubscribing:', error);
+        alert(`Failed to unsubscribe: ${error.message}`);
+    }
+
+    await loadSubscriptions();
+}
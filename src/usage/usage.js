@@ -0,0 +1,101 @@
+import { formatUsd, getUsageSummary, USAGE_STAGES } from '../lib/usage-ledger.js';
+
+const DAYS_SHOWN = 30;
+
+// DOM Elements
+const totalCostEl = document.getElementById('totalCost');
+const totalTokensEl = document.getElementById('totalTokens');
+const totalCallsEl = document.getElementById('totalCalls');
+const usageByDayEl = document.getElementById('usageByDay');
+const usageByDigestEl = document.getElementById('usageByDigest');
+const usageByStageEl = document.getElementById('usageByStage');
+const usageByModelEl = document.getElementById('usageByModel');
+
+// Load usage on page load
+document.addEventListener('DOMContentLoaded', async () => {
+    await loadUsage();
+});
+
+/**
+ * Load and display the usage ledger
+ */
+async function loadUsage() {
+    try {
+        const summary = await getUsageSummary();
+        displayUsage(summary);
+    } catch (error) {
+        console.error('Error loading usage:', error);
+        [usageByDayEl, usageByDigestEl, usageByStageEl, usageByModelEl].forEach(el => {
+            el.className = 'empty-state';
+            el.textContent = 'Failed to load usage. Please try again.';
+        });
+    }
+}
+
+/**
+ * Format the cost of a total, noting calls to models without a known price
+ */
+function formatCost(total) {
+    const cost = formatUsd(total.cost);
+    return total.unpricedCalls > 0 ? `${cost} + ${total.unpricedCalls} unpriced` : cost;
+}
+
+/**
+ * Render the totals and every grouping
+ */
+function displayUsage(summary) {
+    totalCostEl.textContent = formatCost(summary.total);
+    totalTokensEl.textContent = (summary.total.inputTokens + summary.total.outputTokens).toLocaleString();
+    totalCallsEl.textContent = summary.total.calls.toLocaleString();
+
+    renderTable(usageByDayEl, 'Day', summary.byDay.slice(0, DAYS_SHOWN), total =>
+        new Date(`${total.key}T00:00:00`).toLocaleDateString());
+    renderTable(usageByDigestEl, 'Digest', summary.byDigest, total =>
+        new Date(total.firstAt).toLocaleString());
+    renderTable(usageByStageEl, 'Stage', summary.byStage, total =>
+        USAGE_STAGES[total.key] || total.key);
+    renderTable(usageByModelEl, 'Model', summary.byModel, total => total.key);
+}
+
+/**
+ * Render one grouping as a table
+ */
+function renderTable(containerEl, heading, totals, getLabel) {
+    containerEl.innerHTML = '';
+
+    if (totals.length === 0) {
+        containerEl.className = 'empty-state';
+        containerEl.textContent = 'No usage recorded yet. Generate a digest to start tracking spend.';
+        return;
+    }
+    containerEl.className = '';
+
+    const table = document.createElement('table');
+    table.className = 'usage-table';
+
+    const headerRow = table.createTHead().insertRow();
+    [heading, 'Calls', 'Input tokens', 'Output tokens', 'Cost'].forEach((text, index) => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        if (index > 0) th.className = 'number';
+        headerRow.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    totals.forEach(total => {
+        const row = body.insertRow();
+        [
+            getLabel(total),
+            total.calls.toLocaleString(),
+            total.inputTokens.toLocaleString(),
+            total.outputTokens.toLocaleString(),
+            formatCost(total)
+        ].forEach((text, index) => {
+            const cell = row.insertCell();
+            cell.textContent = text;
+            if (index > 0) cell.className = 'number';
+        });
+    });
+
+    containerEl.appendChild(table);
+}
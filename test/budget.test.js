@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+
+// src/lib/config.js holds API keys and is not checked in; budgets only need the models' names
+register(`data:text/javascript,${encodeURIComponent(`
+export async function resolve(specifier, context, nextResolve) {
+    try {
+        return await nextResolve(specifier, context);
+    } catch (error) {
+        if (error.code === 'ERR_MODULE_NOT_FOUND' && specifier === './config.js') {
+            return { url: 'data:text/javascript,export {}', shortCircuit: true };
+        }
+        throw error;
+    }
+}`)}`);
+
+const { planDigestRun } = await import('../src/lib/budget.js');
+const { estimateDigestTokens } = await import('../src/lib/openai-handler.js');
+
+const WORDS = 'market rates chips launch policy growth research funding release update model data'.split(' ');
+
+/**
+ * Build an email with its segmented stories
+ * @param {number} index Email number
+ * @param {number} [storyCount] Stories in the email
+ * @returns {{email: Object, stories: Array<Object>}} Email and stories
+ */
+function newsletter(index, storyCount = 5) {
+    const stories = Array.from({ length: storyCount }, (_, story) => {
+        const body = Array.from({ length: 200 }, (_, word) => WORDS[(index + story + word) % WORDS.length]).join(' ');
+        return { id: `e${index}#${story}`, emailId: `e${index}`, headline: `Story ${story} of issue ${index}`, body, markdown: body, language: 'en' };
+    });
+    return { email: { id: `e${index}`, subject: `Issue ${index}`, from: 'news@example.com' }, stories };
+}
+
+const newsletters = Array.from({ length: 20 }, (_, index) => newsletter(index));
+const emails = newsletters.map(({ email }) => email);
+const storiesByEmail = newsletters.map(({ stories }) => stories);
+
+const preferences = (overrides = {}) => ({
+    occupation: 'Analyst',
+    currentWork: 'Market research',
+    topics: ['markets'],
+    digestLanguage: 'en',
+    digestDetailedness: 'long',
+    llmStages: {
+        filter: { provider: 'openai', model: 'gpt-4o-mini' },
+        synthesis: { provider: 'openai', model: 'gpt-4o' }
+    },
+    budget: { monthlyLimit: 0, perDigestLimit: 0 },
+    ...overrides
+});
+
+test('estimateDigestTokens covers the filter, the notes per email and the digest', () => {
+    const one = estimateDigestTokens(storiesByEmail.slice(0, 1), preferences());
+    const ten = estimateDigestTokens(storiesByEmail.slice(0, 10), preferences());
+
+    assert.equal(one.stories, 5);
+    assert.equal(ten.stories, 50);
+    assert.ok(one.filter.inputTokens > 0 && one.filter.outputTokens > 0);
+    assert.ok(ten.filter.inputTokens > one.filter.inputTokens);
+    assert.ok(ten.summary.inputTokens > 5 * one.summary.inputTokens);
+    assert.ok(ten.summary.outputTokens > one.summary.outputTokens);
+
+    // A shorter digest is cheaper to write
+    const short = estimateDigestTokens(storiesByEmail.slice(0, 10), preferences({ digestDetailedness: 'short' }));
+    assert.ok(short.summary.outputTokens < ten.summary.outputTokens);
+    assert.deepEqual(estimateDigestTokens([], preferences()).summary, { inputTokens: 0, outputTokens: 0 });
+});
+
+test('estimateDigestTokens adds merge rounds when the notes outgrow a small context window', () => {
+    const local = preferences({
+        llmStages: {
+            filter: { provider: 'openai-compatible', model: 'llama' },
+            synthesis: { provider: 'openai-compatible', model: 'llama' }
+        },
+        localModelContextWindow: 8192
+    });
+    const small = estimateDigestTokens(storiesByEmail, local);
+    const large = estimateDigestTokens(storiesByEmail, { ...local, localModelContextWindow: 128000 });
+
+    assert.ok(small.summary.inputTokens > large.summary.inputTokens);
+});
+
+test('planDigestRun leaves a run under the per-digest budget as it is', async () => {
+    const plan = await planDigestRun(emails, storiesByEmail, preferences());
+
+    assert.equal(plan.allowed, true);
+    assert.deepEqual(plan.adjustments, []);
+    assert.equal(plan.emails.length, 20);
+    assert.equal(plan.emails[3].stories, storiesByEmail[3]);
+    assert.ok(plan.estimate.total > 0);
+    assert.ok(Math.abs(plan.estimate.total - plan.estimate.filter - plan.estimate.summary) < 1e-12);
+    assert.equal(plan.estimate.unpriced, false);
+});
+
+test('planDigestRun writes the digest with the filter model when that fits the budget', async () => {
+    const full = await planDigestRun(emails, storiesByEmail, preferences());
+    const cheap = await planDigestRun(emails, storiesByEmail, preferences({
+        llmStages: { filter: { provider: 'openai', model: 'gpt-4o-mini' }, synthesis: { provider: 'openai', model: 'gpt-4o-mini' } }
+    }));
+    const limit = (full.estimate.total + cheap.estimate.total) / 2;
+
+    const plan = await planDigestRun(emails, storiesByEmail, preferences({ budget: { monthlyLimit: 0, perDigestLimit: limit } }));
+
+    assert.equal(plan.allowed, true);
+    assert.equal(plan.adjustments.length, 1);
+    assert.match(plan.adjustments[0], /gpt-4o-mini instead of gpt-4o/);
+    assert.equal(plan.preferences.llmStages.synthesis.model, 'gpt-4o-mini');
+    assert.equal(plan.preferences.digestDetailedness, 'long');
+    assert.equal(plan.emails.length, 20);
+    assert.ok(plan.estimate.total <= limit);
+});
+
+test('planDigestRun shortens the digest and drops the oldest emails to fit a tight budget', async () => {
+    const full = await planDigestRun(emails, storiesByEmail, preferences());
+    const limit = full.estimate.total / 20;
+
+    const plan = await planDigestRun(emails, storiesByEmail, preferences({ budget: { monthlyLimit: 0, perDigestLimit: limit } }));
+
+    assert.equal(plan.allowed, true);
+    assert.equal(plan.adjustments.length, 3);
+    assert.equal(plan.preferences.digestDetailedness, 'short');
+    assert.ok(plan.emails.length < 20);
+    assert.deepEqual(plan.emails.map(email => email.id), emails.slice(0, plan.emails.length).map(email => email.id));
+    assert.ok(plan.estimate.total <= limit);
+    assert.match(plan.adjustments[2], new RegExp(`${plan.emails.length} newest of 20 emails`));
+});
+
+test('planDigestRun refuses a run that is over budget even for one email', async () => {
+    const plan = await planDigestRun(emails, storiesByEmail, preferences({ budget: { monthlyLimit: 0, perDigestLimit: 0.000001 } }));
+
+    assert.equal(plan.allowed, false);
+    assert.match(plan.reason, /over the budget/);
+    assert.equal(plan.emails.length, 1);
+});
+
+test('planDigestRun never limits runs on local models', async () => {
+    const plan = await planDigestRun(emails, storiesByEmail, preferences({
+        llmStages: {
+            filter: { provider: 'openai-compatible', model: 'llama' },
+            synthesis: { provider: 'openai-compatible', model: 'llama' }
+        },
+        budget: { monthlyLimit: 0, perDigestLimit: 0.01 }
+    }));
+
+    assert.equal(plan.allowed, true);
+    assert.equal(plan.estimate.total, 0);
+    assert.deepEqual(plan.adjustments, []);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { removeDuplicateFeedItems } from '../src/lib/feed-source.js';
+
+const ARTICLE = 'https://example.com/2025/chips-ship';
+// Mailchimp click tracking: the article can only be found by following the redirect
+const TRACKED = 'https://example.us1.list-manage.com/track/click?u=abc&id=123&e=456';
+
+const newsletter = {
+    id: 'n1',
+    htmlBody: `<p><a href="${TRACKED}">New AI chips ship this quarter</a></p>`,
+    textBody: ''
+};
+const feedItem = (id, url) => ({ id, url, feedUrl: 'https://example.com/feed.xml', htmlBody: '', textBody: '' });
+const story = (emailId, link) => ({ id: `${emailId}#0`, emailId, link, links: link ? [link] : [] });
+
+test('removeDuplicateFeedItems drops feed items a newsletter links to through a tracking redirect', () => {
+    const emails = [newsletter, feedItem('f1', ARTICLE), feedItem('f2', 'https://example.com/2025/other-news')];
+    // Segmenting has already resolved the tracked link to the article
+    const storiesByEmail = [[story('n1', `${ARTICLE}?utm_source=newsletter`)], [story('f1', ARTICLE)], [story('f2', null)]];
+
+    const result = removeDuplicateFeedItems(emails, storiesByEmail);
+
+    assert.deepEqual(result.emails.map(email => email.id), ['n1', 'f2']);
+    assert.deepEqual(result.storiesByEmail.map(stories => stories[0].emailId), ['n1', 'f2']);
+    assert.equal(result.removed, 1);
+});
+
+test('removeDuplicateFeedItems keeps feed items when the newsletter link is still unresolved', () => {
+    const emails = [newsletter, feedItem('f1', ARTICLE)];
+    const result = removeDuplicateFeedItems(emails, [[story('n1', TRACKED)], [story('f1', ARTICLE)]]);
+
+    assert.equal(result.emails.length, 2);
+    assert.equal(result.removed, 0);
+});
+
+test('removeDuplicateFeedItems never drops newsletters that link to each other', () => {
+    const other = { ...newsletter, id: 'n2' };
+    const result = removeDuplicateFeedItems([newsletter, other], [[story('n1', ARTICLE)], [story('n2', ARTICLE)]]);
+
+    assert.equal(result.emails.length, 2);
+});
@@ -0,0 +1,162 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { GmailApiError, gmailBatchGet, gmailRequest } from '../src/lib/gmail-client.js';
+
+const BOUNDARY = 'batch_response_boundary';
+const realFetch = globalThis.fetch;
+
+/**
+ * Build a multipart batch response
+ * @param {Array<{index: number, status: number, statusText?: string, body?: Object, headers?: Object}>} parts Embedded responses
+ * @returns {Response} Batch response
+ */
+function batchResponse(parts) {
+    const text = parts.map(({ index, status, statusText = '', body = {}, headers = {} }) => [
+        `--${BOUNDARY}`,
+        'Content-Type: application/http',
+        `Content-ID: <response-item${index}>`,
+        '',
+        `HTTP/1.1 ${status} ${statusText}`,
+        'Content-Type: application/json; charset=UTF-8',
+        ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+        '',
+        JSON.stringify(body),
+        ''
+    ].join('\r\n')).join('') + `--${BOUNDARY}--\r\n`;
+
+    return new Response(text, { status: 200, headers: { 'Content-Type': `multipart/mixed; boundary=${BOUNDARY}` } });
+}
+
+/**
+ * Replace fetch with a handler that sees the message IDs each batch asks for
+ * @param {function(Array<string>, number): Response} handler Gets the requested IDs and the call number
+ * @returns {Array<Array<string>>} Requested IDs per call
+ */
+function mockBatchFetch(handler) {
+    const calls = [];
+    globalThis.fetch = async (url, { body }) => {
+        const ids = Array.from(body.matchAll(/^GET \/gmail\/v1\/users\/me\/messages\/(\w+)/gm), match => match[1]);
+        calls.push(ids);
+        return handler(ids, calls.length);
+    };
+    return calls;
+}
+
+const paths = ids => ids.map(id => `me/messages/${id}?format=full`);
+
+beforeEach(() => {
+    // No jitter, so retries without Retry-After go out at once
+    mock.method(Math, 'random', () => 0);
+});
+
+afterEach(() => {
+    globalThis.fetch = realFetch;
+    mock.restoreAll();
+});
+
+test('gmailBatchGet maps the parts of a batch response back to their requests', async () => {
+    const calls = mockBatchFetch(ids => batchResponse(
+        // Parts may come back in any order
+        ids.map((id, index) => ({ index, status: 200, statusText: 'OK', body: { id } })).reverse()
+    ));
+
+    const results = await gmailBatchGet(paths(['a', 'b', 'c']), 'token', { operation: 'messages.get' });
+
+    assert.equal(calls.length, 1);
+    assert.deepEqual(results, [
+        { ok: true, data: { id: 'a' } },
+        { ok: true, data: { id: 'b' } },
+        { ok: true, data: { id: 'c' } }
+    ]);
+});
+
+test('gmailBatchGet reports a failed part without retrying it or failing the others', async () => {
+    const calls = mockBatchFetch(ids => batchResponse(ids.map((id, index) => id === 'b'
+        ? { index, status: 404, statusText: 'Not Found', body: { error: { code: 404, errors: [{ reason: 'notFound' }] } } }
+        : { index, status: 200, statusText: 'OK', body: { id } })));
+
+    const results = await gmailBatchGet(paths(['a', 'b', 'c']), 'token', { operation: 'messages.get' });
+
+    assert.equal(calls.length, 1);
+    assert.equal(results[0].ok, true);
+    assert.equal(results[1].ok, false);
+    assert.ok(results[1].error instanceof GmailApiError);
+    assert.equal(results[1].error.status, 404);
+    assert.equal(results[1].error.reason, 'notFound');
+    assert.deepEqual(results[2], { ok: true, data: { id: 'c' } });
+});
+
+test('gmailBatchGet retries a part missing from the response', async () => {
+    const calls = mockBatchFetch((ids, call) => batchResponse(ids
+        .map((id, index) => ({ index, status: 200, statusText: 'OK', body: { id } }))
+        .filter((part, index) => call > 1 || ids[index] !== 'b')));
+
+    const results = await gmailBatchGet(paths(['a', 'b', 'c']), 'token', { operation: 'messages.get' });
+
+    assert.deepEqual(calls, [['a', 'b', 'c'], ['b']]);
+    assert.deepEqual(results.map(result => result.ok), [true, true, true]);
+    assert.deepEqual(results[1].data, { id: 'b' });
+});
+
+test('gmailBatchGet reports a part that never arrives as failed', async () => {
+    const calls = mockBatchFetch(ids => batchResponse(ids
+        .map((id, index) => ({ index, status: 200, statusText: 'OK', body: { id } }))
+        .filter((part, index) => ids[index] !== 'b')));
+
+    const results = await gmailBatchGet(paths(['a', 'b']), 'token', { operation: 'messages.get' });
+
+    assert.equal(calls.length, 6);
+    assert.equal(results[0].ok, true);
+    assert.equal(results[1].ok, false);
+    assert.match(results[1].error.message, /Missing batch response/);
+});
+
+test('gmailBatchGet retries rate-limited parts no sooner than Retry-After', async () => {
+    const sentAt = [];
+    const calls = mockBatchFetch((ids, call) => {
+        sentAt.push(Date.now());
+        return batchResponse(ids.map((id, index) => call === 1 && id === 'b'
+            ? { index, status: 429, statusText: 'Too Many Requests', headers: { 'Retry-After': '1' }, body: { error: { code: 429 } } }
+            : { index, status: 200, statusText: 'OK', body: { id } }));
+    });
+
+    const results = await gmailBatchGet(paths(['a', 'b']), 'token', { operation: 'messages.get' });
+
+    assert.deepEqual(calls, [['a', 'b'], ['b']]);
+    assert.ok(sentAt[1] - sentAt[0] >= 950, `retried after ${sentAt[1] - sentAt[0]}ms`);
+    assert.deepEqual(results.map(result => result.ok), [true, true]);
+});
+
+test('gmailBatchGet resends the whole batch when Gmail answers it with a server error', async () => {
+    const calls = mockBatchFetch((ids, call) => call === 1
+        ? new Response('{"error":{"code":503}}', { status: 503, statusText: 'Service Unavailable' })
+        : batchResponse(ids.map((id, index) => ({ index, status: 200, statusText: 'OK', body: { id } }))));
+
+    const results = await gmailBatchGet(paths(['a', 'b']), 'token', { operation: 'messages.get' });
+
+    assert.deepEqual(calls, [['a', 'b'], ['a', 'b']]);
+    assert.deepEqual(results.map(result => result.ok), [true, true]);
+});
+
+test('gmailRequest retries 5xx responses and gives up on other errors', async () => {
+    const statuses = [500, 200];
+    let requests = 0;
+    globalThis.fetch = async () => {
+        const status = statuses[requests++];
+        return new Response(status === 200 ? '{"messages":[]}' : '', { status });
+    };
+
+    assert.deepEqual(await gmailRequest('me/messages', 'token', { operation: 'messages.list' }), { messages: [] });
+    assert.equal(requests, 2);
+
+    requests = 0;
+    globalThis.fetch = async () => {
+        requests++;
+        return new Response('{"error":{"errors":[{"reason":"forbidden"}]}}', { status: 403, statusText: 'Forbidden' });
+    };
+    await assert.rejects(
+        gmailRequest('me/messages', 'token', { operation: 'messages.list' }),
+        error => error instanceof GmailApiError && error.status === 403 && error.reason === 'forbidden'
+    );
+    assert.equal(requests, 1);
+});
@@ -0,0 +1,180 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import {
+    cleanEmailContent,
+    extractLinks,
+    htmlToMarkdown,
+    normalizeWhitespace,
+    parseFeedXml,
+    processEmails,
+    segmentStories
+} from '../src/lib/html-processing.js';
+import { Readability } from '../src/lib/Readability.js';
+
+const { window } = new JSDOM('');
+// Same shape the offscreen document passes in
+const dom = { DOMParser: window.DOMParser, Readability };
+
+const filler = 'Lorem ipsum dolor sit amet consectetur adipiscing elit sed do eiusmod tempor incididunt ut labore. ';
+const paragraph = opening => `<p>${opening} ${filler.repeat(2)}</p>`;
+
+// A roundup newsletter: three stories, a sponsor placement and the usual header and footer
+const ROUNDUP_HTML = `<html><head><style>p { margin: 0; }</style></head><body>
+<div class="header"><a href="https://news.example.com/view">View in browser</a></div>
+<h2><a href="https://example.com/ai-chips">New AI chips ship this quarter</a></h2>
+${paragraph('Chipmakers announced')}
+<h2><a href="https://example.org/rust-release">Rust 2.0 released with async traits</a></h2>
+${paragraph('The Rust team')}
+<h2>Together with Acme</h2>
+<div><p>Try Acme Cloud today and get free credits for your startup team with no commitment whatsoever.</p>
+<a href="https://acme.com/?utm_medium=sponsor">Claim your credits</a></div>
+<h2><a href="https://example.net/climate">Climate report finds record heat</a></h2>
+${paragraph('Scientists said')}
+<div class="footer"><a href="https://news.example.com/unsub">Unsubscribe</a> Privacy policy</div>
+</body></html>`;
+
+const PLAIN_HTML = '<p>Just one short note without any structure to split on.</p>';
+
+test('cleanEmailContent keeps the stories and drops boilerplate and sponsors', () => {
+    const cleaned = cleanEmailContent(dom, ROUNDUP_HTML, undefined, true);
+
+    assert.match(cleaned.text, /Chipmakers announced/);
+    assert.match(cleaned.text, /The Rust team/);
+    assert.match(cleaned.text, /Scientists said/);
+    assert.doesNotMatch(cleaned.text, /Acme Cloud/);
+    assert.doesNotMatch(cleaned.text, /Unsubscribe|Privacy policy/);
+    assert.ok(cleaned.markdown.length > 0);
+    assert.ok(cleaned.links.includes('https://example.org/rust-release'));
+
+    const reasons = cleaned.dropped.map(drop => drop.reason);
+    assert.ok(reasons.some(reason => reason.startsWith('strip selector [class*="footer"]')));
+    assert.ok(reasons.some(reason => reason.startsWith('sponsored')));
+});
+
+test('cleanEmailContent labels sponsored blocks instead of dropping them when asked', () => {
+    const cleaned = cleanEmailContent(dom, ROUNDUP_HTML, undefined, false, 'label');
+
+    assert.match(cleaned.text + cleaned.markdown, /\[Sponsored\]/);
+    assert.match(cleaned.text + cleaned.markdown, /Acme Cloud/);
+});
+
+test('cleanEmailContent works without Readability', () => {
+    const cleaned = cleanEmailContent({ DOMParser: window.DOMParser }, ROUNDUP_HTML);
+
+    assert.match(cleaned.text, /Chipmakers announced/);
+    assert.doesNotMatch(cleaned.text, /Unsubscribe/);
+});
+
+test('cleanEmailContent returns an empty result for empty input', () => {
+    assert.deepEqual(cleanEmailContent(dom, ''), { text: '', markdown: '', links: [], strategy: 'empty', dropped: [] });
+});
+
+test('normalizeWhitespace turns nbsp and Unicode spaces into plain spaces and drops invisible padding', () => {
+    assert.equal(normalizeWhitespace('Hello&nbsp;\u00A0world\u200C\u00A0\u200C\u00A0\u2009again\n\n'), 'Hello world again ');
+});
+
+test('cleanEmailContent removes preheader padding', () => {
+    const padding = '&zwnj;&nbsp;'.repeat(20);
+    const cleaned = cleanEmailContent(dom, `<p>Preview text${padding}</p>${paragraph('The story\u200B itself')}`);
+
+    assert.doesNotMatch(cleaned.text, /[\u00A0\u200B\u200C]|\s{2}/);
+    assert.doesNotMatch(cleaned.markdown, /[\u00A0\u200B\u200C]/);
+    assert.match(cleaned.text, /The story itself/);
+});
+
+test('segmentStories splits a roundup on its headings', () => {
+    const stories = segmentStories(dom, ROUNDUP_HTML);
+
+    assert.deepEqual(stories.map(story => story.headline), [
+        'New AI chips ship this quarter',
+        'Rust 2.0 released with async traits',
+        'Together with Acme',
+        'Climate report finds record heat'
+    ]);
+    assert.ok(stories.every(story => story.segmentedBy === 'headings'));
+    assert.equal(stories[1].link, 'https://example.org/rust-release');
+    assert.match(stories[1].markdown, /^The Rust team/);
+    assert.deepEqual(stories.map(story => story.sponsored), [false, false, true, false]);
+});
+
+test('segmentStories returns no stories for an email without structure', () => {
+    assert.deepEqual(segmentStories(dom, PLAIN_HTML), []);
+    assert.deepEqual(segmentStories(dom, ''), []);
+});
+
+test('extractLinks returns anchor text and flags sponsor links', () => {
+    const links = extractLinks(dom, ROUNDUP_HTML);
+    const byUrl = new Map(links.map(link => [link.url, link]));
+
+    assert.equal(byUrl.get('https://example.com/ai-chips').text, 'New AI chips ship this quarter');
+    assert.equal(byUrl.get('https://example.com/ai-chips').sponsored, false);
+    assert.equal(byUrl.get('https://acme.com/?utm_medium=sponsor').sponsored, true);
+});
+
+test('extractLinks skips mailto, javascript and fragment links and resolves relative ones', () => {
+    const links = extractLinks(dom, `
+        <p><a href="https://example.com/post">Read the full post</a></p>
+        <p><a href="/archive/42">Browse the archive</a></p>
+        <p><a href="mailto:editor@example.com">Write to the editor</a></p>
+        <p><a href="javascript:void(0)">Open the menu</a></p>
+        <p><a href="#top">Back to the top</a></p>`);
+
+    assert.deepEqual(links.map(link => link.url), ['https://example.com/post', 'https://example.com/archive/42']);
+});
+
+test('htmlToMarkdown keeps headings, emphasis, links and nested lists', () => {
+    const body = new window.DOMParser().parseFromString(`
+        <h1>Title</h1>
+        <p>Some <strong>bold</strong> text and <a href="https://example.com/a">a link</a></p>
+        <ul><li>One</li><li>Two<ul><li>Nested</li></ul></li></ul>
+        <table><tr><td>Cell text</td></tr></table>
+        <img src="chart.png" alt="Chart of growth"><img src="spacer.gif" alt="">`, 'text/html').body;
+
+    assert.equal(htmlToMarkdown(body), [
+        '# Title',
+        '',
+        'Some **bold** text and [a link](https://example.com/a)',
+        '',
+        '- One',
+        '- Two',
+        '  - Nested',
+        '',
+        'Cell text',
+        '',
+        'Chart of growth'
+    ].join('\n'));
+});
+
+test('processEmails segments every email and cleans the ones without stories', () => {
+    const results = processEmails(dom, [
+        { id: 'roundup', htmlString: ROUNDUP_HTML, rule: null },
+        { id: 'plain', htmlString: PLAIN_HTML, rule: null }
+    ], { stories: true, links: true });
+
+    assert.deepEqual(results.map(result => result.id), ['roundup', 'plain']);
+    assert.equal(results[0].stories.length, 4);
+    assert.equal(results[0].cleaned, undefined);
+    assert.ok(results[0].links.length > 0);
+    assert.deepEqual(results[1].stories, []);
+    assert.match(results[1].cleaned.text, /Just one short note/);
+});
+
+test('parseFeedXml reads RSS and Atom feeds', () => {
+    const rss = parseFeedXml(dom, `<?xml version="1.0"?>
+        <rss version="2.0"><channel><title>Example News</title><link>https://example.com</link>
+        <item><title>First post</title><link>https://example.com/1</link><guid>post-1</guid></item>
+        </channel></rss>`);
+    assert.equal(rss.title, 'Example News');
+    assert.deepEqual(rss.items.map(item => [item.id, item.title, item.link]), [['post-1', 'First post', 'https://example.com/1']]);
+
+    const atom = parseFeedXml(dom, `<?xml version="1.0"?>
+        <feed xmlns="http://www.w3.org/2005/Atom"><title>Example Blog</title>
+        <link href="https://blog.example.com"/>
+        <entry><id>tag:1</id><title>Hello</title><link href="https://blog.example.com/hello"/><author><name>Ada</name></author></entry>
+        </feed>`);
+    assert.equal(atom.link, 'https://blog.example.com');
+    assert.deepEqual(atom.items.map(item => [item.title, item.link, item.author]), [['Hello', 'https://blog.example.com/hello', 'Ada']]);
+
+    assert.ok(parseFeedXml(dom, '<rss><channel>').error);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage, languageName } from '../src/lib/language-detection.js';
+
+test('detectLanguage recognizes short texts in languages with their own script', () => {
+    assert.equal(detectLanguage('これは日本語のニュースレターです。今週の市場で起こったことについて説明します。'), 'ja');
+    assert.equal(detectLanguage('オープンAIが新モデルを発表'), 'ja');
+    assert.equal(detectLanguage('오늘의 주요 뉴스'), 'ko');
+    assert.equal(detectLanguage('央行宣布维持利率不变'), 'zh');
+    assert.equal(detectLanguage('Центральный банк сохранил ставку'), 'ru');
+    assert.equal(detectLanguage('Η κεντρική τράπεζα διατήρησε τα επιτόκια'), 'el');
+});
+
+test('detectLanguage needs a few characters of a script before naming it', () => {
+    assert.equal(detectLanguage('日本', 'en'), 'en');
+    assert.equal(detectLanguage('Да', 'en'), 'en');
+});
+
+test('detectLanguage tells Latin-script languages apart by trigrams', () => {
+    assert.equal(detectLanguage('The central bank said on Thursday that it would keep interest rates unchanged for the rest of the year.'), 'en');
+    assert.equal(detectLanguage('Die Zentralbank hat am Donnerstag mitgeteilt, dass sie die Zinsen für den Rest des Jahres nicht ändern wird.'), 'de');
+    assert.equal(detectLanguage('La banque centrale a annoncé jeudi qu\'elle maintiendrait ses taux inchangés pour le reste de l\'année.'), 'fr');
+    assert.equal(detectLanguage('El banco central dijo el jueves que mantendría las tasas de interés sin cambios durante el resto del año.'), 'es');
+});
+
+test('detectLanguage falls back on short or empty Latin-script text', () => {
+    assert.equal(detectLanguage('Rates unchanged', 'de'), 'de');
+    assert.equal(detectLanguage('', 'fr'), 'fr');
+    assert.equal(detectLanguage('12345 !!!'), null);
+});
+
+test('languageName names known languages and passes unknown codes through', () => {
+    assert.equal(languageName('ja'), 'Japanese');
+    assert.equal(languageName('sv'), 'sv');
+    assert.equal(languageName(null), 'Unknown');
+});
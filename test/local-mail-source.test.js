@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRawMessage, splitMbox } from '../src/lib/local-mail-source.js';
+
+// Files are read as binary strings, one character per byte
+const binary = text => Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('');
+
+const MBOX = [
+    'From jane@example.com Sat Jan  3 01:05:34 2026',
+    'From: Jane <jane@example.com>',
+    'Subject: First',
+    'Date: Fri, 2 Jan 2026 10:00:00 +0000',
+    '',
+    'Hello',
+    '>From the archives: quoted by the exporter',
+    '>>From a reply that was already quoted',
+    '',
+    'From news@example.org Mon Jan  5 08:30:00 2026',
+    'From: News <news@example.org>',
+    'Subject: Second',
+    '',
+    'No Date header here',
+    ''
+].join('\n');
+
+test('splitMbox splits on From lines and unquotes mboxrd body lines', () => {
+    const messages = splitMbox(MBOX);
+
+    assert.equal(messages.length, 2);
+    assert.match(messages[0].raw, /^From: Jane/);
+    assert.match(messages[0].raw, /^From the archives: quoted by the exporter$/m);
+    assert.match(messages[0].raw, /^>From a reply that was already quoted$/m);
+    assert.match(messages[1].raw, /^Subject: Second$/m);
+    assert.equal(messages[0].envelopeDate.getTime(), new Date('Sat Jan  3 01:05:34 2026').getTime());
+    assert.equal(messages[1].envelopeDate.getTime(), new Date('Mon Jan  5 08:30:00 2026').getTime());
+});
+
+test('parseRawMessage prefers the Date header and falls back to the given date', () => {
+    const [first, second] = splitMbox(MBOX);
+
+    assert.equal(parseRawMessage(first.raw, first.envelopeDate).date.toISOString(), '2026-01-02T10:00:00.000Z');
+    assert.equal(parseRawMessage(second.raw, second.envelopeDate).date.getTime(), second.envelopeDate.getTime());
+
+    const before = Date.now();
+    const undated = parseRawMessage('Subject: Undated\nDate: not a date\n\nBody');
+    assert.ok(undated.date.getTime() >= before);
+});
+
+test('parseRawMessage decodes encoded-word headers', () => {
+    const raw = binary([
+        'From: =?UTF-8?B?SsOpcsO0bWU=?= <jerome@example.com>',
+        'Subject: =?UTF-8?Q?Caf=C3=A9_news?= =?ISO-8859-1?Q?_=E0_la?=',
+        '  =?UTF-8?B?IGNyw6htZQ==?=',
+        'Date: Fri, 2 Jan 2026 10:00:00 +0000',
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        'Body'
+    ].join('\r\n'));
+
+    const email = parseRawMessage(raw);
+
+    assert.equal(email.from, 'Jérôme <jerome@example.com>');
+    assert.equal(email.subject, 'Café news à la crème');
+});
+
+test('parseRawMessage decodes a multipart message with encoded parts', () => {
+    const raw = binary([
+        'From: news@example.org',
+        'Subject: Weekly',
+        'Date: Fri, 2 Jan 2026 10:00:00 +0000',
+        'Content-Type: multipart/alternative; boundary="b1"',
+        '',
+        '--b1',
+        'Content-Type: text/plain; charset=iso-8859-1',
+        'Content-Transfer-Encoding: quoted-printable',
+        '',
+        'Caf=E9 news, wrapped over=',
+        ' two lines',
+        '--b1',
+        'Content-Type: text/html; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        Buffer.from('<p>Café news</p>').toString('base64'),
+        '--b1--',
+        ''
+    ].join('\r\n'));
+
+    const email = parseRawMessage(raw);
+
+    assert.equal(email.textBody, 'Café news, wrapped over two lines');
+    assert.equal(email.htmlBody, '<p>Café news</p>');
+    assert.equal(email.body, email.htmlBody);
+});
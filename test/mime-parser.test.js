@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeBytes, decodeQuotedPrintable, parseHeaderParams, parseMimePayload } from '../src/lib/mime-parser.js';
+
+const toBase64Url = bytes => Buffer.from(bytes).toString('base64url');
+
+/**
+ * Build a Gmail API style MIME part
+ * @param {string} mimeType Content type without parameters
+ * @param {string|Uint8Array} body Body text (UTF-8) or raw bytes
+ * @param {Object} [headers] Extra headers by name
+ * @returns {Object} MIME part
+ */
+function leaf(mimeType, body, headers = {}) {
+    const bytes = typeof body === 'string' ? new TextEncoder().encode(body) : body;
+    return {
+        mimeType,
+        headers: Object.entries({ 'Content-Type': mimeType, ...headers }).map(([name, value]) => ({ name, value })),
+        body: { data: toBase64Url(bytes), size: bytes.length }
+    };
+}
+
+const multipart = (mimeType, parts) => ({ mimeType, headers: [{ name: 'Content-Type', value: mimeType }], parts });
+
+test('parseMimePayload finds the bodies and attachments of nested multiparts', () => {
+    const payload = multipart('multipart/mixed', [
+        multipart('multipart/related', [
+            multipart('multipart/alternative', [
+                leaf('text/plain', 'Plain version'),
+                leaf('text/html', '<p>HTML version</p>')
+            ]),
+            leaf('image/png', new Uint8Array([137, 80, 78, 71]), { 'Content-ID': '<logo@example>', 'Content-Disposition': 'inline' })
+        ]),
+        leaf('application/pdf', new Uint8Array([37, 80, 68, 70]), { 'Content-Disposition': 'attachment; filename="report.pdf"' })
+    ]);
+
+    const { html, text, attachments } = parseMimePayload(payload);
+
+    assert.equal(html, '<p>HTML version</p>');
+    assert.equal(text, 'Plain version');
+    assert.deepEqual(attachments.map(({ filename, contentId, inline }) => ({ filename, contentId, inline })), [
+        { filename: '', contentId: 'logo@example', inline: true },
+        { filename: 'report.pdf', contentId: null, inline: false }
+    ]);
+});
+
+test('parseMimePayload decodes a part in its declared charset', () => {
+    // "Café à la crème" in ISO-8859-1
+    const latin1 = new Uint8Array([67, 97, 102, 233, 32, 224, 32, 108, 97, 32, 99, 114, 232, 109, 101]);
+    const part = leaf('text/plain', latin1);
+    part.headers[0].value = 'text/plain; charset="ISO-8859-1"';
+
+    assert.equal(parseMimePayload(part).text, 'Café à la crème');
+    assert.equal(decodeBytes(new Uint8Array([0x93, 0xfa, 0x96, 0x7b]), 'Shift_JIS'), '日本');
+    // Unknown labels fall back to UTF-8
+    assert.equal(decodeBytes(new TextEncoder().encode('été'), 'x-unknown'), 'été');
+});
+
+test('decodeQuotedPrintable joins soft line breaks and decodes escapes', () => {
+    const encoded = new TextEncoder().encode('A long line that was wr=\r\napped and caf=C3=A9=\nend. 1+1=3D2');
+    assert.equal(new TextDecoder().decode(decodeQuotedPrintable(encoded)), 'A long line that was wrapped and caféend. 1+1=2');
+});
+
+test('parseMimePayload decodes parts that Gmail left quoted-printable encoded', () => {
+    const part = leaf('text/html', '<p>Caf=C3=A9 news, wrapped over=\r\n two lines</p>', { 'Content-Transfer-Encoding': 'quoted-printable' });
+    part.headers[0].value = 'text/html; charset=utf-8';
+
+    assert.equal(parseMimePayload(part).html, '<p>Café news, wrapped over two lines</p>');
+});
+
+test('parseHeaderParams decodes RFC 2231 parameters', () => {
+    assert.deepEqual(
+        parseHeaderParams("attachment; name*=UTF-8''%C3%A9t%C3%A9.txt"),
+        { value: 'attachment', params: { name: 'été.txt' } }
+    );
+    assert.equal(parseHeaderParams("text/plain; name*=iso-8859-1'fr'caf%E9.txt").params.name, 'café.txt');
+    // Continuations, with a plain fallback for older clients
+    assert.equal(
+        parseHeaderParams("attachment; filename=\"fallback.txt\"; filename*0*=UTF-8''r%C3%A9sum%C3%A9; filename*1=\"-2025.pdf\"").params.filename,
+        'résumé-2025.pdf'
+    );
+    assert.deepEqual(parseHeaderParams('Text/HTML; Charset="utf-8"'), { value: 'text/html', params: { charset: 'utf-8' } });
+});
+
+test('parseMimePayload names attachments from RFC 2231 filenames', () => {
+    const payload = multipart('multipart/mixed', [
+        leaf('text/plain', 'See attached'),
+        leaf('application/pdf', new Uint8Array([37, 80, 68, 70]), { 'Content-Disposition': "attachment; filename*=UTF-8''%E6%97%A5%E6%9C%AC.pdf" })
+    ]);
+
+    assert.equal(parseMimePayload(payload).attachments[0].filename, '日本.pdf');
+});
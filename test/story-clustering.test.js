@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { clusterStories } from '../src/lib/story-clustering.js';
+
+/**
+ * Build a segmented story
+ * @param {string} emailId Email the story came from
+ * @param {number} index Position in the email
+ * @param {Object} fields Headline, body and link
+ * @returns {Object} Story
+ */
+function story(emailId, index, { headline, body = '', link = null }) {
+    return {
+        id: `${emailId}#${index}`,
+        emailId,
+        from: `${emailId}@newsletters.example`,
+        subject: `Issue ${emailId}`,
+        headline,
+        body: body || `${headline}. More details follow in the full article.`,
+        link,
+        segmentedBy: 'heading',
+        sponsored: false
+    };
+}
+
+const clusterIds = clusters => clusters.map(cluster => cluster.stories.map(member => member.id));
+
+test('clusterStories groups stories from different emails that link to the same article', () => {
+    const clusters = clusterStories([
+        story('e1', 0, { headline: 'Chipmaker ships new accelerator', link: 'https://example.com/news/chips?utm_source=e1' }),
+        story('e1', 1, { headline: 'Rust release adds async traits', link: 'https://example.org/rust' }),
+        story('e2', 0, { headline: 'A faster AI chip is here', link: 'https://www.example.com/news/chips' })
+    ]);
+
+    assert.deepEqual(clusterIds(clusters), [['e1#0', 'e2#0'], ['e1#1']]);
+    assert.equal(clusters[0].coverage, 2);
+});
+
+test('clusterStories does not group stories that only share a site root', () => {
+    const clusters = clusterStories([
+        story('e1', 0, { headline: 'Chipmaker ships new accelerator', link: 'https://example.com/' }),
+        story('e2', 0, { headline: 'Rust release adds async traits', link: 'https://example.com' })
+    ]);
+
+    assert.equal(clusters.length, 2);
+});
+
+test('clusterStories never joins two stories from the same email through a third', () => {
+    // A and B link to the same article; B and C share a headline; A and C come from the same email
+    const clusters = clusterStories([
+        story('e1', 0, { headline: 'Central bank keeps rates on hold', link: 'https://example.com/rates' }),
+        story('e1', 1, { headline: 'Chipmaker ships new accelerator for data centers', link: 'https://example.org/chips' }),
+        story('e2', 0, { headline: 'Chipmaker ships new accelerator for data centers', link: 'https://example.com/rates' })
+    ]);
+
+    assert.deepEqual(clusterIds(clusters), [['e1#0', 'e2#0'], ['e1#1']]);
+    assert.ok(clusters.every(cluster => new Set(cluster.stories.map(member => member.emailId)).size === cluster.stories.length));
+});
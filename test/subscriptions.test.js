@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+
+// src/lib/config.js holds API keys and is not checked in; nothing here sends mail
+register(`data:text/javascript,${encodeURIComponent(`
+export async function resolve(specifier, context, nextResolve) {
+    try {
+        return await nextResolve(specifier, context);
+    } catch (error) {
+        if (error.code === 'ERR_MODULE_NOT_FOUND' && specifier === './config.js') {
+            return { url: 'data:text/javascript,export {}', shortCircuit: true };
+        }
+        throw error;
+    }
+}`)}`);
+
+const { buildUnsubscribeMessage, parseListUnsubscribe, parseSender } = await import('../src/lib/subscriptions.js');
+
+/**
+ * Split a raw message into its unfolded headers and body
+ * @param {string} raw RFC 822 message
+ * @returns {{headers: Array<string>, body: string}} Header lines and body
+ */
+function splitMessage(raw) {
+    const [head, ...body] = raw.split('\r\n\r\n');
+    return { headers: head.replace(/\r\n[ \t]/g, ' ').split('\r\n'), body: body.join('\r\n\r\n') };
+}
+
+const decodeEncodedWords = value => value.replace(/=\?UTF-8\?B\?([^?]*)\?=\s*/g, (match, base64) => Buffer.from(base64, 'base64').toString('utf8'));
+
+test('parseListUnsubscribe splits HTTP and mailto targets', () => {
+    assert.deepEqual(
+        parseListUnsubscribe('<mailto:leave@example.com?subject=unsubscribe>, <https://example.com/u?id=1>'),
+        { http: ['https://example.com/u?id=1'], mailto: ['mailto:leave@example.com?subject=unsubscribe'] }
+    );
+    // Folded headers, extra whitespace and unknown schemes
+    assert.deepEqual(
+        parseListUnsubscribe('< https://example.com/a >,\r\n <ftp://example.com/b>, <MAILTO:leave@example.com>'),
+        { http: ['https://example.com/a'], mailto: ['MAILTO:leave@example.com'] }
+    );
+    assert.deepEqual(parseListUnsubscribe(null), { http: [], mailto: [] });
+    assert.deepEqual(parseListUnsubscribe('https://example.com/no-brackets'), { http: [], mailto: [] });
+});
+
+test('parseSender reads the name and lower-cased address', () => {
+    assert.deepEqual(parseSender('"Morning Brew" <Crew@MorningBrew.com>'), { address: 'crew@morningbrew.com', name: 'Morning Brew' });
+    assert.deepEqual(parseSender('news@example.com'), { address: 'news@example.com', name: 'news@example.com' });
+});
+
+test('buildUnsubscribeMessage addresses the mailto target with its subject and body', () => {
+    const { headers, body } = splitMessage(buildUnsubscribeMessage('mailto:leave%2Bid@example.com?subject=Unsubscribe%20me&body=Please%20remove'));
+
+    assert.deepEqual(headers, ['To: leave+id@example.com', 'Subject: Unsubscribe me', 'Content-Type: text/plain; charset="UTF-8"']);
+    assert.equal(body, 'Please remove');
+    assert.equal(splitMessage(buildUnsubscribeMessage('mailto:leave@example.com')).headers[1], 'Subject: unsubscribe');
+});
+
+test('buildUnsubscribeMessage strips line breaks that would add headers', () => {
+    const raw = buildUnsubscribeMessage('mailto:leave@example.com%0D%0ABcc:%20victim@example.org?subject=bye%0D%0ABcc:%20other@example.org');
+    const { headers } = splitMessage(raw);
+
+    assert.equal(headers.length, 3);
+    assert.ok(headers.every(header => !/^Bcc:/i.test(header)));
+    assert.equal(headers[0], 'To: leave@example.com Bcc: victim@example.org');
+    assert.equal(headers[1], 'Subject: bye Bcc: other@example.org');
+});
+
+test('buildUnsubscribeMessage encodes a non-ASCII subject as RFC 2047 encoded words', () => {
+    const subject = 'Désabonnement de la lettre d’information hebdomadaire — 日本語のニュースレター';
+    const raw = buildUnsubscribeMessage(`mailto:leave@example.com?subject=${encodeURIComponent(subject)}`);
+    const subjectLines = raw.split('\r\n\r\n')[0].split('\r\n').filter(line => /^(Subject:| )/.test(line));
+
+    assert.ok(/^[\x20-\x7e\r\n]*$/.test(raw.split('\r\n\r\n')[0]), 'headers are plain ASCII');
+    assert.ok(subjectLines.length > 1, 'long subjects are folded over several encoded words');
+    subjectLines.forEach(line => {
+        line.match(/=\?[^?]+\?B\?[^?]*\?=/g).forEach(word => assert.ok(word.length <= 75));
+    });
+    assert.equal(decodeEncodedWords(splitMessage(raw).headers[1].slice('Subject: '.length)), subject);
+});
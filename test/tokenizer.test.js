@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countTokens, truncateToTokens } from '../src/lib/tokenizer.js';
+
+test('countTokens counts common words, numbers and punctuation', () => {
+    assert.equal(countTokens(''), 0);
+    assert.equal(countTokens(null), 0);
+    assert.equal(countTokens('Hello world'), 2);
+    // Numbers are split into groups of up to three digits
+    assert.equal(countTokens('1234567'), 3);
+    assert.equal(countTokens('Rates rose 25 basis points.'), 6);
+    // Long, rare words take several tokens
+    assert.ok(countTokens('antidisestablishmentarianism') > 1);
+});
+
+test('countTokens counts about one token per CJK character', () => {
+    assert.equal(countTokens('日本語のニュース'), 8);
+    assert.equal(countTokens('오늘의 뉴스'), 5);
+    // Other scripts split into more pieces than Latin
+    assert.ok(countTokens('Центральный') > countTokens('Centralbank'));
+});
+
+test('countTokens grows with the text', () => {
+    const sentence = 'The central bank kept interest rates on hold for a third meeting in a row. ';
+    assert.ok(countTokens(sentence.repeat(10)) >= 10 * countTokens(sentence) - 10);
+    assert.ok(countTokens(sentence.repeat(10)) <= 10 * countTokens(sentence));
+});
+
+test('truncateToTokens leaves text that fits unchanged', () => {
+    assert.equal(truncateToTokens('Short text.', 10), 'Short text.');
+    assert.equal(truncateToTokens('', 0), '');
+});
+
+test('truncateToTokens cuts to the budget and marks the cut', () => {
+    const text = 'The central bank kept interest rates on hold for a third meeting in a row. '.repeat(50);
+    const cut = truncateToTokens(text, 100);
+
+    assert.ok(cut.endsWith('…'));
+    assert.ok(text.startsWith(cut.slice(0, -1)));
+    assert.ok(countTokens(cut) <= 100);
+    // The longest prefix that fits: one more character would go over
+    assert.ok(countTokens(`${text.slice(0, cut.length)}…`) > 100);
+});
+
+test('truncateToTokens cuts CJK text by tokens rather than characters', () => {
+    const text = 'これは日本語のニュースレターです。'.repeat(20);
+    const cut = truncateToTokens(text, 50);
+
+    assert.ok(countTokens(cut) <= 50);
+    assert.ok(cut.length > 40);
+    assert.ok(cut.length < 60);
+});
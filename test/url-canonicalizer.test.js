@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalizeUrl, isOpaqueTrackingUrl, urlKey } from '../src/lib/url-canonicalizer.js';
+
+test('canonicalizeUrl decodes redirect wrappers and strips tracking parameters', () => {
+    const target = 'https://Example.com/article?id=7&utm_source=newsletter&mc_cid=abc';
+    const wrapped = `https://www.google.com/url?q=${encodeURIComponent(target)}`;
+    assert.equal(canonicalizeUrl(wrapped), 'https://example.com/article?id=7');
+    assert.equal(urlKey('https://www.example.com/article/?id=7&fbclid=1'), urlKey(target));
+});
+
+test('isOpaqueTrackingUrl only matches click-tracking paths', () => {
+    assert.equal(isOpaqueTrackingUrl('https://us1.list-manage.com/track/click?u=1&id=2&e=3'), true);
+    assert.equal(isOpaqueTrackingUrl('https://u123.ct.sendgrid.net/ls/click?upn=abc'), true);
+    assert.equal(isOpaqueTrackingUrl('https://mandrillapp.com/track/click/30/example.com?p=abc'), true);
+    assert.equal(isOpaqueTrackingUrl('https://bit.ly/3abcdef'), true);
+
+    assert.equal(isOpaqueTrackingUrl('https://us1.list-manage.com/subscribe?u=1'), false);
+    assert.equal(isOpaqueTrackingUrl('https://us1.list-manage.com/profile?u=1&id=2'), false);
+    assert.equal(isOpaqueTrackingUrl('https://u123.ct.sendgrid.net/asm/unsubscribe/?user_id=1'), false);
+    assert.equal(isOpaqueTrackingUrl('https://mandrillapp.com/track/unsub.php?u=1'), false);
+    assert.equal(isOpaqueTrackingUrl('https://mailchi.mp/example/weekly-roundup'), false);
+    assert.equal(isOpaqueTrackingUrl('https://example.com/article'), false);
+});
+
+test('isOpaqueTrackingUrl never matches unsubscribe, opt-out or preferences links', () => {
+    assert.equal(isOpaqueTrackingUrl('https://bit.ly/unsubscribe'), false);
+    assert.equal(isOpaqueTrackingUrl('https://click.convertkit-mail.com/opt-out/abc'), false);
+    assert.equal(isOpaqueTrackingUrl('https://d2v8.na1.hubspotlinks.com/Ctc/preferences/abc'), false);
+});